@@ -0,0 +1,28 @@
+// C language definition
+module.exports = {
+  name: 'c',
+  displayName: 'C',
+  extensions: ['.c', '.h'],
+  grammar: {
+    package: 'tree-sitter-c',
+    wasm: 'tree-sitter-c.wasm'
+  },
+  nodeTypes: {
+    imports: {
+      importStatement: 'preproc_include'
+    },
+    calls: {
+      callExpression: 'call_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  parameterStyle: 'generic',
+  importSources(node) {
+    const header = node.children.find(child =>
+      child.type === 'string_literal' || child.type === 'system_lib_string');
+    return header ? [header.text.replace(/^["<]|[">]$/g, '')] : [];
+  },
+  entryPoints: {
+    mainPatterns: [/\bint\s+main\s*\(/]
+  }
+};
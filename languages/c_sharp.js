@@ -0,0 +1,71 @@
+// C# language definition
+const { extractRoutes } = require('../routes/c_sharp');
+
+module.exports = {
+  name: 'c_sharp',
+  displayName: 'C#',
+  extensions: ['.cs'],
+  grammar: {
+    package: 'tree-sitter-c-sharp',
+    wasm: 'tree-sitter-c_sharp.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'identifier',
+      classBody: 'declaration_list',
+      methodDefinition: 'method_declaration',
+      methodName: 'identifier',
+      publicField: 'field_declaration',
+      privateField: 'field_declaration',
+      propertyName: 'identifier',
+      parameter: 'parameter_list',
+      parameterName: 'identifier',
+      superClass: 'base_list',
+      superClassName: 'identifier',
+      constructor: 'constructor_declaration',
+      constructorName: 'identifier'
+    },
+    interfaces: {
+      interfaceDeclaration: 'interface_declaration',
+      interfaceName: 'identifier',
+      interfaceBody: 'declaration_list',
+      property: 'property_declaration',
+      propertyName: 'identifier',
+      method: 'method_declaration',
+      methodName: 'identifier',
+      parameter: 'parameter_list',
+      parameterName: 'identifier',
+      extendsClause: 'base_list',
+      extendedInterface: 'identifier'
+    },
+    functions: {
+      functionDeclaration: 'method_declaration',
+      functionName: 'identifier',
+      parameter: 'parameter_list',
+      parameterName: 'identifier',
+      staticKeyword: 'static',
+      publicKeyword: 'public',
+      privateKeyword: 'private',
+      protectedKeyword: 'protected'
+    },
+    imports: {
+      importStatement: 'using_directive'
+    },
+    calls: {
+      callExpression: 'invocation_expression',
+      newExpression: 'object_creation_expression'
+    }
+  },
+  visibility: 'modifiers',
+  parameterStyle: 'generic',
+  decorators: true,
+  importSources(node) {
+    const name = node.children.find(child => child.type === 'qualified_name' || child.type === 'identifier');
+    return name ? [name.text] : [];
+  },
+  extractRoutes,
+  entryPoints: {
+    mainPatterns: [/static\s+(async\s+)?(void|int|Task(<int>)?)\s+Main\s*\(/]
+  }
+};
@@ -0,0 +1,29 @@
+// C++ language definition
+module.exports = {
+  name: 'cpp',
+  displayName: 'C++',
+  extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.h', '.hxx'],
+  grammar: {
+    package: 'tree-sitter-cpp',
+    wasm: 'tree-sitter-cpp.wasm'
+  },
+  nodeTypes: {
+    imports: {
+      importStatement: 'preproc_include'
+    },
+    calls: {
+      callExpression: 'call_expression',
+      newExpression: 'new_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  parameterStyle: 'generic',
+  importSources(node) {
+    const header = node.children.find(child =>
+      child.type === 'string_literal' || child.type === 'system_lib_string');
+    return header ? [header.text.replace(/^["<]|[">]$/g, '')] : [];
+  },
+  entryPoints: {
+    mainPatterns: [/\bint\s+main\s*\(/]
+  }
+};
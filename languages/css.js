@@ -0,0 +1,10 @@
+// CSS language definition (discovered and counted, no code elements)
+module.exports = {
+  name: 'css',
+  displayName: 'CSS',
+  extensions: ['.css'],
+  grammar: {
+    package: 'tree-sitter-css',
+    wasm: 'tree-sitter-css.wasm'
+  }
+};
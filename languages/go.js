@@ -0,0 +1,89 @@
+// Go language definition
+const { resolveImport } = require('../resolvers/go');
+const { extractRoutes } = require('../routes/go');
+
+module.exports = {
+  name: 'go',
+  displayName: 'Go',
+  extensions: ['.go'],
+  grammar: {
+    package: 'tree-sitter-go',
+    wasm: 'tree-sitter-go.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      // type_spec names structs and interfaces alike; only structs are classes
+      classDeclaration: 'type_spec',
+      className: 'type_identifier',
+      classBody: 'struct_type',
+      requiresBody: true,
+      memberList: 'field_declaration_list',
+      // Methods are declared outside the struct, naming it in their receiver
+      methodDefinition: 'method_declaration',
+      receiver: 'receiver',
+      methodName: 'field_identifier',
+      publicField: 'field_declaration',
+      privateField: 'field_declaration',
+      propertyName: 'field_identifier',
+      parameter: 'parameter_declaration',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'return_type',
+      constructor: 'function_declaration',
+      constructorName: 'field_identifier'
+    },
+    interfaces: {
+      interfaceDeclaration: 'type_declaration',
+      interfaceName: 'type_identifier',
+      interfaceBody: 'interface_type',
+      property: 'method_spec',
+      propertyName: 'field_identifier',
+      propertyType: 'type_identifier',
+      method: 'method_spec',
+      methodName: 'field_identifier',
+      parameter: 'parameter_list',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'type_identifier',
+      extendsClause: 'type_identifier',
+      extendedInterface: 'type_identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_declaration',
+      functionName: 'identifier',
+      parameter: 'parameter_list',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'return_type'
+    },
+    imports: {
+      importStatement: 'import_declaration'
+    },
+    calls: {
+      callExpression: 'call_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  parameterStyle: 'generic',
+  formatFunctionSignature({ name, parameters, returnType }) {
+    return `func ${name}(${
+      parameters.map(p => `${p.name} ${p.type}`).join(', ')
+    }) ${returnType !== 'void' ? returnType : ''}`;
+  },
+  importSources(node) {
+    // A single import_spec, or an import_spec_list for grouped import ( ... ) blocks
+    const specs = node.children.flatMap(child =>
+      (child.type === 'import_spec_list' ? child.children : [child]));
+    return specs
+      .filter(spec => spec.type === 'import_spec')
+      .map(spec => spec.childForFieldName('path'))
+      .filter(Boolean)
+      .map(pathNode => pathNode.text.replace(/["`]/g, ''));
+  },
+  resolveImport,
+  extractRoutes,
+  dependencyUnit: 'package',
+  entryPoints: {
+    mainPatterns: [/func\s+main\(\)/]
+  }
+};
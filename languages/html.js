@@ -0,0 +1,10 @@
+// HTML language definition (discovered and counted, no code elements)
+module.exports = {
+  name: 'html',
+  displayName: 'HTML',
+  extensions: ['.html', '.htm'],
+  grammar: {
+    package: 'tree-sitter-html',
+    wasm: 'tree-sitter-html.wasm'
+  }
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A language plugin tells repomapper how to find, parse and read one language.
+ * Built-in languages live in this directory; extra ones can be loaded from any
+ * file with --language-plugins.
+ *
+ * @typedef {Object} LanguageDefinition
+ * @property {string} name - Identifier used by --language and stored in fileInfo.language
+ * @property {string} [displayName] - Name shown in the generated documentation
+ * @property {string[]} extensions - File extensions, including the leading dot
+ * @property {Object} [grammar] - Where the tree-sitter grammar comes from
+ * @property {string} [grammar.package] - npm package (or path) exporting the native grammar
+ * @property {string} [grammar.export] - Property of the package export holding the language
+ * @property {string} [grammar.wasm] - File name of the WebAssembly grammar
+ * @property {Object} [nodeTypes] - Node type mappings for the classes, interfaces,
+ *   functions, imports and calls extractors. An extractor without a mapping returns nothing.
+ *   calls has callExpression, newExpression and typeReference (type names used in the
+ *   code), each a node type or a list of them.
+ * @property {'modifiers'|'naming'} [visibility] - Whether member visibility comes from
+ *   modifier keywords or from a leading underscore
+ * @property {'annotated'|'python'|'generic'} [parameterStyle] - How function parameters are read
+ * @property {boolean} [decorators] - Whether decorators, Java annotations or C# attributes are extracted
+ * @property {function(Object): string} [formatFunctionSignature] - Builds a function signature
+ *   from { name, parameters, returnType, isAsync, isStatic, visibility }
+ * @property {function(Object): string[]} [importSources] - Reads the module specifiers of an
+ *   import statement node, for grammars the generic import mapping cannot describe
+ * @property {function(string, string, Object): (string|string[]|null)} [resolveImport] - Maps an
+ *   import specifier to the analyzed file(s) it refers to, given the specifier, the importing
+ *   file and the project ({ root, files: Set of analyzed paths, cache: Map shared by the run })
+ * @property {function(string, Object): string[]} [implicitDependencies] - Analyzed files a file
+ *   depends on without importing them, given the file and the same project as resolveImport
+ * @property {function(Object): Object} [extractRoutes] - Reads the HTTP routes of a syntax tree:
+ *   { routers: [{ id, prefix, framework }], routes: [{ router, method, path, handler, middleware,
+ *   framework, node }], uses: [{ router, path, args: [{ reference, name }], middleware, node }],
+ *   exports, imported: [{ router, reference }], globalPrefix: { framework, path } }. The global
+ *   prefix goes before the root routers of its framework. Routers are named by local
+ *   variable or class; a reference is { local } for a router of the same file or
+ *   { source, name } for an imported one. Use arguments that mount no router are middleware for the path, unless their
+ *   name is null; a use's own middleware only runs for the routers it mounts, and with
+ *   replacesPrefix its path takes the place of their prefix. exports maps
+ *   export names to local routers, imported lists local routers created in other modules.
+ *   A route's handler is null for an inline function. Its optional handlerReference names
+ *   the function or view class handling it, as a reference, with member for a method of
+ *   that class. Routes and mounts are joined across files later.
+ * @property {'file'|'package'} [dependencyUnit] - Whether the dependency graph has a node per
+ *   file (the default) or per package directory, with resolveImport returning directories
+ * @property {string} [queries] - Path of a tree-sitter query file for --extraction query,
+ *   relative to the plugin file
+ * @property {Object} [entryPoints] - Entry point heuristics
+ * @property {Array<string|RegExp>} [entryPoints.mainFiles] - File names that mark a program entry point
+ * @property {RegExp[]} [entryPoints.mainPatterns] - Source patterns that mark a program entry point
+ * @property {boolean} [entryPoints.moduleExports] - Whether module exports are scanned
+ */
+
+// Built-in languages, in priority order for shared extensions (.h resolves to C++)
+const BUILTIN_LANGUAGES = [
+  'typescript',
+  'javascript',
+  'python',
+  'ruby',
+  'go',
+  'rust',
+  'cpp',
+  'c',
+  'c_sharp',
+  'java',
+  'php',
+  'kotlin',
+  'swift',
+  'html',
+  'css',
+  'vue'
+];
+
+const registry = new Map();
+
+// Check a definition has what discovery and parsing rely on
+function validateLanguage(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Language plugin ${source} must export an object`);
+  }
+  if (typeof definition.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(definition.name)) {
+    throw new Error(`Language plugin ${source} needs a lowercase "name" (letters, digits, underscores)`);
+  }
+  if (!Array.isArray(definition.extensions) || definition.extensions.length === 0 ||
+      definition.extensions.some(ext => typeof ext !== 'string' || !ext.startsWith('.'))) {
+    throw new Error(`Language plugin ${source} needs "extensions" like ['.ex', '.exs']`);
+  }
+}
+
+// Add or replace a language definition
+function registerLanguage(definition, source = 'inline definition', baseDir = __dirname) {
+  validateLanguage(definition, source);
+  
+  registry.set(definition.name, {
+    displayName: definition.name.charAt(0).toUpperCase() + definition.name.slice(1),
+    grammar: {},
+    nodeTypes: {},
+    entryPoints: {},
+    ...definition,
+    extensions: definition.extensions.map(ext => ext.toLowerCase()),
+    source,
+    baseDir
+  });
+  
+  return registry.get(definition.name);
+}
+
+// Load plugins from files or directories of .js files
+function loadLanguagePlugins(pluginPaths) {
+  const loaded = [];
+  
+  pluginPaths.forEach(pluginPath => {
+    const resolved = path.resolve(pluginPath);
+    
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Language plugin not found: ${pluginPath}`);
+    }
+    
+    const files = fs.statSync(resolved).isDirectory()
+      ? fs.readdirSync(resolved)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => path.join(resolved, file))
+      : [resolved];
+    
+    files.forEach(file => {
+      const exported = require(file);
+      // A plugin file may export one definition or a list of them
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      definitions.forEach(definition => {
+        loaded.push(registerLanguage(definition, file, path.dirname(file)));
+      });
+    });
+  });
+  
+  return loaded;
+}
+
+function getLanguage(name) {
+  return registry.get(name) || null;
+}
+
+function getLanguages() {
+  return Array.from(registry.values());
+}
+
+BUILTIN_LANGUAGES.forEach(name => {
+  registerLanguage(require(`./${name}`), path.join(__dirname, `${name}.js`));
+});
+
+module.exports = {
+  BUILTIN_LANGUAGES,
+  registerLanguage,
+  loadLanguagePlugins,
+  getLanguage,
+  getLanguages
+};
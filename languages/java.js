@@ -0,0 +1,97 @@
+// Java language definition
+const { resolveImport, implicitDependencies } = require('../resolvers/jvm');
+const { extractRoutes } = require('../routes/java');
+
+module.exports = {
+  name: 'java',
+  displayName: 'Java',
+  extensions: ['.java'],
+  grammar: {
+    package: 'tree-sitter-java',
+    wasm: 'tree-sitter-java.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'identifier',
+      classBody: 'class_body',
+      methodDefinition: 'method_declaration',
+      methodName: 'identifier',
+      publicField: 'field_declaration',
+      privateField: 'field_declaration',
+      propertyName: 'identifier',
+      parameter: 'formal_parameter',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'return_type',
+      superClass: 'superclass',
+      superClassName: 'identifier',
+      implements: 'interfaces',
+      implementsNames: 'identifier',
+      constructor: 'constructor_declaration',
+      constructorName: 'identifier'
+    },
+    interfaces: {
+      interfaceDeclaration: 'interface_declaration',
+      interfaceName: 'identifier',
+      interfaceBody: 'interface_body',
+      property: 'method_declaration',
+      propertyName: 'identifier',
+      propertyType: 'type_identifier',
+      method: 'method_declaration',
+      methodName: 'identifier',
+      parameter: 'formal_parameter',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'type_identifier',
+      extendsClause: 'extends_interfaces',
+      extendedInterface: 'identifier',
+      typeParameter: 'type_parameters',
+      typeParameterName: 'type_identifier'
+    },
+    functions: {
+      functionDeclaration: 'method_declaration',
+      functionName: 'identifier',
+      parameter: 'formal_parameters',
+      parameterName: 'identifier',
+      parameterType: 'type_identifier',
+      returnType: 'type_identifier',
+      staticKeyword: 'static',
+      publicKeyword: 'public',
+      privateKeyword: 'private',
+      protectedKeyword: 'protected'
+    },
+    imports: {
+      importStatement: 'import_declaration',
+      source: 'identifier',
+      sourceRegex: null
+    },
+    calls: {
+      callExpression: 'method_invocation',
+      newExpression: 'object_creation_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  visibility: 'modifiers',
+  parameterStyle: 'generic',
+  decorators: true,
+  formatFunctionSignature({ name, parameters, returnType, isStatic, visibility }) {
+    return `${visibility} ${isStatic ? 'static ' : ''}${returnType} ${name}(${
+      parameters.map(p => `${p.type} ${p.name}`).join(', ')
+    })`;
+  },
+  importSources(node) {
+    // import com.acme.Repo; import static com.acme.Strings.trim; import com.acme.model.*;
+    const name = node.children.find(child => child.type === 'scoped_identifier' || child.type === 'identifier');
+    if (!name) {
+      return [];
+    }
+    return [node.children.some(child => child.type === 'asterisk') ? `${name.text}.*` : name.text];
+  },
+  resolveImport,
+  implicitDependencies,
+  extractRoutes,
+  entryPoints: {
+    mainPatterns: [/public static void main\(/]
+  }
+};
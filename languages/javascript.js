@@ -0,0 +1,64 @@
+// JavaScript language definition
+const { resolveImport, importSources } = require('../resolvers/javascript');
+const { extractRoutes } = require('../routes/javascript');
+
+module.exports = {
+  name: 'javascript',
+  displayName: 'JavaScript',
+  extensions: ['.js', '.jsx'],
+  grammar: {
+    package: 'tree-sitter-javascript',
+    wasm: 'tree-sitter-javascript.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'identifier',
+      classBody: 'class_body',
+      methodDefinition: 'method_definition',
+      methodName: 'property_identifier',
+      publicField: 'field_definition',
+      privateField: 'field_definition',
+      propertyName: 'property_identifier',
+      parameter: 'formal_parameter',
+      parameterName: 'identifier',
+      superClass: 'extends_clause',
+      superClassName: 'identifier',
+      constructor: 'method_definition',
+      constructorName: 'property_identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_declaration',
+      functionExpression: 'function_expression',
+      arrowFunction: 'arrow_function',
+      functionName: 'identifier',
+      parameter: 'formal_parameters',
+      parameterName: 'identifier',
+      exportKeyword: 'export_statement',
+      defaultKeyword: 'default',
+      asyncKeyword: 'async'
+    },
+    imports: {
+      // require('...') calls are CommonJS imports
+      importStatement: ['import_statement', 'export_statement', 'call_expression']
+    },
+    calls: {
+      callExpression: 'call_expression',
+      newExpression: 'new_expression'
+    }
+  },
+  parameterStyle: 'annotated',
+  decorators: true,
+  formatFunctionSignature({ name, parameters, isAsync }) {
+    return `${isAsync ? 'async ' : ''}function ${name}(${
+      parameters.map(p => p.name).join(', ')
+    })`;
+  },
+  importSources,
+  resolveImport,
+  extractRoutes,
+  entryPoints: {
+    mainFiles: ['main.js', 'index.js', 'app.js', 'server.js', /\.cli\.js$/],
+    moduleExports: true
+  }
+};
@@ -0,0 +1,60 @@
+// Kotlin language definition
+const { resolveImport, implicitDependencies } = require('../resolvers/jvm');
+
+module.exports = {
+  name: 'kotlin',
+  displayName: 'Kotlin',
+  extensions: ['.kt', '.kts'],
+  grammar: {
+    package: 'tree-sitter-kotlin',
+    wasm: 'tree-sitter-kotlin.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'type_identifier',
+      classBody: 'class_body',
+      methodDefinition: 'function_declaration',
+      methodName: 'simple_identifier',
+      publicField: 'property_declaration',
+      privateField: 'property_declaration',
+      propertyName: 'simple_identifier',
+      parameter: 'function_value_parameters',
+      parameterName: 'simple_identifier',
+      superClass: 'delegation_specifier',
+      superClassName: 'type_identifier',
+      constructor: 'secondary_constructor',
+      constructorName: 'simple_identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_declaration',
+      functionName: 'simple_identifier',
+      parameter: 'function_value_parameters',
+      parameterName: 'simple_identifier'
+    },
+    imports: {
+      importStatement: 'import_header',
+      source: 'identifier',
+      sourceRegex: null
+    },
+    calls: {
+      callExpression: 'call_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  visibility: 'modifiers',
+  parameterStyle: 'generic',
+  importSources(node) {
+    // import com.acme.Repo, import com.acme.model.*, import com.acme.Repo as Store
+    const name = node.children.find(child => child.type === 'identifier');
+    if (!name) {
+      return [];
+    }
+    return [node.children.some(child => child.type === 'wildcard_import') ? `${name.text}.*` : name.text];
+  },
+  resolveImport,
+  implicitDependencies,
+  entryPoints: {
+    mainPatterns: [/^\s*fun\s+main\s*\(/m]
+  }
+};
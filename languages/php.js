@@ -0,0 +1,66 @@
+// PHP language definition
+module.exports = {
+  name: 'php',
+  displayName: 'PHP',
+  extensions: ['.php'],
+  grammar: {
+    package: 'tree-sitter-php',
+    wasm: 'tree-sitter-php.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'name',
+      classBody: 'declaration_list',
+      methodDefinition: 'method_declaration',
+      methodName: 'name',
+      publicField: 'property_declaration',
+      privateField: 'property_declaration',
+      propertyName: 'variable_name',
+      parameter: 'formal_parameters',
+      parameterName: 'variable_name',
+      superClass: 'base_clause',
+      superClassName: 'name',
+      implements: 'class_interface_clause',
+      implementsNames: 'name',
+      constructor: 'method_declaration',
+      constructorName: 'name'
+    },
+    interfaces: {
+      interfaceDeclaration: 'interface_declaration',
+      interfaceName: 'name',
+      interfaceBody: 'declaration_list',
+      method: 'method_declaration',
+      methodName: 'name',
+      parameter: 'formal_parameters',
+      parameterName: 'variable_name',
+      extendsClause: 'base_clause',
+      extendedInterface: 'name'
+    },
+    functions: {
+      functionDeclaration: 'function_definition',
+      functionName: 'name',
+      parameter: 'formal_parameters',
+      parameterName: 'variable_name'
+    },
+    imports: {
+      importStatement: 'namespace_use_declaration'
+    },
+    calls: {
+      callExpression: ['function_call_expression', 'member_call_expression', 'scoped_call_expression'],
+      newExpression: 'object_creation_expression'
+    }
+  },
+  visibility: 'modifiers',
+  parameterStyle: 'generic',
+  // 'use A\B, C\D;' lists one clause per imported name
+  importSources(node) {
+    return node.children
+      .filter(child => child.type === 'namespace_use_clause')
+      .map(clause => {
+        const name = clause.children.find(c => c.type === 'qualified_name' || c.type === 'name');
+        return name ? name.text : null;
+      })
+      .filter(Boolean);
+  }
+};
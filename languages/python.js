@@ -0,0 +1,76 @@
+// Python language definition
+const { resolveImport } = require('../resolvers/python');
+const { extractRoutes } = require('../routes/python');
+
+module.exports = {
+  name: 'python',
+  displayName: 'Python',
+  extensions: ['.py'],
+  grammar: {
+    package: 'tree-sitter-python',
+    wasm: 'tree-sitter-python.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_definition',
+      className: 'identifier',
+      classBody: 'block',
+      methodDefinition: 'function_definition',
+      methodName: 'identifier',
+      publicField: 'expression_statement',
+      privateField: 'expression_statement',
+      propertyName: 'identifier',
+      parameter: 'parameters',
+      parameterName: 'identifier',
+      parameterType: 'type',
+      returnType: 'return_type',
+      superClass: 'argument_list',
+      superClassName: 'identifier',
+      constructor: 'function_definition',
+      constructorName: 'identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_definition',
+      functionName: 'identifier',
+      parameter: 'parameters',
+      parameterName: 'identifier',
+      parameterType: 'type',
+      returnType: 'return_type',
+      decoratorList: 'decorator',
+      asyncKeyword: 'async'
+    },
+    imports: {
+      importStatement: ['import_statement', 'import_from_statement']
+    },
+    calls: {
+      callExpression: 'call'
+    }
+  },
+  visibility: 'naming',
+  parameterStyle: 'python',
+  decorators: true,
+  formatFunctionSignature({ name, parameters, returnType, isAsync }) {
+    return `${isAsync ? 'async ' : ''}def ${name}(${
+      parameters.map(p => `${p.name}${p.type !== 'any' ? ': ' + p.type : ''}`).join(', ')
+    })${returnType !== 'void' ? ' -> ' + returnType : ''}`;
+  },
+  // Python import statements come in several shapes: 'import x.y' and 'from x.y import z'
+  importSources(node) {
+    // from <module> import ...: the module, with its leading dots when relative
+    if (node.type === 'import_from_statement') {
+      const module = node.childForFieldName('module_name');
+      return module ? [module.text] : [];
+    }
+    
+    // import a.b, c as d
+    return node.children
+      .map(child => (child.type === 'aliased_import' ? child.childForFieldName('name') : child))
+      .filter(child => child && child.type === 'dotted_name')
+      .map(child => child.text);
+  },
+  resolveImport,
+  extractRoutes,
+  entryPoints: {
+    mainPatterns: [/if __name__ == ['"]__main__['"]/]
+  }
+};
@@ -0,0 +1,44 @@
+// Ruby language definition
+module.exports = {
+  name: 'ruby',
+  displayName: 'Ruby',
+  extensions: ['.rb'],
+  grammar: {
+    package: 'tree-sitter-ruby',
+    wasm: 'tree-sitter-ruby.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class',
+      className: 'constant',
+      classBody: 'body_statement',
+      methodDefinition: 'method',
+      methodName: 'identifier',
+      publicField: 'assignment',
+      privateField: 'assignment',
+      propertyName: 'identifier',
+      parameter: 'method_parameters',
+      parameterName: 'identifier',
+      superClass: 'superclass',
+      superClassName: 'constant',
+      constructor: 'method',
+      constructorName: 'identifier'
+    },
+    functions: {
+      functionDeclaration: 'method',
+      functionName: 'identifier',
+      parameter: 'method_parameters',
+      parameterName: 'identifier'
+    },
+    imports: {
+      importStatement: 'call',
+      source: 'string',
+      sourceRegex: /['"]/g
+    },
+    calls: {
+      callExpression: 'call'
+    }
+  },
+  visibility: 'naming',
+  parameterStyle: 'generic'
+};
@@ -0,0 +1,51 @@
+// Rust language definition
+module.exports = {
+  name: 'rust',
+  displayName: 'Rust',
+  extensions: ['.rs'],
+  grammar: {
+    package: 'tree-sitter-rust',
+    wasm: 'tree-sitter-rust.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'struct_item',
+      className: 'type_identifier',
+      classBody: 'field_declaration_list',
+      publicField: 'field_declaration',
+      privateField: 'field_declaration',
+      propertyName: 'field_identifier'
+    },
+    interfaces: {
+      interfaceDeclaration: 'trait_item',
+      interfaceName: 'type_identifier',
+      interfaceBody: 'declaration_list',
+      method: 'function_signature_item',
+      methodName: 'identifier',
+      parameter: 'parameters',
+      parameterName: 'identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_item',
+      functionName: 'identifier',
+      parameter: 'parameters',
+      parameterName: 'identifier'
+    },
+    imports: {
+      importStatement: 'use_declaration'
+    },
+    calls: {
+      callExpression: 'call_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  parameterStyle: 'generic',
+  importSources(node) {
+    const path = node.children.find(child =>
+      child.type !== 'use' && child.type !== 'visibility_modifier' && child.type !== ';');
+    return path ? [path.text] : [];
+  },
+  entryPoints: {
+    mainPatterns: [/^\s*(pub\s+)?(async\s+)?fn\s+main\s*\(/m]
+  }
+};
@@ -0,0 +1,18 @@
+// Swift language definition
+module.exports = {
+  name: 'swift',
+  displayName: 'Swift',
+  extensions: ['.swift'],
+  grammar: {
+    package: 'tree-sitter-swift',
+    wasm: 'tree-sitter-swift.wasm'
+  },
+  nodeTypes: {
+    imports: {
+      importStatement: 'import_declaration',
+      source: 'identifier',
+      sourceRegex: null
+    }
+  },
+  parameterStyle: 'generic'
+};
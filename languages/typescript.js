@@ -0,0 +1,92 @@
+// TypeScript language definition
+const { resolveImport, importSources } = require('../resolvers/javascript');
+const { extractRoutes } = require('../routes/javascript');
+
+module.exports = {
+  name: 'typescript',
+  displayName: 'TypeScript',
+  extensions: ['.ts', '.tsx'],
+  grammar: {
+    package: 'tree-sitter-typescript',
+    export: 'typescript',
+    wasm: 'tree-sitter-typescript.wasm'
+  },
+  nodeTypes: {
+    classes: {
+      classDeclaration: 'class_declaration',
+      className: 'type_identifier',
+      classBody: 'class_body',
+      methodDefinition: 'method_definition',
+      methodName: 'property_identifier',
+      publicField: 'public_field_definition',
+      privateField: 'private_field_definition',
+      propertyName: 'property_identifier',
+      parameter: 'formal_parameter',
+      parameterName: 'identifier',
+      parameterType: 'type_annotation',
+      typeAnnotation: 'type_annotation',
+      returnType: 'return_type',
+      superClass: 'extends_clause',
+      superClassName: 'identifier',
+      implements: 'implements_clause',
+      implementsNames: 'type_identifier',
+      constructor: 'constructor_definition',
+      constructorName: 'property_identifier'
+    },
+    interfaces: {
+      interfaceDeclaration: 'interface_declaration',
+      interfaceName: 'type_identifier',
+      interfaceBody: 'interface_body',
+      property: 'property_signature',
+      propertyName: 'property_identifier',
+      propertyType: 'type_annotation',
+      method: 'method_signature',
+      methodName: 'property_identifier',
+      parameter: 'formal_parameter',
+      parameterName: 'identifier',
+      parameterType: 'type_annotation',
+      returnType: 'type_annotation',
+      extendsClause: 'extends_clause',
+      extendedInterface: 'type_identifier',
+      typeParameter: 'type_parameters',
+      typeParameterName: 'type_identifier'
+    },
+    functions: {
+      functionDeclaration: 'function_declaration',
+      functionExpression: 'function_expression',
+      arrowFunction: 'arrow_function',
+      functionName: 'identifier',
+      parameter: 'formal_parameters',
+      parameterName: 'identifier',
+      parameterType: 'type_annotation',
+      returnType: 'return_type',
+      exportKeyword: 'export_statement',
+      defaultKeyword: 'default',
+      asyncKeyword: 'async'
+    },
+    imports: {
+      // require('...') calls are CommonJS imports
+      importStatement: ['import_statement', 'export_statement', 'call_expression']
+    },
+    calls: {
+      callExpression: 'call_expression',
+      newExpression: 'new_expression',
+      typeReference: 'type_identifier'
+    }
+  },
+  visibility: 'modifiers',
+  parameterStyle: 'annotated',
+  decorators: true,
+  formatFunctionSignature({ name, parameters, returnType, isAsync }) {
+    return `${isAsync ? 'async ' : ''}function ${name}(${
+      parameters.map(p => `${p.name}: ${p.type}`).join(', ')
+    })${returnType !== 'void' ? ': ' + returnType : ''}`;
+  },
+  importSources,
+  resolveImport,
+  extractRoutes,
+  entryPoints: {
+    mainFiles: ['main.ts', 'index.ts', 'app.ts', 'server.ts', /\.cli\.ts$/],
+    moduleExports: true
+  }
+};
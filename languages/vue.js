@@ -0,0 +1,10 @@
+// Vue single-file component definition (discovered and counted, no code elements)
+module.exports = {
+  name: 'vue',
+  displayName: 'Vue',
+  extensions: ['.vue'],
+  grammar: {
+    package: 'tree-sitter-vue',
+    wasm: 'tree-sitter-vue.wasm'
+  }
+};
@@ -0,0 +1,22 @@
+; C symbols, imports and references for --extraction query
+
+; Structs
+(struct_specifier name: (type_identifier) @name body: (field_declaration_list)) @definition.class
+
+(field_declaration
+  type: (_) @type
+  declarator: (field_identifier) @name) @definition.field
+
+; Functions
+(function_definition
+  type: (_) @return_type
+  declarator: (function_declarator
+    declarator: (identifier) @name
+    parameters: (parameter_list) @parameters)) @definition.function
+
+; Imports
+(preproc_include path: (_) @import.source)
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(type_identifier) @name @reference.type
@@ -0,0 +1,40 @@
+; C# symbols, imports and references for --extraction query
+
+; Classes
+[
+  (class_declaration name: (identifier) @name)
+  (struct_declaration name: (identifier) @name)
+  (record_declaration name: (identifier) @name)
+] @definition.class
+
+(class_declaration bases: (base_list . (_) @superclass)) @definition.class
+
+(field_declaration
+  (variable_declaration
+    type: (_) @type
+    (variable_declarator (identifier) @name))) @definition.field
+
+(property_declaration
+  type: (_) @type
+  name: (identifier) @name) @definition.field
+
+(constructor_declaration
+  name: (identifier) @name
+  parameters: (parameter_list) @parameters) @definition.constructor
+
+(method_declaration
+  type: (_) @return_type
+  name: (identifier) @name
+  parameters: (parameter_list) @parameters) @definition.method
+
+; Interfaces
+(interface_declaration name: (identifier) @name) @definition.interface
+(interface_declaration bases: (base_list (_) @superclass)) @definition.interface
+
+; Imports
+(using_directive [(identifier) (qualified_name)] @import.source)
+
+; References
+(invocation_expression function: (identifier) @name) @reference.call
+(invocation_expression function: (member_access_expression name: (identifier) @name)) @reference.call
+(object_creation_expression type: (identifier) @name) @reference.class
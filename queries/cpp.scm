@@ -0,0 +1,54 @@
+; C++ symbols, imports and references for --extraction query
+
+; Classes and structs
+[
+  (class_specifier name: (type_identifier) @name body: (field_declaration_list))
+  (struct_specifier name: (type_identifier) @name body: (field_declaration_list))
+] @definition.class
+
+(class_specifier
+  (base_class_clause [(type_identifier) (qualified_identifier) (template_type)] @superclass)) @definition.class
+
+(field_declaration
+  type: (_) @type
+  declarator: (field_identifier) @name) @definition.field
+
+; Methods declared or defined in a class body
+(field_declaration_list
+  [
+    (function_definition
+      declarator: (function_declarator
+        declarator: [(field_identifier) (identifier)] @name
+        parameters: (parameter_list) @parameters))
+    (declaration
+      declarator: (function_declarator
+        declarator: [(field_identifier) (identifier)] @name
+        parameters: (parameter_list) @parameters))
+    (field_declaration
+      declarator: (function_declarator
+        declarator: [(field_identifier) (identifier)] @name
+        parameters: (parameter_list) @parameters))
+  ] @definition.method)
+
+; Free functions and out-of-class method definitions
+(translation_unit
+  (function_definition
+    type: (_)? @return_type
+    declarator: (function_declarator
+      declarator: [(identifier) (qualified_identifier)] @name
+      parameters: (parameter_list) @parameters)) @definition.function)
+(namespace_definition
+  body: (declaration_list
+    (function_definition
+      type: (_)? @return_type
+      declarator: (function_declarator
+        declarator: [(identifier) (qualified_identifier)] @name
+        parameters: (parameter_list) @parameters)) @definition.function))
+
+; Imports
+(preproc_include path: (_) @import.source)
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (field_expression field: (field_identifier) @name)) @reference.call
+(type_identifier) @name @reference.type
@@ -0,0 +1,35 @@
+; Go symbols, imports and references for --extraction query
+
+; Structs and interfaces
+(type_spec name: (type_identifier) @name type: (struct_type)) @definition.class
+(type_spec name: (type_identifier) @name type: (interface_type)) @definition.interface
+
+(field_declaration
+  name: (field_identifier) @name
+  type: (_) @type) @definition.field
+
+(interface_type
+  (_
+    name: (field_identifier) @name
+    parameters: (parameter_list) @parameters) @definition.method)
+
+; Functions and methods, attached to their receiver type
+(function_declaration
+  name: (identifier) @name
+  parameters: (parameter_list) @parameters) @definition.function
+
+(method_declaration
+  receiver: (parameter_list
+    (parameter_declaration
+      type: [(type_identifier) @receiver (pointer_type (type_identifier) @receiver)]))
+  name: (field_identifier) @name
+  parameters: (parameter_list) @parameters) @definition.method
+
+; Imports
+(import_spec path: (_) @import.source)
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (selector_expression field: (field_identifier) @name)) @reference.call
+(composite_literal type: (type_identifier) @name) @reference.class
+(type_identifier) @name @reference.type
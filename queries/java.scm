@@ -0,0 +1,36 @@
+; Java symbols, imports and references for --extraction query
+
+; Classes
+[
+  (class_declaration name: (identifier) @name)
+  (enum_declaration name: (identifier) @name)
+  (record_declaration name: (identifier) @name)
+] @definition.class
+
+(class_declaration superclass: (superclass (_) @superclass)) @definition.class
+(class_declaration interfaces: (super_interfaces (type_list (_) @implements))) @definition.class
+
+(field_declaration
+  type: (_) @type
+  declarator: (variable_declarator name: (identifier) @name)) @definition.field
+
+(constructor_declaration
+  name: (identifier) @name
+  parameters: (formal_parameters) @parameters) @definition.constructor
+
+(method_declaration
+  type: (_) @return_type
+  name: (identifier) @name
+  parameters: (formal_parameters) @parameters) @definition.method
+
+; Interfaces
+(interface_declaration name: (identifier) @name) @definition.interface
+(interface_declaration (extends_interfaces (type_list (_) @superclass))) @definition.interface
+
+; Imports
+(import_declaration [(scoped_identifier) (identifier)] @import.source (asterisk)? @import.wildcard)
+
+; References
+(method_invocation name: (identifier) @name) @reference.call
+(object_creation_expression type: (type_identifier) @name) @reference.class
+(type_identifier) @name @reference.type
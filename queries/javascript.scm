@@ -0,0 +1,36 @@
+; JavaScript symbols, imports and references for --extraction query
+
+; Classes
+(class_declaration name: (identifier) @name) @definition.class
+(class_declaration
+  (class_heritage (_) @superclass)) @definition.class
+
+(field_definition property: (property_identifier) @name) @definition.field
+
+(method_definition
+  name: (property_identifier) @name
+  parameters: (formal_parameters) @parameters) @definition.method
+
+; Functions
+[
+  (function_declaration name: (identifier) @name)
+  (generator_function_declaration name: (identifier) @name)
+] @definition.function
+
+(variable_declarator
+  name: (identifier) @name
+  value: [(arrow_function) (function_expression)] @definition.function)
+
+; Imports
+(import_statement source: (string (string_fragment) @import.source))
+(export_statement source: (string (string_fragment) @import.source))
+(call_expression
+  function: (identifier) @_require
+  arguments: (arguments . (string (string_fragment) @import.source))
+  (#eq? @_require "require"))
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(call_expression
+  function: (member_expression property: (property_identifier) @name)) @reference.call
+(new_expression constructor: (identifier) @name) @reference.class
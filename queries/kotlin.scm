@@ -0,0 +1,31 @@
+; Kotlin symbols, imports and references for --extraction query
+
+; Classes and interfaces share class_declaration; the keyword tells them apart
+(class_declaration "class" (type_identifier) @name) @definition.class
+(object_declaration (type_identifier) @name) @definition.class
+(class_declaration "interface" (type_identifier) @name) @definition.interface
+
+(class_declaration
+  (delegation_specifier (constructor_invocation (user_type) @superclass))) @definition.class
+(class_declaration
+  (delegation_specifier (user_type) @implements)) @definition.class
+
+(property_declaration
+  (variable_declaration (simple_identifier) @name (_)? @type)) @definition.field
+
+; Functions (methods when declared in a class body)
+(function_declaration
+  (simple_identifier) @name
+  (function_value_parameters) @parameters) @definition.function
+(function_declaration
+  (function_value_parameters)
+  . [(user_type) (nullable_type)] @return_type) @definition.function
+
+; Imports
+(import_header (identifier) @import.source (wildcard_import)? @import.wildcard)
+
+; References
+(call_expression (simple_identifier) @name) @reference.call
+(call_expression
+  (navigation_expression (navigation_suffix (simple_identifier) @name))) @reference.call
+(type_identifier) @name @reference.type
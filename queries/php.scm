@@ -0,0 +1,36 @@
+; PHP symbols, imports and references for --extraction query
+
+; Classes
+[
+  (class_declaration name: (name) @name)
+  (trait_declaration name: (name) @name)
+] @definition.class
+
+(class_declaration (base_clause (_) @superclass)) @definition.class
+(class_declaration (class_interface_clause (_) @implements)) @definition.class
+
+(property_declaration
+  (property_element (variable_name) @name)) @definition.field
+
+(method_declaration
+  name: (name) @name
+  parameters: (formal_parameters) @parameters) @definition.method
+
+; Interfaces
+(interface_declaration name: (name) @name) @definition.interface
+(interface_declaration (base_clause (_) @superclass)) @definition.interface
+
+; Functions
+(function_definition
+  name: (name) @name
+  parameters: (formal_parameters) @parameters) @definition.function
+
+; Imports
+(namespace_use_clause [(qualified_name) (name)] @import.source)
+(include_expression (string) @import.source)
+(require_once_expression (string) @import.source)
+
+; References
+(function_call_expression function: (_) @name) @reference.call
+(member_call_expression name: (name) @name) @reference.call
+(object_creation_expression (name) @name) @reference.class
@@ -0,0 +1,35 @@
+; Python symbols, imports and references for --extraction query
+
+; Classes
+(class_definition name: (identifier) @name) @definition.class
+(class_definition
+  superclasses: (argument_list . [(identifier) (attribute)] @superclass)) @definition.class
+
+(class_definition
+  body: (block
+    (expression_statement
+      (assignment
+        left: (identifier) @name
+        type: (_)? @type) @definition.field)))
+
+; Functions (methods when defined in a class body)
+(function_definition
+  name: (identifier) @name
+  parameters: (parameters) @parameters
+  return_type: (_)? @return_type) @definition.function
+
+(decorated_definition
+  (decorator [(identifier) (attribute)] @decorator)
+  definition: (function_definition) @definition.function)
+(decorated_definition
+  (decorator (call function: (_) @decorator))
+  definition: (function_definition) @definition.function)
+
+; Imports
+(import_statement name: (dotted_name) @import.source)
+(import_statement name: (aliased_import name: (dotted_name) @import.source))
+(import_from_statement module_name: (_) @import.source)
+
+; References
+(call function: (identifier) @name) @reference.call
+(call function: (attribute attribute: (identifier) @name)) @reference.call
@@ -0,0 +1,23 @@
+; Ruby symbols, imports and references for --extraction query
+
+; Classes
+(class name: (constant) @name) @definition.class
+(class superclass: (superclass (_) @superclass)) @definition.class
+
+; Methods (instance and singleton)
+(method
+  name: (identifier) @name
+  parameters: (method_parameters)? @parameters) @definition.function
+(singleton_method
+  name: (identifier) @name
+  parameters: (method_parameters)? @parameters) @definition.function
+
+; Imports
+(call
+  method: (identifier) @_require
+  arguments: (argument_list . (string (string_content) @import.source))
+  (#match? @_require "^require(_relative)?$"))
+
+; References
+(call method: (identifier) @name) @reference.call
+(call receiver: (constant) @name) @reference.class
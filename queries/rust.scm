@@ -0,0 +1,46 @@
+; Rust symbols, imports and references for --extraction query
+
+; Structs, enums and traits
+[
+  (struct_item name: (type_identifier) @name)
+  (enum_item name: (type_identifier) @name)
+] @definition.class
+
+(field_declaration
+  name: (field_identifier) @name
+  type: (_) @type) @definition.field
+
+(trait_item name: (type_identifier) @name) @definition.interface
+
+(function_signature_item
+  name: (identifier) @name
+  parameters: (parameters) @parameters
+  return_type: (_)? @return_type) @definition.method
+
+; Functions, and methods attached to the type of their impl block
+(function_item
+  name: (identifier) @name
+  parameters: (parameters) @parameters
+  return_type: (_)? @return_type) @definition.function
+
+(impl_item
+  type: [(type_identifier) @receiver (generic_type type: (type_identifier) @receiver)]
+  body: (declaration_list
+    (function_item
+      name: (identifier) @name
+      parameters: (parameters) @parameters
+      return_type: (_)? @return_type) @definition.method))
+
+(impl_item
+  trait: [(type_identifier) @implements (generic_type type: (type_identifier) @implements)]
+  type: (type_identifier) @name) @definition.implementation
+
+; Imports
+(use_declaration argument: (_) @import.source)
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (field_expression field: (field_identifier) @name)) @reference.call
+(call_expression function: (scoped_identifier name: (identifier) @name)) @reference.call
+(struct_expression name: (type_identifier) @name) @reference.class
+(type_identifier) @name @reference.type
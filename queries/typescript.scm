@@ -0,0 +1,65 @@
+; TypeScript symbols, imports and references for --extraction query
+
+; Classes
+[
+  (class_declaration name: (type_identifier) @name)
+  (abstract_class_declaration name: (type_identifier) @name)
+] @definition.class
+
+(class_declaration
+  (class_heritage (extends_clause value: (_) @superclass))) @definition.class
+(class_declaration
+  (class_heritage
+    (implements_clause
+      [(type_identifier) @implements (generic_type name: (type_identifier) @implements)]))) @definition.class
+
+(public_field_definition
+  name: (property_identifier) @name
+  type: (type_annotation)? @type) @definition.field
+
+(method_definition
+  name: (property_identifier) @name
+  parameters: (formal_parameters) @parameters
+  return_type: (type_annotation)? @return_type) @definition.method
+
+; Interfaces
+(interface_declaration name: (type_identifier) @name) @definition.interface
+(interface_declaration
+  (type_parameters (type_parameter name: (type_identifier) @type_parameter))) @definition.interface
+(interface_declaration
+  (extends_type_clause
+    [(type_identifier) @superclass (generic_type name: (type_identifier) @superclass)])) @definition.interface
+
+(property_signature
+  name: (property_identifier) @name
+  type: (type_annotation)? @type) @definition.field
+
+(method_signature
+  name: (property_identifier) @name
+  parameters: (formal_parameters) @parameters
+  return_type: (type_annotation)? @return_type) @definition.method
+
+; Functions
+[
+  (function_declaration name: (identifier) @name)
+  (generator_function_declaration name: (identifier) @name)
+] @definition.function
+
+(variable_declarator
+  name: (identifier) @name
+  value: [(arrow_function) (function_expression)] @definition.function)
+
+; Imports
+(import_statement source: (string (string_fragment) @import.source))
+(export_statement source: (string (string_fragment) @import.source))
+(call_expression
+  function: (identifier) @_require
+  arguments: (arguments . (string (string_fragment) @import.source))
+  (#eq? @_require "require"))
+
+; References
+(call_expression function: (identifier) @name) @reference.call
+(call_expression
+  function: (member_expression property: (property_identifier) @name)) @reference.call
+(new_expression constructor: (identifier) @name) @reference.class
+(type_identifier) @name @reference.type
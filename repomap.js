@@ -1,103 +1,69 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const commander = require('commander');
-// Import tree-sitter correctly
+const languages = require('./languages');
+const { version: VERSION } = require('./package.json');
+// Import tree-sitter correctly. A failure here is only reported when a native
+// parser is needed, since the WebAssembly backend works without it.
 let Parser;
+let nativeParserError = null;
 try {
   Parser = require('tree-sitter');
 } catch (error) {
-  console.error('Error importing tree-sitter:', error.message);
-  console.error('Please install tree-sitter with npm: npm install tree-sitter');
-}
-
-// Setup commander
-const program = new commander.Command();
-program
-  .name('repomapper')
-  .description('Generate a comprehensive repository map with code structure visualization')
-  .version('1.0.0')
-  .option('-d, --directory <dir>', 'Target directory to analyze (default: current directory)', process.cwd())
-  .option('-o, --output <file>', 'Output file path', 'repomap.gen.md')
-  .option('-l, --language <lang>', 'Force specific language (auto-detected if not specified)')
-  .option('-e, --exclude <pattern>', 'File patterns to exclude (comma-separated)', 'node_modules,dist,build,.git,**/test/**,**/*.spec.*,**/*.test.*')
-  .option('-m, --max-files <number>', 'Maximum number of files to process', 1000)
-  .option('-i, --include <pattern>', 'File patterns to include (comma-separated)', '**/*')
-  .option('-s, --no-services', 'Skip services diagram generation', true)
-  .option('-c, --no-components', 'Skip component diagram generation', true)
-  .option('-r, --no-routes', 'Skip routes diagram generation', true)
-  .option('--debug', 'Enable debug logging', false)
-  .option('--install-deps', 'Install required dependencies', false)
-  .option('--install-all-langs', 'Install parsers for all supported languages', false)
-  .option('--install-langs <langs>', 'Install specific language parsers (comma-separated, e.g., "python,ruby,go")')
-  .option('--global-install', 'Install this tool globally as a CLI command', false)
-  .parse(process.argv);
-
-const options = program.opts();
-
-// Handle global installation if requested
-if (options.globalInstall) {
-  console.log('Installing repomapper globally...');
-  try {
-    const { execSync } = require('child_process');
-    execSync('npm link', { stdio: 'inherit' });
-    console.log('\nSuccess! The "repomapper" command has been installed globally.');
-    console.log('You can now run it from anywhere using:');
-    console.log('\n  repomapper [options]\n');
-    process.exit(0);
-  } catch (error) {
-    console.error('Failed to install globally:', error.message);
-    console.error('You might need to run this command with sudo or as administrator.');
-    process.exit(1);
-  }
+  nativeParserError = error;
 }
 
-// Handle dependency installation if requested
-if (options.installDeps || options.installAllLangs || options.installLangs) {
-  installDependencies();
-  if (!options.directory) {
-    // If only installing dependencies without running analysis, exit
-    process.exit(0);
-  }
-}
-
-// Supported languages and their file extensions
-const SUPPORTED_LANGUAGES = {
-  'typescript': ['.ts', '.tsx'],
-  'javascript': ['.js', '.jsx'],
-  'python': ['.py'],
-  'ruby': ['.rb'],
-  'go': ['.go'],
-  'rust': ['.rs'],
-  'cpp': ['.cpp', '.cc', '.cxx', '.hpp', '.h', '.hxx'],
-  'c': ['.c', '.h'],
-  'c_sharp': ['.cs'],
-  'java': ['.java'],
-  'php': ['.php'],
-  'kotlin': ['.kt', '.kts'],
-  'swift': ['.swift'],
-  'html': ['.html', '.htm'],
-  'css': ['.css'],
-  'vue': ['.vue']
+// WebAssembly tree-sitter runtime, initialized on first use
+let WebParser = null;
+
+// Defaults for the options of an analysis, shared by the CLI and the library API
+const DEFAULT_OPTIONS = {
+  directory: '.',
+  output: 'repomap.gen.md',
+  format: 'markdown',
+  exclude: 'node_modules,dist,build,.git,**/test/**,**/*.spec.*,**/*.test.*',
+  maxFiles: 1000,
+  include: '**/*',
+  ignoreFiles: true,
+  services: true,
+  components: true,
+  routes: true,
+  parserBackend: 'auto',
+  extraction: 'ast',
+  cache: false,
+  layers: false,
+  linkBase: null,
+  jobs: os.availableParallelism(),
+  debug: false,
+  quiet: false
 };
 
-// Initialize global variables
-const baseDir = path.resolve(options.directory);
-const outputFile = path.resolve(options.output);
-let detectedLanguage = options.language;
+// Options of the current analysis or rendering, set by configure()
+let options = { ...DEFAULT_OPTIONS };
+let baseDir = path.resolve(options.directory);
+let detectedLanguages = [];
+// Parse cache directory, or null when caching is off
+let cacheDir = null;
+// Layering rules from --layers, or null when layers are not checked
+let layerRules = null;
 
 /**
  * Install required dependencies
  */
-function installDependencies() {
+function installDependencies(installOptions) {
   console.log('Installing required dependencies...');
   
   // Core dependencies
   const coreDeps = [
     'commander',
     'tree-sitter',
+    'web-tree-sitter',
     'tree-sitter-typescript',
     'tree-sitter-javascript'
   ];
@@ -111,34 +77,27 @@ function installDependencies() {
     process.exit(1);
   }
   
-  // Language-specific parsers
-  const langParsers = {
-    'python': 'tree-sitter-python',
-    'ruby': 'tree-sitter-ruby',
-    'go': 'tree-sitter-go',
-    'rust': 'tree-sitter-rust',
-    'cpp': 'tree-sitter-cpp',
-    'c': 'tree-sitter-c',
-    'c_sharp': 'tree-sitter-c-sharp',
-    'java': 'tree-sitter-java',
-    'php': 'tree-sitter-php',
-    'kotlin': 'tree-sitter-kotlin',
-    'html': 'tree-sitter-html',
-    'css': 'tree-sitter-css',
-    'vue': 'tree-sitter-vue'
-  };
+  // Language-specific parsers published on npm, from the language definitions
+  const langParsers = {};
+  languages.getLanguages().forEach(definition => {
+    const pkg = definition.grammar.package;
+    if (pkg && !coreDeps.includes(pkg) && !pkg.startsWith('.') && !path.isAbsolute(pkg)) {
+      langParsers[definition.name] = pkg;
+    }
+  });
   
   // Install specific language parsers
-  if (options.installAllLangs) {
+  if (installOptions.installAllLangs) {
     console.log('Installing all language parsers...');
-    const allParsers = Object.values(langParsers);
+    // tree-sitter-wasms provides prebuilt WebAssembly grammars for the wasm backend
+    const allParsers = [...Object.values(langParsers), 'tree-sitter-wasms'];
     try {
       execSync(`npm install ${allParsers.join(' ')}`, { stdio: 'inherit' });
     } catch (error) {
       console.warn('Some language parsers failed to install. This may be expected for less common languages.');
     }
-  } else if (options.installLangs) {
-    const requestedLangs = options.installLangs.split(',').map(l => l.trim());
+  } else if (installOptions.installLangs) {
+    const requestedLangs = installOptions.installLangs.split(',').map(l => l.trim());
     console.log(`Installing parsers for: ${requestedLangs.join(', ')}...`);
     
     // Install each requested parser
@@ -166,118 +125,644 @@ const debug = (message) => {
   }
 };
 
+// Progress messages, silenced with the quiet option
+const log = (message) => {
+  if (!options.quiet) {
+    console.log(message);
+  }
+};
+
+// Supported tree-sitter backends
+const PARSER_BACKENDS = ['auto', 'native', 'wasm'];
+
+// Local grammar cache searched for .wasm files after --wasm-dir
+const WASM_CACHE_DIR = path.join(os.homedir(), '.cache', 'repomapper', 'wasm');
+
+// npm package (or plugin-relative path) that provides the grammar for a language.
+// Without a definition the package follows the usual naming (c_sharp -> tree-sitter-c-sharp).
+function grammarPackageName(lang) {
+  const definition = languages.getLanguage(lang);
+  const pkg = definition && definition.grammar.package;
+  if (!pkg) {
+    return `tree-sitter-${lang.replace(/_/g, '-')}`;
+  }
+  return pkg.startsWith('.') ? path.resolve(definition.baseDir, pkg) : pkg;
+}
+
 // Load language parser dynamically
 async function loadLanguageParser(lang) {
   try {
     debug(`Loading parser for language: ${lang}`);
     
     // Try to require the language module
-    const languageModule = require(`tree-sitter-${lang}`);
+    const languageModule = require(grammarPackageName(lang));
+    const definition = languages.getLanguage(lang);
+    const exportName = (definition && definition.grammar.export) || lang;
     
     // Different modules export their language in different ways
-    if (languageModule[lang]) {
-      return languageModule[lang];
+    if (languageModule[exportName]) {
+      return languageModule[exportName];
     } else if (typeof languageModule === 'function') {
       return languageModule;
     } else {
       return languageModule;
     }
   } catch (error) {
-    console.error(`Failed to load language parser for ${lang}: ${error.message}`);
-    console.error('You may need to install it with: --install-deps --install-langs ' + lang);
-    process.exit(1);
+    debug(`Failed to load native grammar for ${lang}: ${error.message}`);
+    return null;
   }
 }
 
-// Detect repository language
-async function detectLanguage() {
-  if (detectedLanguage) {
-    debug(`Using specified language: ${detectedLanguage}`);
-    return detectedLanguage;
+// Create a parser using the native node-gyp bindings
+async function createNativeParser(lang) {
+  if (!Parser) {
+    debug(`Native tree-sitter unavailable: ${nativeParserError ? nativeParserError.message : 'not installed'}`);
+    return null;
+  }
+  
+  const languageParser = await loadLanguageParser(lang);
+  if (!languageParser) {
+    return null;
   }
-
-  debug('Auto-detecting repository language...');
   
-  // Get file extensions in the repository
-  // Convert glob-like patterns in exclude list to basic grep patterns
-  const excludePattern = options.exclude
-    .replace(/,/g, '\\|')
-    .replace(/\*\*\//g, '')  // Remove **/ prefix
-    .replace(/\/\*\*/g, '')  // Remove /** suffix
-    .replace(/\*/g, '.*');   // Convert * to .* for grep
+  try {
+    let parser;
+    if (typeof Parser === 'function') {
+      parser = new Parser();
+    } else if (Parser && typeof Parser.Parser === 'function') {
+      parser = new Parser.Parser();
+    } else {
+      throw new Error('Could not initialize Parser - tree-sitter may not be installed correctly');
+    }
+    // Throws when the grammar was built against an incompatible tree-sitter core
+    parser.setLanguage(languageParser);
+    grammarVersions.set(lang, `native:${grammarPackageVersion(lang)}`);
+    return parser;
+  } catch (error) {
+    debug(`Error initializing native ${lang} parser: ${error.message}`);
+    return null;
+  }
+}
 
-  const findCmd = process.platform === 'win32'
-    ? `dir /s /b ${baseDir} | findstr /i "\\."`
-    : `find ${baseDir} -type f -name "*.*" | grep -v "${excludePattern}"`;  
+// Find a WebAssembly grammar: --wasm-dir, the local cache, the grammar package,
+// then the prebuilt grammars shipped by tree-sitter-wasms
+function findWasmGrammar(lang) {
+  const definition = languages.getLanguage(lang);
+  const wasm = (definition && definition.grammar.wasm) || `tree-sitter-${lang}.wasm`;
+  const fileName = path.basename(wasm);
+  const candidates = [];
+  
+  if (options.wasmDir) {
+    candidates.push(path.resolve(options.wasmDir, fileName));
+  }
+  // A plugin may point at its own grammar file
+  if (definition && wasm !== fileName) {
+    candidates.push(path.resolve(definition.baseDir, wasm));
+  }
+  candidates.push(path.join(WASM_CACHE_DIR, fileName));
+  
+  [grammarPackageName(lang), 'tree-sitter-wasms'].forEach(pkg => {
+    try {
+      const pkgDir = path.dirname(require.resolve(`${pkg}/package.json`));
+      candidates.push(path.join(pkgDir, fileName), path.join(pkgDir, 'out', fileName));
+    } catch (error) {
+      // Package not installed
+    }
+  });
+  
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
 
+// Create a parser backed by web-tree-sitter and a .wasm grammar
+async function createWasmParser(lang) {
+  try {
+    if (!WebParser) {
+      const runtime = require('web-tree-sitter');
+      await runtime.init();
+      WebParser = runtime;
+    }
+  } catch (error) {
+    debug(`web-tree-sitter unavailable: ${error.message}`);
+    return null;
+  }
+  
+  const grammarPath = findWasmGrammar(lang);
+  if (!grammarPath) {
+    debug(`No WebAssembly grammar found for ${lang}`);
+    return null;
+  }
+  
   try {
-    const files = execSync(findCmd, { encoding: 'utf8' }).split('\n');
+    debug(`Loading WebAssembly grammar: ${grammarPath}`);
+    const language = await WebParser.Language.load(grammarPath);
+    const parser = new WebParser();
+    parser.setLanguage(language);
+    grammarVersions.set(lang, `wasm:${hashContent(fs.readFileSync(grammarPath))}`);
+    return parser;
+  } catch (error) {
+    debug(`Error initializing WebAssembly ${lang} parser: ${error.message}`);
+    return null;
+  }
+}
+
+// Create a tree-sitter parser for a language with the selected backend,
+// or null when no usable grammar is available
+async function createParser(lang) {
+  const backend = options.parserBackend || 'auto';
+  
+  if (backend !== 'wasm') {
+    const parser = await createNativeParser(lang);
+    if (parser) {
+      return parser;
+    }
     
-    // Count extensions
-    const extensionCount = {};
-    files.forEach(file => {
-      const ext = path.extname(file).toLowerCase();
-      if (ext) {
-        extensionCount[ext] = (extensionCount[ext] || 0) + 1;
+    if (backend === 'native') {
+      console.warn(`Failed to load native language parser for ${lang}`);
+      console.warn(`You may need to install it with: --install-deps --install-langs ${lang}, or use --parser-backend wasm`);
+      return null;
+    }
+    
+    debug(`Falling back to WebAssembly grammar for ${lang}`);
+  }
+  
+  const parser = await createWasmParser(lang);
+  if (!parser) {
+    console.warn(`Failed to load a language parser for ${lang}`);
+    console.warn(`Install web-tree-sitter and tree-sitter-wasms, or place tree-sitter-${lang}.wasm in ${options.wasmDir || WASM_CACHE_DIR}`);
+  }
+  return parser;
+}
+
+// Split a comma-separated pattern list, keeping commas inside {a,b} groups intact
+function splitPatternList(value) {
+  if (!value) {
+    return [];
+  }
+  
+  const list = Array.isArray(value) ? value.join(',') : String(value);
+  const patterns = [];
+  let current = '';
+  let depth = 0;
+  
+  for (const char of list) {
+    if (char === '{') {
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+    }
+    
+    if (char === ',' && depth === 0) {
+      patterns.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  patterns.push(current.trim());
+  
+  return patterns.filter(Boolean);
+}
+
+// Expand brace alternatives such as src/{app,lib}/**/*.{ts,tsx} into plain globs
+function expandBraces(pattern) {
+  // Find the first top-level brace group
+  let start = -1;
+  let depth = 0;
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      
+      if (depth === 0) {
+        const body = pattern.slice(start + 1, i);
+        const prefix = pattern.slice(0, start);
+        const suffix = pattern.slice(i + 1);
+        
+        // Split the body on top-level commas only
+        const alternatives = [];
+        let current = '';
+        let innerDepth = 0;
+        for (const c of body) {
+          if (c === '{') innerDepth++;
+          if (c === '}') innerDepth--;
+          if (c === ',' && innerDepth === 0) {
+            alternatives.push(current);
+            current = '';
+          } else {
+            current += c;
+          }
+        }
+        alternatives.push(current);
+        
+        // A group without a comma is not an alternation, keep it literal
+        if (alternatives.length < 2) {
+          return expandBraces(suffix).map(rest => `${prefix}{${body}}${rest}`);
+        }
+        
+        return alternatives.flatMap(alt => expandBraces(prefix + alt + suffix));
+      }
+    }
+  }
+  
+  return [pattern];
+}
+
+// Convert a single glob (no braces) into an anchored regular expression
+function globToRegExp(glob) {
+  let regex = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        
+        if (atSegmentStart && atSegmentEnd) {
+          if (glob[i + 2] === '/') {
+            // "**/" matches zero or more leading directories
+            regex += '(?:.*/)?';
+            i += 2;
+          } else if (i > 0) {
+            // Trailing "/**" matches everything inside the directory
+            regex = regex.slice(0, -1) + '(?:/.*)?';
+            i += 1;
+          } else {
+            regex += '.*';
+            i += 1;
+          }
+          continue;
+        }
+        
+        // "**" in the middle of a segment behaves like "*"
+        regex += '[^/]*';
+        i += 1;
+        continue;
+      }
+      
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        regex += '\\[';
+        continue;
       }
+      
+      let set = glob.slice(i + 1, close);
+      if (set.startsWith('!') || set.startsWith('^')) {
+        set = '^' + set.slice(1);
+      }
+      regex += `[${set.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      regex += glob[i + 1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i++;
+    } else {
+      regex += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${regex}$`);
+}
+
+// Compile a glob list into a matcher. Later patterns win and "!" negates,
+// so "dist,!dist/public/**" excludes dist except its public folder.
+function createGlobMatcher(patterns) {
+  const rules = [];
+  
+  splitPatternList(patterns).forEach(rawPattern => {
+    let pattern = rawPattern;
+    let negated = false;
+    
+    if (pattern.startsWith('!')) {
+      negated = true;
+      pattern = pattern.slice(1);
+    }
+    
+    pattern = pattern.replace(/^\.\//, '');
+    
+    // Patterns without a slash match a file or directory name at any depth
+    const trimmed = pattern.replace(/\/+$/, '');
+    const anchored = trimmed.includes('/');
+    const normalized = anchored ? trimmed.replace(/^\//, '') : `**/${trimmed}`;
+    
+    if (!trimmed) {
+      return;
+    }
+    
+    expandBraces(normalized).forEach(glob => {
+      rules.push({ pattern: rawPattern, negated, glob, regex: globToRegExp(glob) });
     });
+  });
+  
+  // Returns true (matched), false (negated) or null (no rule applies)
+  const matcher = (relativePath) => {
+    const normalizedPath = relativePath.split(path.sep).join('/');
     
-    // Find which language has the most files
-    let bestMatch = null;
-    let bestMatchCount = 0;
+    // A path is matched when it or one of its parent directories matches
+    const candidates = [];
+    const segments = normalizedPath.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      candidates.push(segments.slice(0, i).join('/'));
+    }
     
-    for (const [lang, extensions] of Object.entries(SUPPORTED_LANGUAGES)) {
-      const count = extensions.reduce((sum, ext) => sum + (extensionCount[ext] || 0), 0);
-      if (count > bestMatchCount) {
-        bestMatch = lang;
-        bestMatchCount = count;
+    let result = null;
+    for (const rule of rules) {
+      if (candidates.some(candidate => rule.regex.test(candidate))) {
+        result = !rule.negated;
       }
     }
     
-    if (bestMatch && bestMatchCount > 0) {
-      debug(`Auto-detected language: ${bestMatch} (${bestMatchCount} files)`);
-      return bestMatch;
+    return result;
+  };
+  
+  // Whether a negated pattern could match something inside a directory, which must
+  // then be walked even when it is matched: "!dist/public/**" reaches into dist but
+  // not into node_modules
+  matcher.mayReinclude = (relativeDir) => {
+    const dirSegments = relativeDir.split(path.sep).join('/').split('/');
+    
+    const reaches = (globSegments, index) => {
+      if (index === dirSegments.length || globSegments.length === 0 || globSegments[0] === '**') {
+        return true;
+      }
+      return globToRegExp(globSegments[0]).test(dirSegments[index]) &&
+        reaches(globSegments.slice(1), index + 1);
+    };
+    
+    return rules.some(rule => rule.negated && reaches(rule.glob.split('/'), 0));
+  };
+  
+  matcher.rules = rules;
+  
+  return matcher;
+}
+
+// Ignore files read in every directory, in increasing order of precedence
+const IGNORE_FILE_NAMES = ['.gitignore', '.ignore', '.repomapignore'];
+
+// Parse gitignore-style content into rules relative to baseDir
+function parseIgnoreFile(content, baseDir, source) {
+  const rules = [];
+  
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    // Trailing whitespace is ignored unless escaped with a backslash
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    
+    if (!line || line.startsWith('#')) {
+      return;
     }
     
-    // Default to JavaScript if detection fails
-    console.warn('Could not auto-detect language, defaulting to JavaScript');
-    return 'javascript';
-  } catch (error) {
-    console.error('Error detecting language:', error.message);
-    console.warn('Defaulting to JavaScript');
-    return 'javascript';
+    let negated = false;
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+    
+    // A trailing slash restricts the pattern to directories
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    
+    if (!line) {
+      return;
+    }
+    
+    // A slash anywhere but the end anchors the pattern to the ignore file's directory
+    const anchored = line.includes('/');
+    const glob = anchored ? line.replace(/^\//, '') : `**/${line}`;
+    
+    rules.push({
+      baseDir,
+      negated,
+      dirOnly,
+      regex: globToRegExp(glob),
+      source: `${source}:${index + 1}`
+    });
+  });
+  
+  return rules;
+}
+
+// Read the ignore rules declared in a single directory
+function readIgnoreRules(dir) {
+  const rules = [];
+  
+  IGNORE_FILE_NAMES.forEach(fileName => {
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) {
+      try {
+        rules.push(...parseIgnoreFile(fs.readFileSync(filePath, 'utf8'), dir, filePath));
+      } catch (error) {
+        debug(`Could not read ${filePath}: ${error.message}`);
+      }
+    }
+  });
+  
+  return rules;
+}
+
+// Locate the enclosing git work tree, if any
+function findGitRoot(startDir) {
+  let dir = path.resolve(startDir);
+  
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      return dir;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
   }
 }
 
-// Find all files of detected language type
-function findFiles(language) {
-  const extensions = SUPPORTED_LANGUAGES[language] || ['.js'];
-  const extensionPattern = extensions
-    .map(ext => ext.replace('.', ''))
-    .join('\\|');
+// Collect the rules that apply at rootDir: .git/info/exclude first, then every
+// ignore file between the work tree root and rootDir (deeper files win)
+function loadInheritedIgnoreRules(rootDir) {
+  const rules = [];
+  const gitRoot = findGitRoot(rootDir);
+  
+  if (!gitRoot) {
+    return readIgnoreRules(rootDir);
+  }
+  
+  const excludeFile = path.join(gitRoot, '.git', 'info', 'exclude');
+  if (fs.existsSync(excludeFile)) {
+    try {
+      rules.push(...parseIgnoreFile(fs.readFileSync(excludeFile, 'utf8'), gitRoot, excludeFile));
+    } catch (error) {
+      debug(`Could not read ${excludeFile}: ${error.message}`);
+    }
+  }
+  
+  const relativeParts = path.relative(gitRoot, rootDir).split(path.sep).filter(Boolean);
+  let dir = gitRoot;
+  rules.push(...readIgnoreRules(dir));
+  relativeParts.forEach(part => {
+    dir = path.join(dir, part);
+    rules.push(...readIgnoreRules(dir));
+  });
   
-  // Convert glob-like patterns in exclude list to basic grep patterns
-  const excludePattern = options.exclude
-    .replace(/,/g, '\\|')
-    .replace(/\*\*\//g, '')  // Remove **/ prefix
-    .replace(/\/\*\*/g, '')  // Remove /** suffix
-    .replace(/\*/g, '.*');   // Convert * to .* for grep
+  return rules;
+}
+
+// Check a path against ignore rules using git semantics (the last matching rule wins)
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false;
   
-  // Create a dynamic find command based on the extensions
-  let findCmd;
-  if (process.platform === 'win32') {
-    findCmd = `dir /s /b ${baseDir} | findstr /i "\\.${extensionPattern}$" | findstr /v "${excludePattern}"`;
-  } else {
-    // For Unix-like systems, use multiple -name patterns with -o (OR) operator
-    const extensionPatterns = extensions.map(ext => `-name "*${ext}"`).join(' -o ');
-    findCmd = `find ${baseDir} -type f \\( ${extensionPatterns} \\) | grep -v "${excludePattern}"`;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    
+    const relativePath = path.relative(rule.baseDir, fullPath);
+    if (!relativePath || relativePath.startsWith('..')) {
+      continue;
+    }
+    
+    if (rule.regex.test(relativePath.split(path.sep).join('/'))) {
+      ignored = !rule.negated;
+    }
+  }
+  
+  return ignored;
+}
+
+// Walk the target directory and return every file accepted by --include/--exclude and ignore files
+function walkRepository(rootDir) {
+  const includeMatcher = createGlobMatcher(options.include || '**/*');
+  const excludeMatcher = createGlobMatcher(options.exclude || '');
+  const useIgnoreFiles = options.ignoreFiles !== false;
+  const files = [];
+  
+  const walk = (dir, inheritedRules) => {
+    // Rules from this directory's ignore files apply to everything below it
+    const rules = useIgnoreFiles && dir !== rootDir
+      ? inheritedRules.concat(readIgnoreRules(dir))
+      : inheritedRules;
+    
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      debug(`Skipping unreadable directory ${dir}: ${error.message}`);
+      return;
+    }
+    
+    // Sort so the result is stable across platforms and file systems
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(rootDir, fullPath);
+      
+      if (entry.isDirectory()) {
+        // The parse cache holds derived data only
+        if (fullPath === cacheDir) {
+          continue;
+        }
+        // Prune excluded directories unless a negated pattern could re-include something inside
+        if (excludeMatcher(relativePath) === true && !excludeMatcher.mayReinclude(relativePath)) {
+          debug(`Excluding directory ${relativePath}`);
+          continue;
+        }
+        // Like git, an ignored directory cannot have its contents re-included
+        if (isIgnored(fullPath, true, rules)) {
+          debug(`Ignoring directory ${relativePath}`);
+          continue;
+        }
+        walk(fullPath, rules);
+      } else if (entry.isFile()) {
+        if (excludeMatcher(relativePath) === true) {
+          continue;
+        }
+        if (isIgnored(fullPath, false, rules)) {
+          continue;
+        }
+        if (includeMatcher(relativePath) !== true) {
+          continue;
+        }
+        files.push(fullPath);
+      }
+    }
+  };
+  
+  walk(rootDir, useIgnoreFiles ? loadInheritedIgnoreRules(rootDir) : []);
+  return files;
+}
+
+// Resolve the language of a file from its extension. Extensions shared by several
+// languages (like .h) go to the first candidate that claims them.
+function getLanguageForFile(filePath, candidates = languages.getLanguages().map(definition => definition.name)) {
+  const ext = path.extname(filePath).toLowerCase();
+  return candidates.find(lang => {
+    const definition = languages.getLanguage(lang);
+    return definition && definition.extensions.includes(ext);
+  }) || null;
+}
+
+// Detect every supported language in the repository, most common first
+async function detectLanguages() {
+  if (detectedLanguages.length > 0) {
+    debug(`Using specified languages: ${detectedLanguages.join(', ')}`);
+    return detectedLanguages;
+  }
+
+  debug('Auto-detecting repository languages...');
+  
+  try {
+    const files = walkRepository(baseDir);
+    
+    // Count files per language
+    const languageCount = {};
+    files.forEach(file => {
+      const lang = getLanguageForFile(file);
+      if (lang) {
+        languageCount[lang] = (languageCount[lang] || 0) + 1;
+      }
+    });
+    
+    const languages = Object.entries(languageCount)
+      .sort((a, b) => b[1] - a[1])
+      .map(([lang, count]) => {
+        debug(`Detected language: ${lang} (${count} files)`);
+        return lang;
+      });
+    
+    if (languages.length > 0) {
+      return languages;
+    }
+    
+    // Default to JavaScript if detection fails
+    console.warn('Could not auto-detect language, defaulting to JavaScript');
+    return ['javascript'];
+  } catch (error) {
+    console.error('Error detecting languages:', error.message);
+    console.warn('Defaulting to JavaScript');
+    return ['javascript'];
   }
+}
 
-  debug(`Running find command: ${findCmd}`);
+// Find all files belonging to the given languages
+function findFiles(languages) {
+  debug(`Walking ${baseDir} (include: ${options.include}, exclude: ${options.exclude})`);
   
   try {
-    const output = execSync(findCmd, { encoding: 'utf8' });
-    const files = output.trim().split('\n').filter(Boolean);
+    const files = walkRepository(baseDir)
+      .filter(file => getLanguageForFile(file, languages));
     
     // Limit the number of files if needed
     if (files.length > options.maxFiles) {
@@ -285,10 +770,10 @@ function findFiles(language) {
       return files.slice(0, options.maxFiles);
     }
     
-    debug(`Found ${files.length} ${language} files`);
+    debug(`Found ${files.length} files for ${languages.join(', ')}`);
     return files;
   } catch (error) {
-    console.error(`Error finding ${language} files:`, error.message);
+    console.error(`Error finding ${languages.join(', ')} files:`, error.message);
     return [];
   }
 }
@@ -303,142 +788,111 @@ function readFileContent(filePath) {
   }
 }
 
+// Node type mapping for one extractor (classes, interfaces, functions or imports),
+// or null when the language definition does not describe it
+function getNodeTypes(language, category) {
+  const definition = languages.getLanguage(language);
+  return (definition && definition.nodeTypes[category]) || null;
+}
+
+// Nodes put in front of a declaration: decorators, annotations and attributes
+const ANNOTATION_NODE_TYPES = ['decorator', 'annotation', 'marker_annotation', 'attribute_list', 'comment'];
+
+// Where a declaration starts past its decorators and annotations, which Java and
+// Kotlin keep among the modifiers
+function declarationStart(node) {
+  for (const child of node.children) {
+    if (ANNOTATION_NODE_TYPES.includes(child.type)) continue;
+    if (child.type === 'modifiers' && child.children.every(c => ANNOTATION_NODE_TYPES.includes(c.type))) continue;
+    if (child.type === 'modifiers') {
+      return declarationStart(child);
+    }
+    return child.startPosition;
+  }
+  return node.startPosition;
+}
+
+// Position of a node as 1-based lines and columns, the end column exclusive. It
+// starts at the declaration rather than the decorators in front of it; where the
+// name is, which tags point to, comes from the grammar's name field unless given.
+function sourceRange(node, nameNode = node.childForFieldName ? node.childForFieldName('name') : null) {
+  const start = declarationStart(node);
+  const range = {
+    startLine: start.row + 1,
+    startColumn: start.column + 1,
+    endLine: node.endPosition.row + 1,
+    endColumn: node.endPosition.column + 1
+  };
+  if (nameNode) {
+    range.nameLine = nameNode.startPosition.row + 1;
+    range.nameColumn = nameNode.startPosition.column + 1;
+  }
+  return range;
+}
+
+// Position of a call or reference: where it starts, and where it ends
+function siteRange(node) {
+  return {
+    line: node.startPosition.row + 1,
+    column: node.startPosition.column + 1,
+    endLine: node.endPosition.row + 1,
+    endColumn: node.endPosition.column + 1
+  };
+}
+
+// Child holding a declaration's name, preferring the grammar's "name" field so
+// that a return type of the same node type is not mistaken for the name
+function findNameNode(node, type) {
+  const named = node.childForFieldName ? node.childForFieldName('name') : null;
+  if (named && named.type === type) {
+    return named;
+  }
+  return node.children.find(child => child.type === type) || null;
+}
+
+// Whether a member is marked private by a modifier keyword, either directly
+// or wrapped in a modifier node (accessibility_modifier, visibility_modifier, ...)
+function hasPrivateModifier(node) {
+  return node.children.some(child => child.type === 'private' ||
+    (child.type.includes('modifier') && /\bprivate\b/.test(child.text)));
+}
+
+// Whether a language wraps each parameter in a node of its own (required_parameter,
+// typed_parameter), which readParameters reads the way query extraction does
+function wrapsParameters(definition) {
+  return definition.parameterStyle === 'annotated' || definition.parameterStyle === 'python';
+}
+
+// Whether a class field can be left out when the object is built: a TypeScript field
+// marked ? or either language's field with a default value
+function isOptionalField(node) {
+  return node.children.some(c => c.type === '?') ||
+    Boolean(node.childForFieldName('value') || node.childForFieldName('right'));
+}
+
 // Extract classes from AST (language-agnostic approach)
 function extractClasses(tree, language) {
   const classes = [];
+  const definition = languages.getLanguage(language) || {};
   
-  // Define node types based on language
-  const nodeTypes = {
-    typescript: {
-      classDeclaration: 'class_declaration',
-      className: 'type_identifier',
-      classBody: 'class_body',
-      methodDefinition: 'method_definition',
-      methodName: 'property_identifier',
-      publicField: 'public_field_definition',
-      privateField: 'private_field_definition',
-      propertyName: 'property_identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      typeAnnotation: 'type_annotation',
-      returnType: 'return_type',
-      superClass: 'extends_clause',
-      superClassName: 'identifier',
-      implements: 'implements_clause',
-      implementsNames: 'type_identifier',
-      constructor: 'constructor_definition',
-      constructorName: 'property_identifier'
-    },
-    javascript: {
-      classDeclaration: 'class_declaration',
-      className: 'identifier',
-      classBody: 'class_body',
-      methodDefinition: 'method_definition',
-      methodName: 'property_identifier',
-      publicField: 'field_definition',
-      privateField: 'field_definition',
-      propertyName: 'property_identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      superClass: 'extends_clause',
-      superClassName: 'identifier',
-      constructor: 'method_definition',
-      constructorName: 'property_identifier'
-    },
-    python: {
-      classDeclaration: 'class_definition',
-      className: 'identifier',
-      classBody: 'block',
-      methodDefinition: 'function_definition',
-      methodName: 'identifier',
-      publicField: 'expression_statement',
-      privateField: 'expression_statement',
-      propertyName: 'identifier',
-      parameter: 'parameters',
-      parameterName: 'identifier',
-      parameterType: 'type',
-      returnType: 'return_type',
-      superClass: 'argument_list',
-      superClassName: 'identifier',
-      constructor: 'function_definition',
-      constructorName: 'identifier'
-    },
-    ruby: {
-      classDeclaration: 'class',
-      className: 'constant',
-      classBody: 'body_statement',
-      methodDefinition: 'method',
-      methodName: 'identifier',
-      publicField: 'assignment',
-      privateField: 'assignment',
-      propertyName: 'identifier',
-      parameter: 'method_parameters',
-      parameterName: 'identifier',
-      superClass: 'superclass',
-      superClassName: 'constant',
-      constructor: 'method',
-      constructorName: 'identifier'
-    },
-    go: {
-      classDeclaration: 'type_declaration',
-      className: 'type_identifier',
-      classBody: 'struct_type',
-      methodDefinition: 'method_declaration',
-      methodName: 'field_identifier',
-      publicField: 'field_declaration',
-      privateField: 'field_declaration',
-      propertyName: 'field_identifier',
-      parameter: 'parameter_declaration',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'return_type',
-      constructor: 'function_declaration',
-      constructorName: 'field_identifier'
-    },
-    java: {
-      classDeclaration: 'class_declaration',
-      className: 'identifier',
-      classBody: 'class_body',
-      methodDefinition: 'method_declaration',
-      methodName: 'identifier',
-      publicField: 'field_declaration',
-      privateField: 'field_declaration',
-      propertyName: 'identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'return_type',
-      superClass: 'superclass',
-      superClassName: 'identifier',
-      implements: 'interfaces',
-      implementsNames: 'identifier',
-      constructor: 'constructor_declaration',
-      constructorName: 'identifier'
-    },
-    // Default to TypeScript mappings
-    default: {
-      classDeclaration: 'class_declaration',
-      className: 'identifier',
-      classBody: 'class_body',
-      methodDefinition: 'method_definition',
-      methodName: 'property_identifier',
-      publicField: 'field_definition',
-      privateField: 'field_definition',
-      propertyName: 'property_identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      returnType: 'return_type',
-      superClass: 'extends_clause',
-      superClassName: 'identifier',
-      constructor: 'method_definition',
-      constructorName: 'property_identifier'
-    }
-  };
+  // Get the node types for the language; nothing to extract without them
+  const types = getNodeTypes(language, 'classes');
+  if (!types) {
+    return classes;
+  }
   
-  // Get the appropriate node types for the language, or use default
-  const types = nodeTypes[language] || nodeTypes.default;
+  // Methods declared apart from their type, like Go's func (h *Handler) Get(), by
+  // the type their receiver names
+  const receiverMethods = new Map();
+  if (types.receiver) {
+    tree.rootNode.descendantsOfType(types.methodDefinition).forEach(method => {
+      const receiver = method.childForFieldName(types.receiver);
+      const typeNode = receiver && receiver.descendantsOfType(types.className)[0];
+      if (typeNode) {
+        receiverMethods.set(typeNode.text, (receiverMethods.get(typeNode.text) || []).concat(method));
+      }
+    });
+  }
   
   // Build a stack of nodes to traverse
   let nodeStack = [{node: tree.rootNode, done: false}];
@@ -452,17 +906,14 @@ function extractClasses(tree, language) {
     
     // Look for class declarations
     if (node.type === types.classDeclaration) {
-      let className;
-      
       // Find the class name
-      for (const child of node.children) {
-        if (child.type === types.className) {
-          className = child.text;
-          break;
-        }
-      }
+      const classNameNode = findNameNode(node, types.className);
+      const className = classNameNode ? classNameNode.text : null;
+      // Find the class body
+      const classBody = node.children.find(child => child.type === types.classBody);
       
-      if (className) {
+      // Declarations that name other kinds of types too only count with a class body
+      if (className && (classBody || !types.requiresBody)) {
         const methods = [];
         const properties = [];
         let constructor = null;
@@ -489,18 +940,20 @@ function extractClasses(tree, language) {
           });
         }
         
-        // Find the class body
-        const classBody = node.children.find(child => child.type === types.classBody);
-        
         if (classBody) {
-          // Process class body
-          for (const child of classBody.children) {
+          // Process class body: its members, those of a member list inside it, and
+          // the methods declared with the class as their receiver
+          const members = classBody.children
+            .flatMap(child => (child.type === types.memberList ? child.children : [child]))
+            .concat(receiverMethods.get(className) || []);
+          for (const child of members) {
             // Check for constructor
+            // Grammars whose constructors are ordinary methods are told apart by the name
             const isConstructor = 
-              (child.type === types.constructor) || 
+              (child.type === types.constructor && types.constructor !== types.methodDefinition) || 
               (child.type === types.methodDefinition && 
                child.children.some(c => c.type === types.constructorName && 
-                 (c.text === 'constructor' || c.text === 'initialize' || c.text === '__init__')));
+                 ['constructor', 'initialize', '__init__', '__construct'].includes(c.text)));
             
             if (isConstructor) {
               const parameters = [];
@@ -509,7 +962,9 @@ function extractClasses(tree, language) {
               const paramsNode = child.children.find(c => c.type === types.parameter || 
                                                         c.type.includes('parameter'));
               
-              if (paramsNode) {
+              if (paramsNode && wrapsParameters(definition)) {
+                parameters.push(...readParameters(child.childForFieldName('parameters') || paramsNode));
+              } else if (paramsNode) {
                 // Extract parameters
                 for (const param of paramsNode.children) {
                   if (param.type === types.parameterName || param.type === 'identifier') {
@@ -531,33 +986,28 @@ function extractClasses(tree, language) {
               }
               
               constructor = {
-                parameters
+                parameters,
+                ...sourceRange(child)
               };
             }
             // Methods
             else if (child.type === types.methodDefinition) {
-              const nameNode = child.children.find(c => c.type === types.methodName);
+              const nameNode = findNameNode(child, types.methodName);
               
               if (nameNode) {
                 // Try to determine visibility
                 let visibility = 'public';
                 
-                // Check naming convention for python/ruby
-                if (language === 'python' || language === 'ruby') {
+                // Check naming convention (Python, Ruby)
+                if (definition.visibility === 'naming') {
                   if (nameNode.text.startsWith('_')) {
                     visibility = 'private';
                   }
                 }
                 
-                // Check modifiers for Java/C#/TypeScript
-                else if (['java', 'c_sharp', 'typescript'].includes(language)) {
-                  // Look for visibility modifiers
-                  for (const modifier of child.children) {
-                    if (modifier.type === 'private') {
-                      visibility = 'private';
-                      break;
-                    }
-                  }
+                // Check modifiers (Java, C#, TypeScript, ...)
+                else if (definition.visibility === 'modifiers' && hasPrivateModifier(child)) {
+                  visibility = 'private';
                 }
                 
                 // Extract method parameters
@@ -567,7 +1017,9 @@ function extractClasses(tree, language) {
                 const paramsNode = child.children.find(c => c.type === types.parameter || 
                                                           c.type.includes('parameter'));
                 
-                if (paramsNode) {
+                if (paramsNode && wrapsParameters(definition)) {
+                  parameters.push(...readParameters(child.childForFieldName('parameters') || paramsNode));
+                } else if (paramsNode) {
                   // Extract parameters
                   for (const param of paramsNode.children) {
                     if (param.type === types.parameterName || param.type === 'identifier') {
@@ -591,7 +1043,8 @@ function extractClasses(tree, language) {
                 // Try to get return type
                 let returnType = 'void';
                 const returnTypeNode = child.children.find(c => c.type === types.returnType || 
-                                                           c.type === types.typeAnnotation);
+                                                           c.type === types.typeAnnotation) ||
+                                       (wrapsParameters(definition) && child.childForFieldName('return_type'));
                 if (returnTypeNode) {
                   returnType = returnTypeNode.text.replace(/^:\s*/, '').replace(/^->\s*/, '');
                 }
@@ -606,25 +1059,33 @@ function extractClasses(tree, language) {
                   visibility,
                   parameters,
                   returnType,
-                  signature
+                  signature,
+                  ...sourceRange(child, nameNode)
                 });
               }
             } 
             // Properties/Fields
             else if (child.type === types.publicField || child.type === types.privateField) {
-              const nameNode = child.children.find(c => c.type === types.propertyName);
+              // Python class attributes with a type hint, like dataclass and model fields
+              const annotated = child.namedChildren.find(c => c.type === 'assignment' && c.childForFieldName('type') &&
+                c.childForFieldName('left').type === 'identifier');
+              const nameNode = annotated
+                ? annotated.childForFieldName('left')
+                : child.children.find(c => c.type === types.propertyName);
               
               if (nameNode) {
                 let visibility = child.type === types.publicField ? 'public' : 'private';
                 
                 // For languages without explicit visibility in the syntax
-                if (language === 'python' || language === 'ruby') {
+                if (definition.visibility === 'naming') {
                   visibility = nameNode.text.startsWith('_') ? 'private' : 'public';
                 }
                 
                 // Try to get property type
                 let type = 'any';
-                const typeNode = child.children.find(c => c.type === types.typeAnnotation);
+                const typeNode = annotated
+                  ? annotated.childForFieldName('type')
+                  : child.children.find(c => c.type === types.typeAnnotation);
                 if (typeNode) {
                   type = typeNode.text.replace(/^:\s*/, '');
                 }
@@ -632,7 +1093,9 @@ function extractClasses(tree, language) {
                 properties.push({
                   name: nameNode.text,
                   visibility,
-                  type
+                  type,
+                  optional: isOptionalField(annotated || child),
+                  ...sourceRange(child, nameNode)
                 });
               }
             }
@@ -645,7 +1108,8 @@ function extractClasses(tree, language) {
           properties,
           constructor,
           extends: extends_class,
-          implements: implements_interfaces
+          implements: implements_interfaces,
+          ...sourceRange(node)
         });
       }
     }
@@ -664,87 +1128,11 @@ function extractClasses(tree, language) {
 // Extract interfaces from AST
 function extractInterfaces(tree, language) {
   const interfaces = [];
+  const definition = languages.getLanguage(language) || {};
   
-  // Define interface-related node types for different languages
-  const nodeTypes = {
-    typescript: {
-      interfaceDeclaration: 'interface_declaration',
-      interfaceName: 'type_identifier',
-      interfaceBody: 'object_type',
-      property: 'property_signature',
-      propertyName: 'property_identifier',
-      propertyType: 'type_annotation',
-      method: 'method_signature',
-      methodName: 'property_identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      returnType: 'type_annotation',
-      extendsClause: 'extends_clause',
-      extendedInterface: 'type_identifier',
-      typeParameter: 'type_parameters',
-      typeParameterName: 'type_identifier'
-    },
-    go: {
-      interfaceDeclaration: 'type_declaration',
-      interfaceName: 'type_identifier',
-      interfaceBody: 'interface_type',
-      property: 'method_spec',
-      propertyName: 'field_identifier',
-      propertyType: 'type_identifier',
-      method: 'method_spec',
-      methodName: 'field_identifier',
-      parameter: 'parameter_list',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'type_identifier',
-      extendsClause: 'type_identifier',
-      extendedInterface: 'type_identifier'
-    },
-    java: {
-      interfaceDeclaration: 'interface_declaration',
-      interfaceName: 'identifier',
-      interfaceBody: 'interface_body',
-      property: 'method_declaration',
-      propertyName: 'identifier',
-      propertyType: 'type_identifier',
-      method: 'method_declaration',
-      methodName: 'identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'type_identifier',
-      extendsClause: 'extends_interfaces',
-      extendedInterface: 'identifier',
-      typeParameter: 'type_parameters',
-      typeParameterName: 'type_identifier'
-    },
-    // Default to TypeScript for other languages
-    default: {
-      interfaceDeclaration: 'interface_declaration',
-      interfaceName: 'type_identifier',
-      interfaceBody: 'object_type',
-      property: 'property_signature',
-      propertyName: 'property_identifier',
-      propertyType: 'type_annotation',
-      method: 'method_signature',
-      methodName: 'property_identifier',
-      parameter: 'formal_parameter',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      returnType: 'type_annotation',
-      extendsClause: 'extends_clause',
-      extendedInterface: 'type_identifier',
-      typeParameter: 'type_parameters',
-      typeParameterName: 'type_identifier'
-    }
-  };
-  
-  // Get appropriate node types for the language
-  const types = nodeTypes[language] || nodeTypes.default;
-  
-  // Skip if language doesn't have interfaces
-  if (!['typescript', 'go', 'java', 'c_sharp', 'php'].includes(language)) {
+  // Get the node types for the language; languages without interfaces have none
+  const types = getNodeTypes(language, 'interfaces');
+  if (!types) {
     return interfaces;
   }
   
@@ -807,19 +1195,21 @@ function extractInterfaces(tree, language) {
               
               if (nameNode) {
                 const type = typeNode ? typeNode.text.replace(/^:\s*/, '') : 'any';
-                const optional = nameNode.text.endsWith('?');
-                const name = optional ? nameNode.text.slice(0, -1) : nameNode.text;
+                // TypeScript marks optional properties with a ? token after the name
+                const optional = nameNode.text.endsWith('?') || member.children.some(c => c.type === '?');
+                const name = nameNode.text.replace(/\?$/, '');
                 
                 properties.push({
                   name,
                   type,
-                  optional
+                  optional,
+                  ...sourceRange(member, nameNode)
                 });
               }
             }
             // Handle methods
             else if (member.type === types.method) {
-              const nameNode = member.children.find(c => c.type === types.methodName);
+              const nameNode = findNameNode(member, types.methodName);
               
               if (nameNode) {
                 // Check if method is optional
@@ -831,7 +1221,9 @@ function extractInterfaces(tree, language) {
                 const paramsNode = member.children.find(c => c.type === types.parameter ||
                                                            c.type.includes('parameter'));
                 
-                if (paramsNode) {
+                if (paramsNode && wrapsParameters(definition)) {
+                  parameters.push(...readParameters(member.childForFieldName('parameters') || paramsNode));
+                } else if (paramsNode) {
                   // Extract parameters
                   for (const param of paramsNode.children) {
                     if (param.type === types.parameterName || param.type === 'identifier') {
@@ -869,7 +1261,8 @@ function extractInterfaces(tree, language) {
                   parameters,
                   returnType,
                   optional,
-                  signature
+                  signature,
+                  ...sourceRange(member, nameNode)
                 });
               }
             }
@@ -895,7 +1288,8 @@ function extractInterfaces(tree, language) {
           methods,
           extends: extends_interfaces,
           typeParameters: type_parameters,
-          signature: fullSignature
+          signature: fullSignature,
+          ...sourceRange(node)
         });
       }
     }
@@ -913,87 +1307,13 @@ function extractInterfaces(tree, language) {
 // Extract standalone functions from AST
 function extractFunctions(tree, language) {
   const functions = [];
+  const definition = languages.getLanguage(language) || {};
   
-  // Define function-related node types for different languages
-  const nodeTypes = {
-    typescript: {
-      functionDeclaration: 'function_declaration',
-      functionExpression: 'function_expression',
-      arrowFunction: 'arrow_function',
-      functionName: 'identifier',
-      parameter: 'formal_parameters',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      returnType: 'return_type',
-      exportKeyword: 'export_statement',
-      defaultKeyword: 'default',
-      asyncKeyword: 'async'
-    },
-    javascript: {
-      functionDeclaration: 'function_declaration',
-      functionExpression: 'function_expression',
-      arrowFunction: 'arrow_function',
-      functionName: 'identifier',
-      parameter: 'formal_parameters',
-      parameterName: 'identifier',
-      exportKeyword: 'export_statement',
-      defaultKeyword: 'default',
-      asyncKeyword: 'async'
-    },
-    python: {
-      functionDeclaration: 'function_definition',
-      functionName: 'identifier',
-      parameter: 'parameters',
-      parameterName: 'identifier',
-      parameterType: 'type',
-      returnType: 'return_type',
-      decoratorList: 'decorator',
-      asyncKeyword: 'async'
-    },
-    ruby: {
-      functionDeclaration: 'method',
-      functionName: 'identifier',
-      parameter: 'method_parameters',
-      parameterName: 'identifier'
-    },
-    go: {
-      functionDeclaration: 'function_declaration',
-      functionName: 'identifier',
-      parameter: 'parameter_list',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'return_type'
-    },
-    java: {
-      functionDeclaration: 'method_declaration',
-      functionName: 'identifier',
-      parameter: 'formal_parameters',
-      parameterName: 'identifier',
-      parameterType: 'type_identifier',
-      returnType: 'type_identifier',
-      staticKeyword: 'static',
-      publicKeyword: 'public',
-      privateKeyword: 'private',
-      protectedKeyword: 'protected'
-    },
-    // Default to JavaScript mappings
-    default: {
-      functionDeclaration: 'function_declaration',
-      functionExpression: 'function_expression',
-      arrowFunction: 'arrow_function',
-      functionName: 'identifier',
-      parameter: 'formal_parameters',
-      parameterName: 'identifier',
-      parameterType: 'type_annotation',
-      returnType: 'return_type',
-      exportKeyword: 'export_statement',
-      defaultKeyword: 'default',
-      asyncKeyword: 'async'
-    }
-  };
-  
-  // Get the appropriate node types for the language
-  const types = nodeTypes[language] || nodeTypes.default;
+  // Get the node types for the language; nothing to extract without them
+  const types = getNodeTypes(language, 'functions');
+  if (!types) {
+    return functions;
+  }
   
   // Build a stack of nodes to traverse
   let nodeStack = [{node: tree.rootNode, done: false}];
@@ -1057,7 +1377,7 @@ function extractFunctions(tree, language) {
       
       // For direct function declarations, get the name
       if (!functionName && node.type === types.functionDeclaration) {
-        const nameNode = node.children.find(child => child.type === types.functionName);
+        const nameNode = findNameNode(node, types.functionName);
         if (nameNode) {
           functionName = nameNode.text;
         }
@@ -1106,43 +1426,8 @@ function extractFunctions(tree, language) {
       
       if (paramNode) {
         // Process different parameter patterns by language
-        if (language === 'javascript' || language === 'typescript') {
-          // JS/TS parameters are direct children of the formal_parameters node
-          for (const param of paramNode.children) {
-            if (param.type === types.parameterName || param.type === 'identifier') {
-              const paramName = param.text;
-              
-              // Try to get type if available (TypeScript)
-              let paramType = 'any';
-              const typeAnnotation = param.nextSibling;
-              if (typeAnnotation && typeAnnotation.type === types.parameterType) {
-                paramType = typeAnnotation.text.replace(/^:\s*/, '');
-              }
-              
-              parameters.push({
-                name: paramName,
-                type: paramType
-              });
-            }
-          }
-        } else if (language === 'python') {
-          // Python parameters
-          for (const param of paramNode.children) {
-            if (param.type === 'identifier') {
-              const paramName = param.text;
-              
-              // Check for type annotation
-              let paramType = 'any';
-              if (param.nextSibling && param.nextSibling.type === 'type') {
-                paramType = param.nextSibling.text;
-              }
-              
-              parameters.push({
-                name: paramName,
-                type: paramType
-              });
-            }
-          }
+        if (wrapsParameters(definition)) {
+          parameters.push(...readParameters(node.childForFieldName('parameters') || paramNode));
         } else {
           // Generic approach for other languages
           for (const param of paramNode.children) {
@@ -1173,7 +1458,7 @@ function extractFunctions(tree, language) {
       if (types.returnType) {
         const returnTypeNode = node.children.find(child => 
           child.type === types.returnType || child.type.includes('return_type')
-        );
+        ) || (wrapsParameters(definition) && node.childForFieldName('return_type'));
         
         if (returnTypeNode) {
           returnType = returnTypeNode.text.replace(/^:\s*/, '').replace(/^->\s*/, '');
@@ -1182,7 +1467,7 @@ function extractFunctions(tree, language) {
       
       // Get decorators for Python functions
       const decorators = [];
-      if (language === 'python' && types.decoratorList) {
+      if (types.decoratorList) {
         const decoratorNodes = node.parent ? 
           node.parent.children.filter(child => child.type === types.decoratorList) : 
           [];
@@ -1195,33 +1480,17 @@ function extractFunctions(tree, language) {
         }
       }
       
-      // Generate signature based on language
-      let signature;
-      
-      if (language === 'typescript') {
-        signature = `${isAsync ? 'async ' : ''}function ${functionName}(${
-          parameters.map(p => `${p.name}: ${p.type}`).join(', ')
-        })${returnType !== 'void' ? ': ' + returnType : ''}`;
-      } else if (language === 'javascript') {
-        signature = `${isAsync ? 'async ' : ''}function ${functionName}(${
-          parameters.map(p => p.name).join(', ')
-        })`;
-      } else if (language === 'python') {
-        signature = `${isAsync ? 'async ' : ''}def ${functionName}(${
-          parameters.map(p => `${p.name}${p.type !== 'any' ? ': ' + p.type : ''}`).join(', ')
-        })${returnType !== 'void' ? ' -> ' + returnType : ''}`;
-      } else if (language === 'go') {
-        signature = `func ${functionName}(${
-          parameters.map(p => `${p.name} ${p.type}`).join(', ')
-        }) ${returnType !== 'void' ? returnType : ''}`;
-      } else if (language === 'java') {
-        signature = `${visibility} ${isStatic ? 'static ' : ''}${returnType} ${functionName}(${
-          parameters.map(p => `${p.type} ${p.name}`).join(', ')
-        })`;
-      } else {
-        // Generic signature for other languages
-        signature = `function ${functionName}(${parameters.map(p => p.name).join(', ')})`;
-      }
+      // Generate signature with the language's formatter, or a generic one
+      const signature = definition.formatFunctionSignature
+        ? definition.formatFunctionSignature({
+          name: functionName,
+          parameters,
+          returnType,
+          isAsync,
+          isStatic,
+          visibility
+        })
+        : `function ${functionName}(${parameters.map(p => p.name).join(', ')})`;
       
       // Get function description from comments if available
       let description = '';
@@ -1249,8 +1518,7 @@ function extractFunctions(tree, language) {
         signature,
         decorators,
         description,
-        startLine: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
+        ...sourceRange(node)
       });
     }
     
@@ -1265,51 +1533,18 @@ function extractFunctions(tree, language) {
   return functions;
 }
 
-// Extract imports from AST
+// Extract imports from AST, with the line each specifier is first imported on
 function extractImports(tree, language) {
   const imports = [];
+  const importLines = {};
+  const definition = languages.getLanguage(language) || {};
   
-  // Define import node types for different languages
-  const nodeTypes = {
-    typescript: {
-      importStatement: 'import_statement',
-      source: 'string',
-      sourceRegex: /['"]/g
-    },
-    javascript: {
-      importStatement: 'import_statement',
-      source: 'string',
-      sourceRegex: /['"]/g
-    },
-    python: {
-      importStatement: 'import_statement',
-      source: 'dotted_name',
-      sourceRegex: null
-    },
-    ruby: {
-      importStatement: 'call',
-      source: 'string',
-      sourceRegex: /['"]/g
-    },
-    go: {
-      importStatement: 'import_declaration',
-      source: 'import_spec',
-      sourceRegex: /['"]/g
-    },
-    java: {
-      importStatement: 'import_declaration',
-      source: 'identifier',
-      sourceRegex: null
-    },
-    // Default for other languages
-    default: {
-      importStatement: 'import_statement',
-      source: 'string',
-      sourceRegex: /['"]/g
-    }
-  };
-  
-  const types = nodeTypes[language] || nodeTypes.default;
+  const types = getNodeTypes(language, 'imports');
+  if (!types) {
+    return { imports, importLines };
+  }
+  // Some languages spread imports over several statement types
+  const statementTypes = [].concat(types.importStatement);
   
   let nodeStack = [{node: tree.rootNode, done: false}];
   
@@ -1320,46 +1555,29 @@ function extractImports(tree, language) {
       continue;
     }
     
-    if (node.type === types.importStatement) {
-      // Handle special case for Go which has a different structure
-      if (language === 'go') {
-        const importSpec = node.children.find(child => child.type === 'import_spec');
-        if (importSpec) {
-          const sourceNode = importSpec.children.find(c => c.type === 'interpreted_string_literal');
-          if (sourceNode) {
-            imports.push(sourceNode.text.replace(/['"]/g, ''));
-          }
-        }
-      } 
-      // Handle Python
-      else if (language === 'python') {
-        // Get import names from Python import statements which can be complex
-        let importText = '';
-        
-        // Handle 'import x.y.z'
-        if (node.children.some(child => child.type === 'dotted_name')) {
-          const dotted = node.children.find(child => child.type === 'dotted_name');
-          importText = dotted ? dotted.text : '';
-        } 
-        // Handle 'from x.y import z'
-        else if (node.children.some(child => child.type === 'from_clause')) {
-          const fromClause = node.children.find(child => child.type === 'from_clause');
-          if (fromClause) {
-            const module = fromClause.children.find(c => c.type === 'dotted_name');
-            importText = module ? module.text : '';
-          }
-        }
-        
-        if (importText) {
-          imports.push(importText);
+    if (statementTypes.includes(node.type)) {
+      const add = (specifier, line) => {
+        imports.push(specifier);
+        if (!Object.prototype.hasOwnProperty.call(importLines, specifier)) {
+          importLines[specifier] = line;
         }
+      };
+      
+      // Grammars with nested or repeated specifiers read them through a hook; a
+      // specifier of a grouped import is on the line of the statement that names it
+      if (definition.importSources) {
+        const statementLines = node.text.split('\n');
+        definition.importSources(node).filter(Boolean).forEach(specifier => {
+          const offset = statementLines.findIndex(line => line.includes(specifier));
+          add(specifier, node.startPosition.row + 1 + Math.max(offset, 0));
+        });
       }
       // Standard handling for other languages
       else {
         const source = node.children.find(child => child.type === types.source);
         if (source) {
           const text = types.sourceRegex ? source.text.replace(types.sourceRegex, '') : source.text;
-          imports.push(text);
+          add(text, source.startPosition.row + 1);
         }
       }
     }
@@ -1371,15 +1589,135 @@ function extractImports(tree, language) {
     }
   }
   
-  return imports;
+  return { imports, importLines };
 }
 
-// Extract decorators (primarily for TypeScript/JavaScript)
+// The callee of a call node as a name and the expression it is called on, read
+// from the grammar's fields where it has them and from the called expression's
+// text otherwise: this.repo.find(id) -> find on this.repo, Foo::new() -> new on Foo
+function readCallSite(node) {
+  const field = name => (node.childForFieldName ? node.childForFieldName(name) : null);
+  
+  let callee;
+  const name = field('name') || field('method');
+  if (name && !field('function')) {
+    // Java method_invocation, Ruby call, PHP member and scoped calls
+    const receiver = field('object') || field('receiver') || field('scope');
+    callee = receiver ? `${receiver.text}.${name.text}` : name.text;
+  } else {
+    const target = field('function') || field('constructor') || field('type') || node.namedChildren[0];
+    callee = target ? target.text : '';
+  }
+  
+  // Type arguments and line breaks are not part of the name: new List<T>() -> List
+  const text = callee.replace(/<[^<>]*>/g, '').replace(/\s+/g, '');
+  const match = text.match(/^(?:(.*?)(?:\?\.|\.|->|::))?([A-Za-z_$][\w$]*[!?]?)$/);
+  return match ? { name: match[2], receiver: match[1] || null } : null;
+}
+
+// Identifier naming the callee of a call node: the last token of the called
+// expression with the callee's name, or the whole call when there is none
+function calleeNameNode(node, name) {
+  const field = fieldName => (node.childForFieldName ? node.childForFieldName(fieldName) : null);
+  const target = field('name') || field('method') || field('function') || field('constructor') ||
+    field('type') || node.namedChildren[0];
+  
+  let found = null;
+  const stack = target ? [target] : [];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current.childCount === 0 && current.text === name) {
+      found = current;
+      break;
+    }
+    // Children pushed in order pop last first, so the last matching token wins
+    current.children.forEach(child => stack.push(child));
+  }
+  return found || node;
+}
+
+// Extract call sites from AST: calls and object creations, positioned at the
+// called name. Which function or method makes each call follows from the line
+// ranges of the extracted symbols, so this works the same for both extraction modes.
+function extractCalls(tree, language) {
+  const calls = [];
+  
+  const types = getNodeTypes(language, 'calls');
+  if (!types) {
+    return calls;
+  }
+  const callTypes = [].concat(types.callExpression || []);
+  const newTypes = [].concat(types.newExpression || []);
+  
+  let nodeStack = [{node: tree.rootNode, done: false}];
+  
+  while (nodeStack.length > 0) {
+    const {node, done} = nodeStack.pop();
+    
+    if (done) {
+      continue;
+    }
+    
+    const isNew = newTypes.includes(node.type);
+    if (isNew || callTypes.includes(node.type)) {
+      const site = readCallSite(node);
+      if (site) {
+        calls.push({
+          name: site.name,
+          receiver: site.receiver,
+          kind: isNew ? 'new' : 'call',
+          ...siteRange(calleeNameNode(node, site.name))
+        });
+      }
+    }
+    
+    nodeStack.push({node, done: true});
+    
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      nodeStack.push({node: node.children[i], done: false});
+    }
+  }
+  
+  return calls;
+}
+
+// Extract the type names used in the code from AST, for languages whose grammar
+// has a node type for them. Declared names are definitions, not references.
+function extractReferences(tree, language) {
+  const references = [];
+  
+  const types = getNodeTypes(language, 'calls');
+  const referenceTypes = [].concat((types && types.typeReference) || []);
+  if (referenceTypes.length === 0) {
+    return references;
+  }
+  
+  const stack = [tree.rootNode];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (referenceTypes.includes(node.type)) {
+      const declared = node.parent && node.parent.childForFieldName &&
+        node.parent.childForFieldName('name');
+      if (!declared || declared.startIndex !== node.startIndex) {
+        references.push({ kind: 'type', name: node.text, ...siteRange(node) });
+      }
+      continue;
+    }
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+  
+  return references;
+}
+
+// Extract decorators (primarily for TypeScript/JavaScript), Java annotations and C# attributes
 function extractDecorators(tree, language) {
   const decorators = [];
   
   // Skip if language doesn't use decorators
-  if (!['typescript', 'javascript', 'python'].includes(language)) {
+  const definition = languages.getLanguage(language);
+  if (!definition || !definition.decorators) {
     return decorators;
   }
   
@@ -1424,6 +1762,41 @@ function extractDecorators(tree, language) {
         decorators.push(decoratorInfo);
       }
     }
+    // Java annotations: @Service, @RequestMapping(value = "/users"), where a lone
+    // argument is the value element
+    else if (node.type === 'annotation' || node.type === 'marker_annotation') {
+      const nameNode = node.children.find(child => child.type === 'identifier' || child.type === 'scoped_identifier');
+      const args = node.children.find(child => child.type === 'annotation_argument_list');
+      const decoratorInfo = { type: nameNode ? nameNode.text.split('.').pop() : null, properties: {} };
+      
+      (args ? args.namedChildren : []).forEach(arg => {
+        if (arg.type === 'element_value_pair') {
+          decoratorInfo.properties[arg.namedChildren[0].text] = arg.namedChildren[1].text;
+        } else if (arg.type !== 'comment') {
+          decoratorInfo.properties.value = arg.text;
+        }
+      });
+      
+      decorators.push(decoratorInfo);
+    }
+    // C# attributes: [Authorize(Roles = "Admin")], with the first unnamed argument as value
+    else if (node.type === 'attribute') {
+      const nameNode = node.children.find(child => child.type === 'identifier' || child.type === 'qualified_name');
+      const args = node.children.find(child => child.type === 'attribute_argument_list');
+      const decoratorInfo = { type: nameNode ? nameNode.text.split('.').pop() : null, properties: {} };
+      
+      (args ? args.namedChildren : []).forEach(arg => {
+        const named = arg.namedChildren.find(child => child.type === 'name_equals' || child.type === 'name_colon');
+        const value = arg.namedChildren[arg.namedChildren.length - 1];
+        if (named) {
+          decoratorInfo.properties[named.text.replace(/\s*[=:]$/, '')] = value.text;
+        } else if (value && decoratorInfo.properties.value === undefined) {
+          decoratorInfo.properties.value = value.text;
+        }
+      });
+      
+      decorators.push(decoratorInfo);
+    }
     // Python decorators
     else if (language === 'python' && node.type === 'decorator') {
       // Get Python decorator name
@@ -1447,6 +1820,448 @@ function extractDecorators(tree, language) {
   return decorators;
 }
 
+// Extract HTTP routes with the route extractor of the language, if it has one
+function extractRoutes(tree, language) {
+  const definition = languages.getLanguage(language);
+  if (!definition || !definition.extractRoutes) {
+    return null;
+  }
+  
+  const routing = definition.extractRoutes(tree);
+  // Positions take the place of syntax nodes, which do not outlive the tree
+  routing.routes = routing.routes.map(({ node, ...route }) => ({ ...route, ...siteRange(node) }));
+  routing.uses = routing.uses.map(({ node, ...use }) => ({ ...use, line: node.startPosition.row + 1 }));
+  return routing;
+}
+
+// Directory holding the bundled tree-sitter queries, one <language>.scm per language
+const BUNDLED_QUERY_DIR = path.join(__dirname, 'queries');
+
+// Extraction modes: 'ast' walks nodes with the nodeTypes mappings of a language,
+// 'query' runs its tree-sitter query file
+const EXTRACTION_MODES = ['ast', 'query'];
+
+// Compiled queries by language (null when a language has no usable query file)
+const queryCache = new Map();
+
+// Find the query file for a language: --query-dir first, then the file named by
+// the language plugin, then the bundled queries
+function findQueryFile(language) {
+  const definition = languages.getLanguage(language);
+  const candidates = [];
+  
+  if (options.queryDir) {
+    const queryDir = path.resolve(options.queryDir);
+    candidates.push(path.join(queryDir, `${language}.scm`), path.join(queryDir, language, 'tags.scm'));
+  }
+  if (definition && definition.queries) {
+    candidates.push(path.resolve(definition.baseDir, definition.queries));
+  }
+  candidates.push(path.join(BUNDLED_QUERY_DIR, `${language}.scm`));
+  
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Compile the query for a language against the grammar loaded in the parser
+function getLanguageQuery(parser, language) {
+  if (queryCache.has(language)) {
+    return queryCache.get(language);
+  }
+  
+  let query = null;
+  const queryFile = findQueryFile(language);
+  
+  if (queryFile) {
+    try {
+      const source = fs.readFileSync(queryFile, 'utf8');
+      const grammar = parser.getLanguage();
+      // web-tree-sitter compiles through the language, the native binding through Parser.Query
+      query = typeof grammar.query === 'function' ? grammar.query(source) : new Parser.Query(grammar, source);
+      debug(`Loaded ${language} queries from ${queryFile}`);
+    } catch (error) {
+      console.warn(`Failed to compile ${queryFile}: ${error.message}`);
+      console.warn(`Falling back to AST extraction for ${language}`);
+    }
+  } else {
+    debug(`No query file for ${language}, using AST extraction`);
+  }
+  
+  queryCache.set(language, query);
+  return query;
+}
+
+// Strip quotes or include brackets around an import specifier
+function cleanImportSource(text) {
+  return text.replace(/^['"`<]|['"`>]$/g, '');
+}
+
+// Strip the ': ' or '-> ' that some grammars keep in type annotations
+function cleanTypeText(text) {
+  return text.replace(/^:\s*/, '').replace(/^->\s*/, '').trim();
+}
+
+// Group query matches into one symbol per definition node. Several patterns can
+// describe the same definition (its name, each base class, ...), so their
+// captures are merged by node position and definition kind.
+function collectQueryMatches(matches) {
+  const symbols = new Map();
+  const imports = [];
+  const importLines = {};
+  const references = [];
+  const referencedAt = new Set();
+  
+  matches.forEach(match => {
+    const definitionCapture = match.captures.find(c => c.name.startsWith('definition.'));
+    const referenceCapture = match.captures.find(c => c.name.startsWith('reference.'));
+    const nameCapture = match.captures.find(c => c.name === 'name');
+    
+    // @import.wildcard marks on-demand imports like com.acme.model.*
+    const wildcard = match.captures.some(c => c.name === 'import.wildcard') ? '.*' : '';
+    match.captures
+      .filter(capture => capture.name === 'import.source')
+      .forEach(capture => {
+        const specifier = cleanImportSource(capture.node.text) + wildcard;
+        imports.push(specifier);
+        if (!Object.prototype.hasOwnProperty.call(importLines, specifier)) {
+          importLines[specifier] = capture.node.startPosition.row + 1;
+        }
+      });
+    
+    // A name is referenced once, and a type's own declared name is not a reference
+    if (referenceCapture && nameCapture && !referencedAt.has(nameCapture.node.startIndex)) {
+      const kind = referenceCapture.name.slice('reference.'.length);
+      const parent = nameCapture.node.parent;
+      const declared = kind === 'type' && parent && parent.childForFieldName('name');
+      if (!declared || declared.startIndex !== nameCapture.node.startIndex) {
+        referencedAt.add(nameCapture.node.startIndex);
+        references.push({ kind, name: nameCapture.node.text, ...siteRange(nameCapture.node) });
+      }
+    }
+    
+    if (!definitionCapture) {
+      return;
+    }
+    
+    const node = definitionCapture.node;
+    const kind = definitionCapture.name.slice('definition.'.length);
+    const key = `${node.startIndex}:${node.endIndex}:${kind}`;
+    
+    if (!symbols.has(key)) {
+      symbols.set(key, { kind, node, captures: {} });
+    }
+    const symbol = symbols.get(key);
+    
+    // Captures starting with an underscore only feed predicates
+    match.captures.forEach(capture => {
+      if (capture === definitionCapture || capture.name.startsWith('_')) {
+        return;
+      }
+      const nodes = symbol.captures[capture.name] || (symbol.captures[capture.name] = []);
+      if (!nodes.some(n => n.startIndex === capture.node.startIndex && n.endIndex === capture.node.endIndex)) {
+        nodes.push(capture.node);
+      }
+    });
+  });
+  
+  return {
+    symbols: Array.from(symbols.values())
+      .filter(symbol => symbol.captures.name)
+      .sort((a, b) => a.node.startIndex - b.node.startIndex || b.node.endIndex - a.node.endIndex),
+    imports: Array.from(new Set(imports)),
+    importLines,
+    references
+  };
+}
+
+// Read names and types from a parameter list node, whatever the grammar calls its parts
+function readParameters(paramsNode) {
+  if (!paramsNode) {
+    return [];
+  }
+  
+  // A lone parameter without parentheses (x => x)
+  if (paramsNode.namedChildCount === 0 && !/^[(\[]/.test(paramsNode.text)) {
+    return [{ name: paramsNode.text, type: 'any' }];
+  }
+  
+  return paramsNode.namedChildren
+    .filter(param => !param.type.includes('comment'))
+    .map(param => {
+      if (param.namedChildCount === 0) {
+        return { name: param.text, type: 'any' };
+      }
+      
+      const nameNode = param.childForFieldName('name') ||
+                       param.childForFieldName('pattern') ||
+                       param.childForFieldName('declarator') ||
+                       param.namedChildren.find(c => /identifier$|^variable_name$/.test(c.type));
+      let typeNode = param.childForFieldName('type');
+      if (!typeNode && nameNode && nameNode.nextNamedSibling && nameNode.nextNamedSibling.type.includes('type')) {
+        typeNode = nameNode.nextNamedSibling;
+      }
+      
+      // Unnamed parameters, like C's (void), only carry a type
+      if (!nameNode && typeNode) {
+        return null;
+      }
+      
+      return {
+        name: nameNode ? nameNode.text : param.text,
+        type: typeNode ? cleanTypeText(typeNode.text) : 'any'
+      };
+    })
+    .filter(Boolean);
+}
+
+// Comment directly above a definition, without comment markers
+function readDocComment(node) {
+  const previous = node.previousSibling;
+  if (!previous || !previous.type.includes('comment')) {
+    return '';
+  }
+  return previous.text
+    .replace(/^\/\*\*/, '')
+    .replace(/\*\/$/, '')
+    .replace(/^\s*(\/\/|#)\s*/gm, '')
+    .replace(/^\s*\*\s*/gm, '')
+    .trim();
+}
+
+// Details shared by functions and methods found with queries
+function describeQueryFunction(symbol, definition) {
+  const node = symbol.node;
+  const captured = (name) => (symbol.captures[name] || [])[0] || null;
+  const name = captured('name').text;
+  
+  const parameters = readParameters(captured('parameters') ||
+    node.childForFieldName('parameters') || node.childForFieldName('parameter'));
+  
+  const returnTypeNode = captured('return_type') ||
+    node.childForFieldName('return_type') || node.childForFieldName('result');
+  const returnType = returnTypeNode ? cleanTypeText(returnTypeNode.text) : 'void';
+  
+  // Modifiers are separate keywords in some grammars and one modifiers node in others
+  const modifiers = node.children
+    .filter(child => child.type.includes('modifier') || ['async', 'static'].includes(child.type))
+    .map(child => child.text)
+    .join(' ');
+  
+  let visibility = 'public';
+  if (definition.visibility === 'naming') {
+    visibility = name.startsWith('_') ? 'private' : 'public';
+  } else if (/\bprivate\b/.test(modifiers)) {
+    visibility = 'private';
+  } else if (/\bprotected\b/.test(modifiers)) {
+    visibility = 'protected';
+  }
+  
+  return {
+    name,
+    parameters,
+    returnType,
+    visibility,
+    isAsync: /\basync\b/.test(modifiers),
+    isStatic: /\bstatic\b/.test(modifiers)
+  };
+}
+
+// Extract classes, interfaces, functions, imports and references with a
+// tree-sitter query. Query files use tags.scm style captures:
+//   @definition.class, @definition.interface, @definition.function, @definition.method,
+//   @definition.constructor and @definition.field around the definition node, with
+//   @name, @parameters, @return_type, @type, @superclass, @implements,
+//   @type_parameter, @decorator and @receiver (the type a method belongs to)
+//   @definition.implementation with @name and @implements for out-of-line trait impls
+//   @import.source for module specifiers, with @import.wildcard on package-wide imports
+//   @reference.call and @reference.class around a use, with @name
+// Functions and methods nested directly in a class or interface become its members.
+function extractWithQueries(tree, query, language) {
+  const definition = languages.getLanguage(language) || {};
+  const { symbols, imports, importLines, references } = collectQueryMatches(query.matches(tree.rootNode));
+  
+  const classes = [];
+  const interfaces = [];
+  const functions = [];
+  const containers = [];
+  
+  const textOf = (symbol, name) => (symbol.captures[name] || []).map(node => node.text);
+  const contains = (outer, inner) => outer.node.startIndex <= inner.node.startIndex &&
+    inner.node.endIndex <= outer.node.endIndex && outer !== inner;
+  
+  // Classes and interfaces first, so members can find them
+  symbols.forEach(symbol => {
+    const name = symbol.captures.name[0].text;
+    
+    if (symbol.kind === 'class') {
+      const superclasses = textOf(symbol, 'superclass');
+      const info = {
+        name,
+        methods: [],
+        properties: [],
+        constructor: null,
+        extends: superclasses[0] || null,
+        implements: textOf(symbol, 'implements'),
+        ...sourceRange(symbol.node, symbol.captures.name[0])
+      };
+      classes.push(info);
+      containers.push({ symbol, info, kind: 'class' });
+    } else if (symbol.kind === 'interface') {
+      const extendsList = [...textOf(symbol, 'superclass'), ...textOf(symbol, 'implements')];
+      const typeParameters = textOf(symbol, 'type_parameter');
+      let signature = `interface ${name}`;
+      if (typeParameters.length > 0) {
+        signature += `<${typeParameters.join(', ')}>`;
+      }
+      if (extendsList.length > 0) {
+        signature += ` extends ${extendsList.join(', ')}`;
+      }
+      const info = {
+        name,
+        properties: [],
+        methods: [],
+        extends: extendsList,
+        typeParameters,
+        signature,
+        ...sourceRange(symbol.node, symbol.captures.name[0])
+      };
+      interfaces.push(info);
+      containers.push({ symbol, info, kind: 'interface' });
+    }
+  });
+  
+  // The innermost definition enclosing a symbol tells whether it is a member
+  const enclosingDefinition = (symbol) => symbols
+    .filter(other => ['class', 'interface', 'function', 'method'].includes(other.kind) && contains(other, symbol))
+    .pop() || null;
+  const containerFor = (symbol) => {
+    const receiver = textOf(symbol, 'receiver')[0];
+    if (receiver) {
+      return containers.find(container => container.kind === 'class' && container.info.name === receiver) || null;
+    }
+    const enclosing = enclosingDefinition(symbol);
+    return enclosing ? containers.find(container => container.symbol === enclosing) || null : null;
+  };
+  
+  symbols.forEach(symbol => {
+    const name = symbol.captures.name[0].text;
+    
+    if (symbol.kind === 'implementation') {
+      const target = classes.find(cls => cls.name === name);
+      if (target) {
+        target.implements.push(...textOf(symbol, 'implements').filter(i => !target.implements.includes(i)));
+      }
+      return;
+    }
+    
+    if (symbol.kind === 'field') {
+      const container = containerFor(symbol);
+      const type = textOf(symbol, 'type').map(cleanTypeText)[0] || 'any';
+      
+      if (container && container.kind === 'class') {
+        const modifiers = symbol.node.children.filter(c => c.type.includes('modifier')).map(c => c.text).join(' ');
+        const visibility = definition.visibility === 'naming'
+          ? (name.startsWith('_') ? 'private' : 'public')
+          : (/\bprivate\b/.test(modifiers) ? 'private' : 'public');
+        container.info.properties.push({ name, visibility, type, optional: isOptionalField(symbol.node), ...sourceRange(symbol.node, symbol.captures.name[0]) });
+      } else if (container) {
+        const optional = name.endsWith('?') || isOptionalField(symbol.node);
+        container.info.properties.push({ name: name.replace(/\?$/, ''), type, optional, ...sourceRange(symbol.node, symbol.captures.name[0]) });
+      }
+      return;
+    }
+    
+    if (!['function', 'method', 'constructor'].includes(symbol.kind)) {
+      return;
+    }
+    
+    const details = describeQueryFunction(symbol, definition);
+    const container = containerFor(symbol);
+    const parameterList = details.parameters.map(p =>
+      `${p.name}${p.type !== 'any' ? ': ' + p.type : ''}`).join(', ');
+    
+    if (container && container.kind === 'class') {
+      const isConstructor = symbol.kind === 'constructor' ||
+        ['constructor', 'initialize', '__init__', '__construct'].includes(details.name);
+      
+      if (isConstructor) {
+        container.info.constructor = { parameters: details.parameters, ...sourceRange(symbol.node, symbol.captures.name[0]) };
+      } else {
+        container.info.methods.push({
+          name: details.name,
+          visibility: details.visibility,
+          parameters: details.parameters,
+          returnType: details.returnType,
+          signature: `${details.name}(${parameterList})${
+            details.returnType !== 'void' ? ': ' + details.returnType : ''}`,
+          ...sourceRange(symbol.node, symbol.captures.name[0])
+        });
+      }
+      return;
+    }
+    
+    if (container) {
+      container.info.methods.push({
+        name: details.name,
+        parameters: details.parameters,
+        returnType: details.returnType,
+        optional: false,
+        signature: `${details.name}(${parameterList})${
+          details.returnType !== 'void' ? ': ' + details.returnType : ''}`,
+        ...sourceRange(symbol.node, symbol.captures.name[0])
+      });
+      return;
+    }
+    
+    // Standalone function: look a few levels up for an export statement
+    let exportNode = null;
+    let ancestor = symbol.node.parent;
+    for (let depth = 0; ancestor && depth < 3 && !exportNode; depth++) {
+      if (ancestor.type === 'export_statement') {
+        exportNode = ancestor;
+      }
+      ancestor = ancestor.parent;
+    }
+    
+    // Comments sit above the export, decorator or variable declaration wrapping a function
+    let docNode = exportNode || symbol.node;
+    const parentType = symbol.node.parent ? symbol.node.parent.type : null;
+    if (!exportNode && parentType === 'decorated_definition') {
+      docNode = symbol.node.parent;
+    } else if (!exportNode && parentType === 'variable_declarator') {
+      docNode = symbol.node.parent.parent;
+    }
+    
+    const signature = definition.formatFunctionSignature
+      ? definition.formatFunctionSignature({
+        name: details.name,
+        parameters: details.parameters,
+        returnType: details.returnType,
+        isAsync: details.isAsync,
+        isStatic: details.isStatic,
+        visibility: details.visibility
+      })
+      : `function ${details.name}(${details.parameters.map(p => p.name).join(', ')})`;
+    
+    functions.push({
+      name: details.name,
+      isAnonymous: false,
+      isExported: Boolean(exportNode),
+      isDefault: Boolean(exportNode && exportNode.children.some(child => child.type === 'default')),
+      isAsync: details.isAsync,
+      isStatic: details.isStatic,
+      visibility: details.visibility,
+      parameters: details.parameters,
+      returnType: details.returnType,
+      signature,
+      decorators: textOf(symbol, 'decorator'),
+      description: readDocComment(docNode),
+      ...sourceRange(symbol.node, symbol.captures.name[0])
+    });
+  });
+  
+  return { classes, interfaces, functions, imports, importLines, references };
+}
+
 // Detect entry points based on code structure
 function detectEntryPoints(fileInfo, content, language) {
   const entryPoints = {
@@ -1458,18 +2273,13 @@ function detectEntryPoints(fileInfo, content, language) {
     moduleExports: []
   };
   
+  const definition = languages.getLanguage(language);
+  const heuristics = definition ? definition.entryPoints : {};
+  
   // Function to check if a file appears to be a main entry point
   const isMainFile = (fileName) => {
-    return fileName === 'main.js' || 
-           fileName === 'main.ts' || 
-           fileName === 'index.js' || 
-           fileName === 'index.ts' || 
-           fileName === 'app.js' || 
-           fileName === 'app.ts' || 
-           fileName === 'server.js' || 
-           fileName === 'server.ts' ||
-           fileName.endsWith('.cli.js') ||
-           fileName.endsWith('.cli.ts') ||
+    return (heuristics.mainFiles || []).some(mainFile =>
+      mainFile instanceof RegExp ? mainFile.test(fileName) : mainFile === fileName) ||
            fileName.includes('main');
   };
   
@@ -1531,42 +2341,32 @@ function detectEntryPoints(fileInfo, content, language) {
       content.includes('router.') || 
       content.includes('@Controller') ||
       content.includes('Flask(') ||
-      content.includes('django')) {
+      content.includes('django') ||
+      (fileInfo.routing && fileInfo.routing.routes.length > 0)) {
     
     // Try to identify the port the server is running on
     const portMatch = content.match(/\.listen\((\d+)/) || 
+                     content.match(/(?:ListenAndServe(?:TLS)?|\.Run|\.Start)\(\s*"[\w.-]*:(\d+)"/) || 
                      content.match(/port\s*=\s*(\d+)/) || 
                      content.match(/PORT\s*=\s*(\d+)/);
     
-    const port = portMatch ? portMatch[1] : '3000'; // Default to common port if not found
-    
-    // Try to find route definitions
-    const routeMatches = content.match(/app\.(get|post|put|delete|patch)\(['"](.*?)['"]/g) || [];
-    const routePattern = /app\.(get|post|put|delete|patch)\(['"](.*?)['"]/;
+    // Without a port in the source the address stays unknown
+    const address = portMatch ? { port: portMatch[1], url: `http://localhost:${portMatch[1]}` } : {};
     
-    const routes = routeMatches.map(route => {
-      const match = route.match(routePattern);
-      if (match && match.length >= 3) {
-        return {
-          method: match[1].toUpperCase(),
-          path: match[2]
-        };
-      }
-      return null;
-    }).filter(Boolean);
+    // Routes depend on where other files mount this one; buildRouteTable fills them in
+    const routes = [];
     
     entryPoints.webService.push({
       type: 'webService',
       path: fileInfo.path,
       name: path.basename(fileInfo.path, path.extname(fileInfo.path)),
-      port,
-      url: `http://localhost:${port}`,
+      ...address,
       routes
     });
   }
   
   // Look for exported functions or module.exports
-  if (['javascript', 'typescript'].includes(language)) {
+  if (heuristics.moduleExports) {
     const exportedFuncMatches = content.match(/export(\s+default)?\s+function\s+(\w+)/g) || [];
     const moduleExportsMatches = content.match(/module\.exports\s*=\s*{([\s\S]*?)}/g) || [];
     
@@ -1607,9 +2407,7 @@ function detectEntryPoints(fileInfo, content, language) {
   
   // Check if this is a main program file
   if (isMainFile(fileName) || 
-      content.includes('public static void main(') || // Java
-      content.includes('if __name__ == "__main__"') || // Python
-      content.match(/func\s+main\(\)/)) { // Go
+      (heuristics.mainPatterns || []).some(pattern => pattern.test(content))) {
     
     entryPoints.program.push({
       type: 'program',
@@ -1621,17 +2419,133 @@ function detectEntryPoints(fileInfo, content, language) {
   return entryPoints;
 }
 
-// Process a file to extract code elements - updated for more generic classifications
-async function processFile(filePath, parser, language) {
-  console.log(`Processing ${filePath}...`);
+// Default parse cache directory, inside the analyzed directory
+const CACHE_DIR_NAME = '.repomap-cache';
+
+// Parts of fileInfo that come from the syntax tree and can be reused from the cache
+const CACHED_FIELDS = ['classes', 'interfaces', 'functions', 'imports', 'references', 'decorators', 'calls', 'routing'];
+
+// Directory holding the bundled route extractors, part of the extraction code
+const BUNDLED_ROUTE_DIR = path.join(__dirname, 'routes');
+
+// Grammar behind each language's parser, recorded when the parser is created
+const grammarVersions = new Map();
+
+// Cache key part shared by every file of a language, computed once per run
+const cacheKeyPrefixes = new Map();
+
+// Cache hits and misses of the current run
+let cacheStats = { hits: 0, misses: 0 };
+
+// Hash of this tool's version and code, route extractors included, so extractor
+// changes invalidate the cache
+let toolFingerprint = null;
+
+// SHA-256 of several strings or buffers
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part).update('\0'));
+  return hash.digest('hex');
+}
+
+// Version of the npm package providing a native grammar
+function grammarPackageVersion(lang) {
+  const pkg = grammarPackageName(lang);
+  try {
+    return `${pkg}@${require(`${pkg}/package.json`).version}`;
+  } catch (error) {
+    return `${pkg}@unknown`;
+  }
+}
+
+// Everything besides the file content that decides what extraction returns: the tool,
+// the grammar, the language definition and, in query mode, the query file
+function cacheKeyPrefix(language) {
+  if (cacheKeyPrefixes.has(language)) {
+    return cacheKeyPrefixes.get(language);
+  }
+  
+  if (!toolFingerprint) {
+    const routeExtractors = fs.readdirSync(BUNDLED_ROUTE_DIR).sort()
+      .map(file => fs.readFileSync(path.join(BUNDLED_ROUTE_DIR, file)));
+    toolFingerprint = hashContent(VERSION, fs.readFileSync(__filename), ...routeExtractors);
+  }
+  
+  const definition = languages.getLanguage(language);
+  const definitionSource = definition && fs.existsSync(definition.source)
+    ? fs.readFileSync(definition.source)
+    : '';
+  const queryFile = options.extraction === 'query' ? findQueryFile(language) : null;
+  
+  const prefix = hashContent(
+    toolFingerprint,
+    language,
+    grammarVersions.get(language) || 'unknown',
+    options.extraction,
+    definitionSource,
+    queryFile ? fs.readFileSync(queryFile) : ''
+  );
+  cacheKeyPrefixes.set(language, prefix);
+  return prefix;
+}
+
+// Create the cache directory, ignored by git since its entries are derived data
+function prepareCacheDir() {
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const gitignore = path.join(cacheDir, '.gitignore');
+  if (!fs.existsSync(gitignore)) {
+    fs.writeFileSync(gitignore, '*\n');
+  }
+}
+
+// Entries are spread over subdirectories named after the first two hex digits
+function cacheEntryPath(key) {
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+function readCacheEntry(key) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheEntryPath(key), 'utf8'));
+  } catch (error) {
+    // Missing or unreadable entries are parsed again
+    return null;
+  }
+}
+
+function writeCacheEntry(key, fileInfo) {
+  const entry = {};
+  CACHED_FIELDS.forEach(field => {
+    entry[field] = fileInfo[field];
+  });
+  
+  const entryPath = cacheEntryPath(key);
+  // Write to a temporary file first so an interrupted run never leaves a partial entry
+  const tempPath = `${entryPath}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, entryPath);
+  } catch (error) {
+    debug(`Failed to write cache entry ${entryPath}: ${error.message}`);
+  }
+}
+
+// Process a file to extract code elements - updated for more generic classifications
+async function processFile(filePath, parser, language) {
+  debug(`Processing ${filePath}`);
   
   const fileInfo = {
     path: filePath,
+    language,
     classes: [],
     interfaces: [],
     functions: [],
     imports: [],
+    importLines: {},
+    references: [],
     decorators: [],
+    calls: [],
+    routing: null,
     entryPoints: null,
     
     // More generic file type classification without framework-specific assumptions
@@ -1661,14 +2575,41 @@ async function processFile(filePath, parser, language) {
     const content = readFileContent(filePath);
     if (!content) return fileInfo;
     
-    const tree = parser.parse(content);
+    // Unchanged files reuse their extraction results without being parsed
+    const cacheKey = cacheDir ? hashContent(cacheKeyPrefix(language), content) : null;
+    const cached = cacheKey ? readCacheEntry(cacheKey) : null;
     
-    // Extract data
-    fileInfo.classes = extractClasses(tree, language);
-    fileInfo.interfaces = extractInterfaces(tree, language);
-    fileInfo.functions = extractFunctions(tree, language);
-    fileInfo.imports = extractImports(tree, language);
-    fileInfo.decorators = extractDecorators(tree, language);
+    if (cached) {
+      cacheStats.hits++;
+      Object.assign(fileInfo, cached);
+    } else {
+      const tree = parser.parse(content);
+      
+      // Extract data, with queries when requested and available for the language
+      const query = options.extraction === 'query' ? getLanguageQuery(parser, language) : null;
+      if (query) {
+        Object.assign(fileInfo, extractWithQueries(tree, query, language));
+      } else {
+        fileInfo.classes = extractClasses(tree, language);
+        fileInfo.interfaces = extractInterfaces(tree, language);
+        fileInfo.functions = extractFunctions(tree, language);
+        Object.assign(fileInfo, extractImports(tree, language));
+        fileInfo.references = extractReferences(tree, language);
+      }
+      fileInfo.decorators = extractDecorators(tree, language);
+      fileInfo.calls = extractCalls(tree, language);
+      fileInfo.routing = extractRoutes(tree, language);
+      
+      // WebAssembly trees live in wasm memory and must be freed explicitly
+      if (typeof tree.delete === 'function') {
+        tree.delete();
+      }
+      
+      if (cacheKey) {
+        cacheStats.misses++;
+        writeCacheEntry(cacheKey, fileInfo);
+      }
+    }
     
     // Detect entry points like CLI, API, services
     fileInfo.entryPoints = detectEntryPoints(fileInfo, content, language);
@@ -1686,7 +2627,7 @@ async function processFile(filePath, parser, language) {
     // Test files
     fileInfo.isTest = fileName.includes('test') || 
                     fileName.includes('spec') || 
-                    fileName.match(/\._?test\./) || 
+                    /\._?test\./.test(fileName) || 
                     dirPath.includes('/test') || 
                     dirPath.includes('/tests') || 
                     dirPath.includes('/spec');
@@ -1794,7 +2735,7 @@ async function processFile(filePath, parser, language) {
                       dirPath.includes('/resources') || 
                       dirPath.includes('/static') || 
                       dirPath.includes('/public') || 
-                      fileName.match(/\.(svg|png|jpg|jpeg|gif|ico|woff|ttf|eot)$/);
+                      /\.(svg|png|jpg|jpeg|gif|ico|woff|ttf|eot)$/.test(fileName);
     
     // Scripts (build, deployment, CI/CD)
     fileInfo.isScript = fileName.endsWith('.sh') || 
@@ -1825,6 +2766,136 @@ async function processFile(filePath, parser, language) {
   }
 }
 
+// Marks a worker thread started by processFilesInWorkers
+const WORKER_ROLE = 'repomap-parse-worker';
+
+// Starting a worker and loading its grammars only pays off with enough files to share
+const MIN_FILES_PER_WORKER = 50;
+
+// Single-line progress bar on stderr, drawn only when it is a terminal
+function createProgressBar(total) {
+  const stream = process.stderr;
+  const enabled = !options.quiet && !options.debug && stream.isTTY && total > 0;
+  const width = 30;
+  let lastPercent = -1;
+  
+  return {
+    update(done) {
+      const percent = Math.floor((done / total) * 100);
+      if (!enabled || percent === lastPercent) {
+        return;
+      }
+      lastPercent = percent;
+      const filled = Math.round((done / total) * width);
+      stream.write(`\r[${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${percent}% ${done}/${total} files`);
+    },
+    clear() {
+      if (enabled) {
+        stream.write('\r\x1b[K');
+      }
+    }
+  };
+}
+
+// Language definitions loaded from files, which worker threads register again.
+// Inline definitions cannot be sent to a worker.
+function languageDefinitionFiles(languageNames) {
+  const definitions = languageNames.map(name => languages.getLanguage(name));
+  if (definitions.some(definition => !fs.existsSync(definition.source))) {
+    return null;
+  }
+  return [...new Set(languages.getLanguages()
+    .map(definition => definition.source)
+    .filter(source => fs.existsSync(source)))];
+}
+
+// Process files on a pool of worker threads, each with its own parsers.
+// Results come back in the order of the tasks whatever order workers finish in.
+function processFilesInWorkers(tasks, jobs, definitionFiles, onProgress) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(tasks.length);
+    const workers = [];
+    let next = 0;
+    let finished = 0;
+    let settled = false;
+    
+    const settle = (error) => {
+      if (settled) return;
+      settled = true;
+      workers.forEach(worker => worker.terminate());
+      if (error) {
+        reject(error);
+      } else {
+        resolve(results);
+      }
+    };
+    
+    const dispatch = (worker) => {
+      if (next < tasks.length) {
+        worker.postMessage({ index: next, ...tasks[next] });
+        next++;
+      }
+    };
+    
+    if (tasks.length === 0) {
+      settle();
+      return;
+    }
+    
+    // Workers log nothing themselves; plugins come from definitionFiles
+    const workerOptions = { ...options, quiet: true, languagePlugins: undefined };
+    
+    for (let i = 0; i < Math.min(jobs, tasks.length); i++) {
+      const worker = new Worker(__filename, {
+        workerData: { role: WORKER_ROLE, options: workerOptions, definitionFiles }
+      });
+      workers.push(worker);
+      
+      worker.on('message', ({ index, info, cached }) => {
+        results[index] = info;
+        if (cached) {
+          cacheStats.hits++;
+        } else if (cacheDir) {
+          cacheStats.misses++;
+        }
+        finished++;
+        onProgress(finished);
+        
+        if (finished === tasks.length) {
+          settle();
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', error => settle(error));
+      worker.on('exit', code => {
+        if (code !== 0) {
+          settle(new Error(`Parse worker exited with code ${code}`));
+        }
+      });
+      
+      dispatch(worker);
+    }
+  });
+}
+
+// Worker thread side of processFilesInWorkers: parse each file it is sent
+function runWorker() {
+  languages.loadLanguagePlugins(workerData.definitionFiles);
+  configure(workerData.options);
+  
+  const parsers = {};
+  parentPort.on('message', async ({ index, file, lang }) => {
+    if (!parsers[lang]) {
+      parsers[lang] = await createParser(lang);
+    }
+    
+    const hits = cacheStats.hits;
+    const info = await processFile(file, parsers[lang], lang);
+    parentPort.postMessage({ index, info, cached: cacheStats.hits > hits });
+  });
+}
+
 // Identify logical modules in the codebase based on functionality
 function detectLogicalModules(filesInfo) {
   // Define logical module categories
@@ -1913,7 +2984,7 @@ function detectLogicalModules(filesInfo) {
         // Determine logical module based on function name/purpose
         if (func.name === 'main') {
           moduleKey = 'Entry Point';
-        } else if (func.name.includes('detectLanguage') || func.name.includes('loadLanguageParser')) {
+        } else if (func.name.includes('detectLanguages') || func.name.includes('loadLanguageParser')) {
           moduleKey = 'Language Detection';
         } else if (func.name.includes('findFiles') || func.name.includes('readFileContent')) {
           moduleKey = 'File Processing';
@@ -1971,7 +3042,9 @@ function detectLogicalModules(filesInfo) {
         properties: cls.properties,
         extends: cls.extends,
         implements: cls.implements,
-        sourceFile: fileInfo.path
+        sourceFile: fileInfo.path,
+        startLine: cls.startLine,
+        endLine: cls.endLine
       });
       
       // Add file to module if not already added
@@ -2083,6 +3156,10 @@ function detectModuleInterfaces(filesInfo) {
           extends: classInfo.extends,
           implements: classInfo.implements,
           usageExample,
+          // Modules are named after files, so several files can share one
+          path: fileInfo.path,
+          startLine: classInfo.startLine,
+          endLine: classInfo.endLine,
           // Add logical module categorization
           logicalModule: getClassLogicalModule(classInfo, logicalModules)
         });
@@ -2116,6 +3193,9 @@ function detectModuleInterfaces(filesInfo) {
               parameters: func.parameters,
               returnType: func.returnType,
               usageExample,
+              path: fileInfo.path,
+              startLine: func.startLine,
+              endLine: func.endLine,
               // Add logical module categorization
               logicalModule: getFunctionLogicalModule(func, logicalModules)
             };
@@ -2130,6 +3210,9 @@ function detectModuleInterfaces(filesInfo) {
               returnType: func.returnType,
               description: func.description,
               usageExample,
+              path: fileInfo.path,
+              startLine: func.startLine,
+              endLine: func.endLine,
               // Add logical module categorization
               logicalModule: getFunctionLogicalModule(func, logicalModules)
             });
@@ -2204,6 +3287,9 @@ function detectModuleInterfaces(filesInfo) {
           extends: iface.extends,
           typeParameters: iface.typeParameters,
           usageExample,
+          path: fileInfo.path,
+          startLine: iface.startLine,
+          endLine: iface.endLine,
           // Add logical module categorization - most interfaces belong to the Code Analysis module
           logicalModule: 'Code Analysis'
         });
@@ -2239,7 +3325,7 @@ function detectModuleInterfaces(filesInfo) {
               moduleInterfaces[moduleName].usageExamples.push({
                 type: 'api',
                 name: `${route.method} ${route.path}`,
-                example: `# API Endpoint:\n${route.method} ${service.url}${route.path}`
+                example: `# API Endpoint:\n${route.method} ${service.url || ''}${route.path}`
               });
             });
           } else {
@@ -2247,7 +3333,7 @@ function detectModuleInterfaces(filesInfo) {
             moduleInterfaces[moduleName].usageExamples.push({
               type: 'webService',
               name: service.name,
-              example: `# Web Service:\nService running at ${service.url}`
+              example: service.url ? `# Web Service:\nService running at ${service.url}` : `# Web Service:\nServed from ${service.path}`
             });
           }
         });
@@ -2332,56 +3418,587 @@ function getClassLogicalModule(cls, logicalModules) {
   return 'Utility'; // Default
 }
 
+// What import resolvers know about the project
+function createImportProject(filesInfo) {
+  return {
+    root: baseDir,
+    files: new Set(filesInfo.map(info => info.path)),
+    cache: new Map()
+  };
+}
+
+// Analyzed files or packages a file depends on, each with the import specifier that
+// leads to it, or a null specifier for code used without an import
+function resolveFileDependencies(fileInfo, project) {
+  // Each language resolves its own specifiers; the rest only follow relative paths
+  const definition = languages.getLanguage(fileInfo.language);
+  const resolveImport = (definition && definition.resolveImport) || resolveRelativeImport;
+  
+  const dependencies = fileInfo.imports.flatMap(specifier =>
+    [].concat(resolveImport(specifier, fileInfo.path, project) || []).map(target => ({ target, specifier })));
+  // Code some languages use without importing it, like classes of the same Java package
+  if (definition && definition.implicitDependencies) {
+    definition.implicitDependencies(fileInfo.path, project).forEach(target => {
+      dependencies.push({ target, specifier: null });
+    });
+  }
+  return dependencies;
+}
+
 // Build dependency graph between files
 function buildDependencyGraph(filesInfo) {
   const graph = {};
+  const project = createImportProject(filesInfo);
   
-  // Create a lookup map for file paths
-  const pathLookup = {};
-  filesInfo.forEach(info => {
-    pathLookup[path.basename(info.path, path.extname(info.path))] = info.path;
+  filesInfo.forEach(fileInfo => {
+    // Package-based languages like Go share one node per package directory
+    const definition = languages.getLanguage(fileInfo.language);
+    const key = definition && definition.dependencyUnit === 'package'
+      ? path.dirname(fileInfo.path)
+      : fileInfo.path;
+    
+    if (!graph[key]) {
+      graph[key] = key === fileInfo.path
+        ? { path: key, dependencies: [], type: determineFileType(fileInfo) }
+        : { path: key, files: [], dependencies: [], type: 'package' };
+    }
+    const node = graph[key];
+    if (node.files) {
+      node.files.push(fileInfo.path);
+    }
+    
+    resolveFileDependencies(fileInfo, project).forEach(({ target }) => {
+      if (target !== key && !node.dependencies.includes(target)) {
+        node.dependencies.push(target);
+      }
+    });
   });
   
-  // Process each file's imports
-  filesInfo.forEach(fileInfo => {
-    const source = path.basename(fileInfo.path, path.extname(fileInfo.path));
+  return graph;
+}
+
+// Resolve ./ and ../ specifiers to the analyzed file they name, for languages
+// without an import resolver
+function resolveRelativeImport(specifier, fromFile, project) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+  const target = path.resolve(path.dirname(fromFile), specifier);
+  return project.files.has(target) ? target : null;
+}
+
+// Strongly connected components of a graph given as a Map of node -> successors
+// (Tarjan's algorithm), keeping only those with more than one node
+function findStronglyConnectedComponents(edges) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let nextIndex = 0;
+  
+  const visit = node => {
+    indexes.set(node, nextIndex);
+    lowLinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+    
+    (edges.get(node) || []).forEach(target => {
+      if (!indexes.has(target)) {
+        visit(target);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(target)));
+      }
+    });
     
-    if (!graph[source]) {
-      graph[source] = {
-        path: fileInfo.path,
-        dependencies: [],
-        type: determineFileType(fileInfo)
-      };
+    if (lowLinks.get(node) === indexes.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) {
+        components.push(component.sort());
+      }
+    }
+  };
+  
+  Array.from(edges.keys()).sort().forEach(node => {
+    if (!indexes.has(node)) {
+      visit(node);
+    }
+  });
+  
+  return components;
+}
+
+// Shortest cycle through the nodes of a strongly connected component, found with a
+// breadth-first search back to each node in turn. The first node is repeated at the end.
+function findShortestCycle(component, edges) {
+  const members = new Set(component);
+  let shortest = null;
+  
+  component.forEach(start => {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const targets = (edges.get(node) || []).filter(target => members.has(target));
+      
+      if (targets.includes(start)) {
+        const cycle = [start];
+        for (let step = node; step !== start; step = previous.get(step)) {
+          cycle.splice(1, 0, step);
+        }
+        cycle.push(start);
+        if (!shortest || cycle.length < shortest.length) {
+          shortest = cycle;
+        }
+        return;
+      }
+      
+      targets.forEach(target => {
+        if (!previous.has(target)) {
+          previous.set(target, node);
+          queue.push(target);
+        }
+      });
+    }
+  });
+  
+  return shortest;
+}
+
+// Circular dependencies in a graph, largest first
+function describeCycles(edges) {
+  return findStronglyConnectedComponents(edges)
+    .map(members => ({ members, shortestCycle: findShortestCycle(members, edges) }))
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]));
+}
+
+// Find circular dependencies between the nodes of the dependency graph (files, or
+// packages for package-based languages) and between the logical modules their files
+// belong to
+function detectDependencyCycles(graph, logicalModules) {
+  const fileEdges = new Map();
+  Object.values(graph).forEach(node => {
+    fileEdges.set(node.path, node.dependencies.filter(target => graph[target]));
+  });
+  
+  // A file belongs to the first logical module that lists it
+  const moduleOfFile = new Map();
+  Object.entries(logicalModules || {}).forEach(([moduleName, module]) => {
+    module.files.forEach(file => {
+      if (!moduleOfFile.has(file)) {
+        moduleOfFile.set(file, moduleName);
+      }
+    });
+  });
+  
+  const modulesOf = node => (node.files || [node.path])
+    .map(file => moduleOfFile.get(file))
+    .filter(Boolean);
+  
+  const moduleEdges = new Map();
+  Object.values(graph).forEach(node => {
+    node.dependencies.filter(target => graph[target]).forEach(target => {
+      const targetModules = modulesOf(graph[target]);
+      modulesOf(node).forEach(moduleName => {
+        if (!moduleEdges.has(moduleName)) {
+          moduleEdges.set(moduleName, []);
+        }
+        const moduleTargets = moduleEdges.get(moduleName);
+        targetModules.forEach(targetModule => {
+          if (targetModule !== moduleName && !moduleTargets.includes(targetModule)) {
+            moduleTargets.push(targetModule);
+          }
+        });
+      });
+    });
+  });
+  
+  return {
+    files: describeCycles(fileEdges),
+    modules: describeCycles(moduleEdges)
+  };
+}
+
+// Default file of --layers, in the analyzed directory
+const LAYER_RULES_FILE_NAME = '.repomap-layers.json';
+
+// File roles returned by determineFileType, which are the layers when a rules file declares none
+const FILE_TYPES = ['component', 'service', 'controller', 'guard', 'interceptor', 'directive',
+  'repository', 'model', 'module', 'util', 'test', 'other', 'package'];
+
+// Read a layering rules file:
+//   {
+//     "layers": {
+//       "web": { "types": ["controller"], "paths": ["src/web/**"] },
+//       "services": { "types": ["service"] },
+//       "data": { "types": ["repository", "model"] }
+//     },
+//     "rules": [
+//       { "from": "web", "allow": ["services"] },
+//       { "from": "web", "deny": ["data"], "message": "Controllers go through services" }
+//     ]
+//   }
+// A file is in the first layer matching its file type or path. Without "layers", each
+// file type is a layer. "allow" forbids every other layer, "deny" only the ones listed;
+// files outside every layer and dependencies within a layer are never violations.
+function loadLayerRules(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read layer rules from ${file}: ${error.message}`);
+  }
+  
+  const layers = config.layers
+    ? Object.entries(config.layers).map(([name, layer]) => ({
+      name,
+      types: [].concat(layer.types || []),
+      paths: layer.paths ? createGlobMatcher(layer.paths) : null
+    }))
+    : null;
+  const layerNames = layers ? layers.map(layer => layer.name) : FILE_TYPES;
+  
+  if (!Array.isArray(config.rules)) {
+    throw new Error(`Layer rules file ${file} has no "rules" list`);
+  }
+  
+  const rules = config.rules.map((rule, index) => {
+    const checked = {
+      from: [].concat(rule.from || []),
+      allow: rule.allow ? [].concat(rule.allow) : null,
+      deny: rule.deny ? [].concat(rule.deny) : null,
+      message: rule.message
+    };
+    if (checked.from.length === 0 || (!checked.allow && !checked.deny)) {
+      throw new Error(`Layer rule ${index + 1} in ${file} needs "from" and "allow" or "deny"`);
+    }
+    const unknown = [...checked.from, ...(checked.allow || []), ...(checked.deny || [])]
+      .filter(name => !layerNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Layer rule ${index + 1} in ${file} names unknown layers: ${unknown.join(', ')} (expected ${layerNames.join(', ')})`);
+    }
+    return checked;
+  });
+  
+  return { layers, rules };
+}
+
+// Line of the import a dependency comes from, as extraction recorded it, or of the
+// first mention of the dependency's name when the file uses it without an import
+function findDependencyLine(fileInfo, specifier, target) {
+  if (specifier) {
+    return (fileInfo.importLines || {})[specifier];
+  }
+  
+  let lines;
+  try {
+    lines = fs.readFileSync(fileInfo.path, 'utf8').split('\n');
+  } catch (error) {
+    return undefined;
+  }
+  
+  const name = path.basename(target, path.extname(target)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const index = lines.findIndex(line => new RegExp(`\\b${name}\\b`).test(line));
+  return index === -1 ? undefined : index + 1;
+}
+
+// Every dependency between files that breaks a layering rule, with the line it comes from
+function checkLayerRules(filesInfo, graph, layerRules) {
+  const fileTypes = new Map(filesInfo.map(info => [info.path, determineFileType(info)]));
+  
+  const layerOfFile = file => {
+    if (!layerRules.layers) {
+      return fileTypes.get(file) || null;
+    }
+    const layer = layerRules.layers.find(candidate =>
+      candidate.types.includes(fileTypes.get(file)) ||
+      (candidate.paths && candidate.paths(toRepoPath(file)) === true));
+    return layer ? layer.name : null;
+  };
+  
+  // Dependencies are files, or package directories that take the layer of their files
+  const layerOfTarget = target => {
+    const node = graph[target];
+    const files = node && node.files ? node.files : [target];
+    return files.map(layerOfFile).find(Boolean) || null;
+  };
+  
+  const project = createImportProject(filesInfo);
+  const violations = [];
+  
+  filesInfo.forEach(fileInfo => {
+    const fromLayer = layerOfFile(fileInfo.path);
+    const rules = layerRules.rules.filter(rule => rule.from.includes(fromLayer));
+    if (rules.length === 0) {
+      return;
     }
     
-    // Determine imports based on language
-    fileInfo.imports.forEach(importPath => {
-      // Skip external dependencies
-      if (!importPath.startsWith('@') && !importPath.startsWith('.')) {
+    const reported = new Set();
+    resolveFileDependencies(fileInfo, project).forEach(({ target, specifier }) => {
+      const toLayer = layerOfTarget(target);
+      if (!toLayer || toLayer === fromLayer || reported.has(target)) {
         return;
       }
       
-      // Normalize the import path
-      let normalizedImport = importPath;
-      let importBaseName;
+      const broken = rules.find(rule =>
+        (rule.allow && !rule.allow.includes(toLayer)) || (rule.deny && rule.deny.includes(toLayer)));
+      if (!broken) {
+        return;
+      }
       
-      if (importPath.startsWith('.')) {
-        const dir = path.dirname(fileInfo.path);
-        normalizedImport = path.normalize(path.join(dir, importPath));
-        importBaseName = path.basename(normalizedImport);
-      } else {
-        // For aliased imports like @core/services/etc
-        importBaseName = importPath.split('/').pop();
+      reported.add(target);
+      violations.push({
+        file: fileInfo.path,
+        line: findDependencyLine(fileInfo, specifier, target),
+        dependency: target,
+        fromLayer,
+        toLayer,
+        message: broken.message || `${fromLayer} must not depend on ${toLayer}`
+      });
+    });
+  });
+  
+  return violations;
+}
+
+// Join route path parts with single slashes: /api + users/ + :id -> /api/users/:id.
+// A trailing slash is kept, since frameworks like Django and net/http match by it:
+// /static + / -> /static/
+function joinRoutePaths(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  return joined.startsWith('/') ? joined : `/${joined}`;
+}
+
+// Whether middleware used on a path runs for a route or mount at another path
+function routePathWithin(target, mountPath) {
+  const prefix = joinRoutePaths(mountPath).replace(/\/+$/, '');
+  const full = joinRoutePaths(target).replace(/\/+$/, '');
+  return prefix === '' || full === prefix || full.startsWith(`${prefix}/`);
+}
+
+// Order of the methods of one path in the route table
+const ROUTE_METHOD_ORDER = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ALL'];
+
+// Put the routes of every file under the paths their routers are mounted at. Routers
+// no one mounts are the roots; middleware a router uses before a route or a mount,
+// on a path that covers it, runs ahead of the route's own.
+function buildRouteTable(filesInfo) {
+  const project = createImportProject(filesInfo);
+  const routingFiles = new Map(filesInfo.filter(info => info.routing).map(info => [info.path, info]));
+  
+  const routers = new Map();
+  const routerId = (file, local) => `${file}#${local}`;
+  const routerFor = (file, local) => {
+    const id = routerId(file, local);
+    if (!routers.has(id)) {
+      routers.set(id, { file, prefix: '', framework: null, routes: [], mounts: [], middleware: [] });
+    }
+    return routers.get(id);
+  };
+  
+  routingFiles.forEach(({ routing }, file) => {
+    routing.routers.forEach(entry => {
+      Object.assign(routerFor(file, entry.id), { prefix: entry.prefix || '', framework: entry.framework || null });
+    });
+    routing.routes.forEach(route => routerFor(file, route.router).routes.push({ ...route, file }));
+    routing.uses.forEach(use => routerFor(file, use.router));
+  });
+  
+  // Routers mounted by the file that declares them are not what the file offers others
+  const mountedLocally = new Set();
+  routingFiles.forEach(({ routing }, file) => {
+    routing.uses.forEach(use => use.args.forEach(({ reference }) => {
+      if (reference && reference.local && routers.has(routerId(file, reference.local))) {
+        mountedLocally.add(routerId(file, reference.local));
+      }
+    }));
+  });
+  
+  // Files an import names; package-based languages import directories, holding many files
+  const importedFiles = (fileInfo, source, candidates) => {
+    const definition = languages.getLanguage(fileInfo.language);
+    const resolveImport = (definition && definition.resolveImport) || resolveRelativeImport;
+    return [].concat(resolveImport(source, fileInfo.path, project) || [])
+      .flatMap(target => (candidates.has(target)
+        ? [target]
+        : Array.from(candidates.keys()).filter(file => path.dirname(file) === target)));
+  };
+  
+  // The other files of a file's package, whose names it uses without importing them
+  const packageSiblings = (fileInfo, candidates) => {
+    const definition = languages.getLanguage(fileInfo.language);
+    if (!definition || definition.dependencyUnit !== 'package') {
+      return [];
+    }
+    return Array.from(candidates.keys()).filter(file =>
+      file !== fileInfo.path && path.dirname(file) === path.dirname(fileInfo.path));
+  };
+  
+  const exportedRouter = (file, name) => {
+    const exported = routingFiles.get(file).routing.exports;
+    const local = Object.prototype.hasOwnProperty.call(exported, name) ? exported[name] : null;
+    return local && routers.has(routerId(file, local)) ? routerId(file, local) : null;
+  };
+  
+  // Routers a use argument names: a router of the same file or package, the exported
+  // router of an imported file, or when a file exports something else, the routers it
+  // mounts nowhere
+  const resolveReference = (fileInfo, reference) => {
+    if (!reference) {
+      return [];
+    }
+    if (reference.local) {
+      const id = routerId(fileInfo.path, reference.local);
+      if (routers.has(id)) {
+        return [id];
       }
+      return packageSiblings(fileInfo, routingFiles).map(file => exportedRouter(file, reference.local)).filter(Boolean);
+    }
+    
+    const targets = importedFiles(fileInfo, reference.source, routingFiles);
+    const exported = targets.map(target => exportedRouter(target, reference.name)).filter(Boolean);
+    // A package only offers the routers its functions and variables name
+    const definition = languages.getLanguage(fileInfo.language);
+    if (exported.length > 0 || (definition && definition.dependencyUnit === 'package')) {
+      return exported;
+    }
+    return targets.flatMap(target =>
+      Array.from(routers.keys()).filter(id => routers.get(id).file === target && !mountedLocally.has(id)));
+  };
+  
+  // Function a route's handler names, in its own file or package or an imported one
+  const filesByPath = new Map(filesInfo.map(info => [info.path, info]));
+  const handlerDefinition = (file, reference) => {
+    if (!reference) {
+      return null;
+    }
+    const fileInfo = filesByPath.get(file);
+    const candidates = reference.local
+      ? [file].concat(packageSiblings(fileInfo, filesByPath))
+      : importedFiles(fileInfo, reference.source, filesByPath);
+    // A function, a method of a class, or a view class handling the route as a whole
+    const name = reference.local || reference.name;
+    for (const candidate of candidates) {
+      const candidateInfo = filesByPath.get(candidate);
+      const cls = (candidateInfo.classes || []).find(entry => entry.name === name);
+      const definition = reference.member
+        ? cls && (cls.methods || []).find(method => method.name === reference.member)
+        : (candidateInfo.functions || []).find(entry => entry.name === name) || cls;
+      if (definition) {
+        return { handlerFile: candidate, handlerLine: definition.startLine, handlerEndLine: definition.endLine };
+      }
+    }
+    return null;
+  };
+  
+  // Split each use into the routers it mounts and the middleware it adds
+  const mounted = new Set();
+  routingFiles.forEach(fileInfo => {
+    fileInfo.routing.uses.forEach(use => {
+      const parentId = routerId(fileInfo.path, use.router);
+      const names = [];
+      
+      use.args.forEach(arg => {
+        const children = resolveReference(fileInfo, arg.reference).filter(child => child !== parentId);
+        children.forEach(child => {
+          routers.get(parentId).mounts.push({
+            child,
+            path: use.path,
+            middleware: use.middleware || [],
+            replacesPrefix: Boolean(use.replacesPrefix),
+            line: use.line
+          });
+          mounted.add(child);
+        });
+        // Calls that would have mounted routes are not middleware when they mount none
+        if (children.length === 0 && arg.name !== null) {
+          names.push(arg.name);
+        }
+      });
       
-      // Add to dependencies if it exists in our project
-      if (pathLookup[importBaseName]) {
-        graph[source].dependencies.push(importBaseName);
+      if (names.length > 0) {
+        routers.get(parentId).middleware.push({ path: use.path, names, line: use.line });
       }
     });
   });
   
-  return graph;
+  // A router a file imports, like a blueprint its views add routes to, hangs below the
+  // router it is, sharing its prefix and middleware
+  routingFiles.forEach(fileInfo => {
+    (fileInfo.routing.imported || []).forEach(({ router, reference }) => {
+      const id = routerId(fileInfo.path, router);
+      resolveReference(fileInfo, reference).filter(parent => parent !== id).forEach(parent => {
+        routers.get(parent).mounts.push({ child: id, path: '', middleware: [], line: Infinity });
+        mounted.add(id);
+      });
+    });
+  });
+  
+  // Root routers of a framework sit under its global prefix, like the one NestJS sets
+  // with app.setGlobalPrefix() or a JAX-RS @ApplicationPath
+  const globalPrefixes = new Map();
+  routingFiles.forEach(({ routing }) => {
+    if (routing.globalPrefix && !globalPrefixes.has(routing.globalPrefix.framework)) {
+      globalPrefixes.set(routing.globalPrefix.framework, routing.globalPrefix.path);
+    }
+  });
+  
+  const routes = [];
+  const visit = (id, prefix, chain, framework, ancestors, replacesPrefix = false) => {
+    const router = routers.get(id);
+    const base = joinRoutePaths(prefix, replacesPrefix ? '' : router.prefix);
+    const routerFramework = router.framework || framework;
+    const usedBefore = (target, line) => router.middleware
+      .filter(entry => entry.line <= line && routePathWithin(target, entry.path))
+      .flatMap(entry => entry.names);
+    
+    router.routes.forEach(route => {
+      routes.push({
+        method: route.method,
+        path: joinRoutePaths(base, route.path),
+        handler: route.handler,
+        middleware: chain.concat(usedBefore(route.path, route.line), route.middleware),
+        // Where the router came from tells its framework better than the file's imports
+        framework: routerFramework || route.framework || null,
+        file: route.file,
+        line: route.line,
+        column: route.column,
+        endLine: route.endLine,
+        endColumn: route.endColumn,
+        ...(route.status ? { status: route.status } : {}),
+        ...handlerDefinition(route.file, route.handlerReference)
+      });
+    });
+    
+    router.mounts.forEach(mount => {
+      // A router mounted below itself would never end
+      if (!ancestors.has(mount.child)) {
+        visit(mount.child, joinRoutePaths(base, mount.path), chain.concat(usedBefore(mount.path, mount.line), mount.middleware),
+          routerFramework, new Set(ancestors).add(mount.child), mount.replacesPrefix);
+      }
+    });
+  };
+  
+  routers.forEach((router, id) => {
+    if (!mounted.has(id)) {
+      visit(id, globalPrefixes.get(router.framework) || '', [], router.framework, new Set([id]));
+    }
+  });
+  
+  return routes.sort((a, b) =>
+    a.path.localeCompare(b.path) ||
+    ROUTE_METHOD_ORDER.indexOf(a.method) - ROUTE_METHOD_ORDER.indexOf(b.method) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line);
 }
 
 // Helper function to determine file type
@@ -2622,7 +4239,7 @@ function generateComponentTreeDiagram(filesInfo, language) {
     });
   });
   
-  diagram += '```\n';
+  diagram += '```\n\n';
   
   return diagram;
 }
@@ -2660,15 +4277,17 @@ function generateServiceDiagram(filesInfo, graph) {
     const serviceId = path.basename(service.path, path.extname(service.path))
       .replace(/[\.\w]+service/i, '');
     
-    const nodeInfo = graph[path.basename(service.path, path.extname(service.path))];
+    // Files of package-based languages are found through their package node
+    const nodeInfo = graph[service.path] || graph[path.dirname(service.path)];
     if (nodeInfo && nodeInfo.dependencies) {
       nodeInfo.dependencies.forEach(dep => {
-        const depService = services.find(s => path.basename(s.path, path.extname(s.path)) === dep);
-        if (depService) {
+        const depServices = services.filter(s => s.path === dep ||
+          (graph[dep] && graph[dep].files && graph[dep].files.includes(s.path)));
+        depServices.forEach(depService => {
           const depId = path.basename(depService.path, path.extname(depService.path))
             .replace(/[\.\w]+service/i, '');
           diagram += `  ${serviceId} --> ${depId}\n`;
-        }
+        });
       });
     }
   });
@@ -2681,7 +4300,7 @@ function generateServiceDiagram(filesInfo, graph) {
     diagram += `  style ${serviceId} fill:#5b9bd5,stroke:#333,stroke-width:1px,color:white\n`;
   });
   
-  diagram += '```\n';
+  diagram += '```\n\n';
   
   return diagram;
 }
@@ -2841,119 +4460,143 @@ function generateModuleDiagram(features, language) {
   return diagram;
 }
 
-  // Generate routing diagram
-function generateRoutingDiagram(filesInfo) {
+// Table of the HTTP routes: method, mounted path, handler, middleware and where it is declared
+function generateRouteTable(routes) {
+  const cell = text => text.replace(/\|/g, '\\|');
+  
+  let markdown = '| Method | Path | Handler | Middleware | Source |\n';
+  markdown += '|--------|------|---------|------------|--------|\n';
+  
+  routes.forEach(route => {
+    const handler = route.handler
+      ? sourceLink(`\`${cell(route.handler)}\``, route.handlerFile, route.handlerLine, route.handlerEndLine)
+      : '*inline*';
+    const middleware = route.middleware.length > 0
+      ? route.middleware.map(name => `\`${cell(name)}\``).join(' → ')
+      : '-';
+    const source = sourceLink(`${toRepoPath(route.file)}:${route.line}`, route.file, route.line, route.endLine);
+    markdown += `| ${route.method} | \`${cell(route.path)}\` | ${handler} | ${middleware} | ${source} |\n`;
+  });
+  
+  return markdown + '\n';
+}
+
+// Generate routing diagram: the route paths as a tree of segments, each endpoint
+// with its methods. Segments without routes of their own are merged into their child.
+function generateRoutingDiagram(routes) {
   // Skip if routing diagram is disabled
-  if (!options.routes) {
+  if (!options.routes || routes.length === 0) {
     return '';
   }
-
-  let diagram = '```mermaid\ngraph LR\n';
   
-  // Build a list of routes based on discovered
-  const routes = [];
-  
-  // Always include root route
-  routes.push({ path: '/', name: 'Root' });
-  
-  // Try to identify potential routes from the codebase structure
-  const routeIndicators = ['routes', 'router', 'controllers', 'handlers', 'endpoints', 'views'];
-  const routeFileFound = filesInfo.some(info => 
-    routeIndicators.some(indicator => info.path.toLowerCase().includes(indicator))
-  );
-  
-  // Add API route if there are likely API endpoints
-  const hasApi = filesInfo.some(info => 
-    info.path.includes('/api/') || 
-    info.path.includes('api.') || 
-    info.isController
-  );
-  
-  if (hasApi) {
-    routes.push({ path: '/api', name: 'API' });
-  }
-  
-  // Look for controller files that might indicate routes across all languages
-  filesInfo.forEach(info => {
-    if (info.isController) {
-      const controller = path.basename(info.path, path.extname(info.path))
-        .toLowerCase()
-        .replace('controller', '')
-        .replace('view', '')
-        .replace('handler', '')
-        .replace('resource', '')
-        .replace(/\..+$/, ''); // Remove file extensions if present
-        
-      if (controller && controller !== 'base' && controller !== 'app' && controller !== 'index') {
-        const routeName = controller.charAt(0).toUpperCase() + controller.slice(1);
-        
-        // Avoid duplicates
-        if (!routes.some(r => r.path === `/${controller}`)) {
-          routes.push({ path: `/${controller}`, name: routeName });
-        }
+  const root = { label: '/', methods: [], children: new Map() };
+  routes.forEach(route => {
+    let node = root;
+    route.path.split('/').filter(Boolean).forEach(segment => {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { label: `/${segment}`, methods: [], children: new Map() });
       }
+      node = node.children.get(segment);
+    });
+    if (!node.methods.includes(route.method)) {
+      node.methods.push(route.method);
     }
   });
   
-  // If no specific routes were detected, add a few placeholder routes
-  // based on common patterns in the given language
-  if (routes.length < 3) {
-    if (routeFileFound) {
-      routes.push({ path: '/main', name: 'Main' });
+  // Mermaid labels take entities for characters like < and ", as in /<int:id>
+  const escape = text => text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  
+  let diagram = '```mermaid\ngraph LR\n';
+  const endpoints = [];
+  let count = 0;
+  
+  const addNode = (node, parentId) => {
+    while (node !== root && node.methods.length === 0 && node.children.size === 1) {
+      const [child] = node.children.values();
+      node = { ...child, label: node.label + child.label };
     }
     
-    // Add documentation route if it seems like a development project
-    const hasReadmeOrDocs = filesInfo.some(info => 
-      info.path.toLowerCase().includes('readme') || 
-      info.path.toLowerCase().includes('docs/') ||
-      info.path.toLowerCase().includes('documentation')
-    );
-    
-    if (hasReadmeOrDocs) {
-      routes.push({ path: '/docs', name: 'Docs' });
+    const id = `R${count++}`;
+    const methods = node.methods.length > 0 ? `<br/>${node.methods.join(' ')}` : '';
+    diagram += `  ${id}["${escape(node.label)}${methods}"]\n`;
+    if (parentId) {
+      diagram += `  ${parentId} --> ${id}\n`;
     }
+    if (node.methods.length > 0 && node !== root) {
+      endpoints.push(id);
+    }
+    node.children.forEach(child => addNode(child, id));
+  };
+  addNode(root, null);
+  
+  // Add styling
+  diagram += '\n';
+  diagram += '  style R0 fill:#4472c4,stroke:#333,stroke-width:1px,color:white\n';
+  if (endpoints.length > 0) {
+    diagram += '  classDef endpoint fill:#70ad47,stroke:#333,stroke-width:1px,color:white\n';
+    diagram += `  class ${endpoints.join(',')} endpoint\n`;
   }
   
-  // Add nodes for each route
-  routes.forEach(route => {
-    diagram += `  ${route.name.replace(/[^a-zA-Z0-9]/g, '')}["${route.path}"]\n`;
-  });
+  diagram += '```\n\n';
   
-  // Add connections between routes
-  for (let i = 0; i < routes.length; i++) {
-    const route = routes[i];
-    if (route.path === '/') {
-      // Root route connects to top-level routes
-      for (let j = 0; j < routes.length; j++) {
-        const target = routes[j];
-        if (target.path !== '/' && target.path.split('/').length === 2) {
-          diagram += `  ${route.name.replace(/[^a-zA-Z0-9]/g, '')} --> ${target.name.replace(/[^a-zA-Z0-9]/g, '')}\n`;
-        }
-      }
+  return diagram;
+}
+
+// Describe circular dependencies between files and between logical modules
+function generateDependencyCycleDocumentation(dependencyCycles) {
+  const { files = [], modules = [] } = dependencyCycles || {};
+  
+  if (files.length === 0 && modules.length === 0) {
+    return 'No circular dependencies were found between files or logical modules.\n\n';
+  }
+  
+  let markdown = '';
+  const describe = (title, unit, cycles, label) => {
+    if (cycles.length === 0) {
+      return;
     }
-    else if (route.path.split('/').length === 2) {
-      // First-level routes connect to their children
-      for (let j = 0; j < routes.length; j++) {
-        const target = routes[j];
-        if (target.path.startsWith(route.path + '/')) {
-          diagram += `  ${route.name.replace(/[^a-zA-Z0-9]/g, '')} --> ${target.name.replace(/[^a-zA-Z0-9]/g, '')}\n`;
-        }
+    markdown += `### ${title}\n\n`;
+    markdown += `Found ${cycles.length} group${cycles.length === 1 ? '' : 's'} of ${unit} that depend on each other, each shown with its shortest cycle:\n\n`;
+    cycles.forEach((cycle, index) => {
+      markdown += `${index + 1}. ${cycle.shortestCycle.map(label).join(' → ')}`;
+      const others = cycle.members.length - (cycle.shortestCycle.length - 1);
+      if (others > 0) {
+        markdown += ` (${cycle.members.length} ${unit} in total, also ${cycle.members
+          .filter(node => !cycle.shortestCycle.includes(node))
+          .slice(0, 5)
+          .map(label)
+          .join(', ')}${others > 5 ? ` and ${others - 5} more` : ''})`;
       }
-    }
+      markdown += '\n';
+    });
+    markdown += '\n';
+  };
+  
+  describe('File Cycles', 'files', files, file => sourceLink(`\`${toRepoPath(file)}\``, file));
+  describe('Module Cycles', 'modules', modules, name => `\`${name}\``);
+  
+  return markdown;
+}
+
+// Table of the dependencies that break the layering rules
+function generateLayerViolationDocumentation(layerViolations) {
+  if (layerViolations.length === 0) {
+    return 'All dependencies follow the layering rules.\n\n';
   }
   
-  // Add styling
-  diagram += '\n';
-  routes.forEach((route, index) => {
-    // Alternate colors for routes
-    const colors = ['#4472c4', '#ed7d31', '#a5a5a5', '#70ad47'];
-    const color = colors[index % colors.length];
-    diagram += `  style ${route.name.replace(/[^a-zA-Z0-9]/g, '')} fill:${color},stroke:#333,stroke-width:1px,color:white\n`;
-  });
+  const count = layerViolations.length;
+  let markdown = `Found ${count} ${count === 1 ? 'dependency that breaks' : 'dependencies that break'} the layering rules:\n\n`;
+  markdown += '| File | Line | Depends on | Layers | Rule |\n';
+  markdown += '|------|------|------------|--------|------|\n';
   
-  diagram += '```\n';
+  layerViolations.forEach(violation => {
+    const file = sourceLink(`\`${toRepoPath(violation.file)}\``, violation.file);
+    const line = violation.line ? sourceLink(String(violation.line), violation.file, violation.line) : '';
+    const dependency = sourceLink(`\`${toRepoPath(violation.dependency)}\``, violation.dependency);
+    markdown += `| ${file} | ${line} | ${dependency} | ${violation.fromLayer} → ${violation.toLayer} | ${violation.message.replace(/\|/g, '\\|')} |\n`;
+  });
   
-  return diagram;
+  return markdown + '\n';
 }
 
 // Create tables for services and their public methods
@@ -3005,12 +4648,12 @@ function generateServiceInterfaceTables(features) {
     
     services.forEach(service => {
       const publicMethods = service.classes.flatMap(cls => 
-        cls.methods.filter(m => m.visibility === 'public').map(m => `\`${m.name}()\``));
+        cls.methods.filter(m => m.visibility === 'public').map(m => sourceLink(`\`${m.name}()\``, service.path, m.startLine, m.endLine)));
       
       const privateMethods = service.classes.flatMap(cls => 
-        cls.methods.filter(m => m.visibility === 'private').map(m => `\`${m.name}()\``));
+        cls.methods.filter(m => m.visibility === 'private').map(m => sourceLink(`\`${m.name}()\``, service.path, m.startLine, m.endLine)));
       
-      markdown += `| \`${path.basename(service.name, path.extname(service.name))}\` | ${service.feature} | ${publicMethods.join(', ') || '-'} | ${privateMethods.join(', ') || '-'} |\n`;
+      markdown += `| ${sourceLink(`\`${path.basename(service.name, path.extname(service.name))}\``, service.path)} | ${service.feature} | ${publicMethods.join(', ') || '-'} | ${privateMethods.join(', ') || '-'} |\n`;
     });
     
     markdown += '\n';
@@ -3041,9 +4684,9 @@ function generateComponentInterfaceTables(features) {
   // For each component, list methods
   allComponents.forEach(component => {
     const publicMethods = component.classes.flatMap(cls => 
-      cls.methods.filter(m => m.visibility === 'public' && !m.name.startsWith('ng')).map(m => `\`${m.name}()\``));
+      cls.methods.filter(m => m.visibility === 'public' && !m.name.startsWith('ng')).map(m => sourceLink(`\`${m.name}()\``, component.path, m.startLine, m.endLine)));
     
-    markdown += `| \`${path.basename(component.name, path.extname(component.name))}\` | ${publicMethods.join(', ') || '-'} |\n`;
+    markdown += `| ${sourceLink(`\`${path.basename(component.name, path.extname(component.name))}\``, component.path)} | ${publicMethods.join(', ') || '-'} |\n`;
   });
   
   return markdown;
@@ -3267,6 +4910,137 @@ function generateArchitectureOverview(filesInfo, features) {
   return markdown;
 }
 
+// Human-readable name for a language identifier
+function formatLanguageName(language) {
+  const definition = languages.getLanguage(language);
+  return definition ? definition.displayName : language.charAt(0).toUpperCase() + language.slice(1);
+}
+
+// Count files and extracted symbols per language, most files first
+function summarizeLanguages(filesInfo) {
+  const stats = {};
+  
+  filesInfo.forEach(info => {
+    const lang = info.language || 'unknown';
+    if (!stats[lang]) {
+      stats[lang] = { language: lang, files: 0, classes: 0, interfaces: 0, functions: 0 };
+    }
+    
+    stats[lang].files++;
+    stats[lang].classes += info.classes.length;
+    stats[lang].interfaces += info.interfaces.length;
+    stats[lang].functions += info.functions.length;
+  });
+  
+  return Object.values(stats).sort((a, b) => b.files - a.files || a.language.localeCompare(b.language));
+}
+
+// Generate the language breakdown table and chart
+function generateLanguageBreakdown(languageStats) {
+  if (languageStats.length === 0) {
+    return '';
+  }
+  
+  const totalFiles = languageStats.reduce((sum, stat) => sum + stat.files, 0);
+  
+  let markdown = '### Language Breakdown\n\n';
+  markdown += '| Language | Files | Share | Classes | Interfaces | Functions |\n';
+  markdown += '|----------|-------|-------|---------|------------|-----------|\n';
+  
+  languageStats.forEach(stat => {
+    const share = totalFiles > 0 ? ((stat.files / totalFiles) * 100).toFixed(1) : '0.0';
+    markdown += `| ${formatLanguageName(stat.language)} | ${stat.files} | ${share}% | ${stat.classes} | ${stat.interfaces} | ${stat.functions} |\n`;
+  });
+  
+  markdown += '\n';
+  
+  // A pie chart only adds information when several languages are present
+  if (languageStats.length > 1) {
+    markdown += '```mermaid\npie title Files by Language\n';
+    languageStats.forEach(stat => {
+      markdown += `  "${formatLanguageName(stat.language)}" : ${stat.files}\n`;
+    });
+    markdown += '```\n\n';
+  }
+  
+  return markdown;
+}
+
+// Generate sections describing how languages are spread across the repository
+function generateCrossLanguageSections(filesInfo) {
+  const languages = new Set(filesInfo.map(info => info.language));
+  
+  if (languages.size < 2) {
+    return '';
+  }
+  
+  let markdown = '### Cross-Language Structure\n\n';
+  
+  // Group files by top-level directory to show which languages live where
+  const areas = {};
+  filesInfo.forEach(info => {
+    const relativePath = path.relative(baseDir, info.path);
+    const segments = relativePath.split(path.sep);
+    const area = segments.length > 1 ? segments[0] : '(root)';
+    
+    if (!areas[area]) {
+      areas[area] = {};
+    }
+    areas[area][info.language] = (areas[area][info.language] || 0) + 1;
+  });
+  
+  markdown += '#### Languages by Directory\n\n';
+  markdown += '| Directory | Languages | Files |\n';
+  markdown += '|-----------|-----------|-------|\n';
+  
+  Object.keys(areas).sort().forEach(area => {
+    const counts = Object.entries(areas[area]).sort((a, b) => b[1] - a[1]);
+    const fileCount = counts.reduce((sum, [, count]) => sum + count, 0);
+    const languageList = counts.map(([lang, count]) => `${formatLanguageName(lang)} (${count})`).join(', ');
+    const areaLink = area === '(root)' ? `\`${area}\`` : sourceLink(`\`${area}\``, path.join(baseDir, area));
+    markdown += `| ${areaLink} | ${languageList} | ${fileCount} |\n`;
+  });
+  
+  markdown += '\n';
+  
+  // Types declared under the same name in several languages usually mirror a shared contract
+  const symbolLanguages = {};
+  filesInfo.forEach(info => {
+    [...info.classes, ...info.interfaces].forEach(symbol => {
+      if (!symbolLanguages[symbol.name]) {
+        symbolLanguages[symbol.name] = { languages: new Set(), files: new Map() };
+      }
+      symbolLanguages[symbol.name].languages.add(info.language);
+      if (!symbolLanguages[symbol.name].files.has(info.path)) {
+        symbolLanguages[symbol.name].files.set(info.path, symbol);
+      }
+    });
+  });
+  
+  const sharedSymbols = Object.entries(symbolLanguages)
+    .filter(([, entry]) => entry.languages.size > 1)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  
+  if (sharedSymbols.length > 0) {
+    markdown += '#### Types Shared Across Languages\n\n';
+    markdown += 'These types are declared in more than one language and likely describe the same data crossing a language boundary:\n\n';
+    markdown += '| Type | Languages | Files |\n';
+    markdown += '|------|-----------|-------|\n';
+    
+    sharedSymbols.slice(0, 20).forEach(([name, entry]) => {
+      const languageList = Array.from(entry.languages).map(formatLanguageName).join(', ');
+      const fileList = Array.from(entry.files)
+        .map(([file, symbol]) => sourceLink(`\`${path.relative(baseDir, file)}\``, file, symbol.startLine, symbol.endLine))
+        .join(', ');
+      markdown += `| \`${name}\` | ${languageList} | ${fileList} |\n`;
+    });
+    
+    markdown += '\n';
+  }
+  
+  return markdown;
+}
+
 // Generate module interface documentation
 function generateModuleInterfaceDocumentation(moduleInterfaces) {
   let markdown = '';
@@ -3307,7 +5081,8 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
     
     // If there's a default export, document it first
     if (module && module.defaultExport) {
-      markdown += `**Default export**: \`${module.defaultExport.name}\` (${module.defaultExport.type})\n\n`;
+      const defaultExport = module.defaultExport;
+      markdown += `**Default export**: ${sourceLink(`\`${defaultExport.name}\``, defaultExport.path, defaultExport.startLine, defaultExport.endLine)} (${defaultExport.type})\n\n`;
       
       if (module.defaultExport.type === 'function' && module.defaultExport.signature) {
         markdown += '```typescript\n';
@@ -3321,7 +5096,7 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
       markdown += '#### Exported Classes\n\n';
       
       module.exportedClasses.forEach(cls => {
-        markdown += `##### \`${cls.name}\`\n\n`;
+        markdown += `##### ${sourceLink(`\`${cls.name}\``, cls.path, cls.startLine, cls.endLine)}\n\n`;
         
         // Show inheritance if available
         if (cls.extends || (cls.implements && cls.implements.length > 0)) {
@@ -3355,7 +5130,7 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
           cls.publicMethods.forEach(method => {
             const params = method.parameters ? 
               method.parameters.map(p => `${p.name}: ${p.type}`).join(', ') : '';
-            markdown += `| \`${method.name}\` | ${params} | ${method.returnType || 'void'} |\n`;
+            markdown += `| ${sourceLink(`\`${method.name}\``, cls.path, method.startLine, method.endLine)} | ${params} | ${method.returnType || 'void'} |\n`;
           });
           
           markdown += '\n';
@@ -3383,7 +5158,7 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
           (func.description.length > 50 ? func.description.substring(0, 47) + '...' : func.description) : 
           '';
         
-        markdown += `| \`${func.name}\` | \`${func.signature}\` | ${description} |\n`;
+        markdown += `| ${sourceLink(`\`${func.name}\``, func.path, func.startLine, func.endLine)} | \`${func.signature}\` | ${description} |\n`;
       });
       
       markdown += '\n';
@@ -3393,7 +5168,7 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
       
       if (importantFunctions.length > 0) {
         importantFunctions.forEach(func => {
-          markdown += `##### \`${func.name}\`\n\n`;
+          markdown += `##### ${sourceLink(`\`${func.name}\``, func.path, func.startLine, func.endLine)}\n\n`;
           
           if (func.description) {
             markdown += `${func.description}\n\n`;
@@ -3432,14 +5207,14 @@ function generateModuleInterfaceDocumentation(moduleInterfaces) {
         const propCount = iface.properties ? iface.properties.length : 0;
         const methodCount = iface.methods ? iface.methods.length : 0;
         
-        markdown += `| \`${iface.name}\` | ${propCount} | ${methodCount} |\n`;
+        markdown += `| ${sourceLink(`\`${iface.name}\``, iface.path, iface.startLine, iface.endLine)} | ${propCount} | ${methodCount} |\n`;
       });
       
       markdown += '\n';
       
       // Then provide more detailed interface definitions
       module.exportedInterfaces.forEach(iface => {
-        markdown += `##### \`${iface.name}\`\n\n`;
+        markdown += `##### ${sourceLink(`\`${iface.name}\``, iface.path, iface.startLine, iface.endLine)}\n\n`;
         
         if (iface.extends && iface.extends.length > 0) {
           markdown += `Extends: ${iface.extends.map(ext => `\`${ext}\``).join(', ')}\n\n`;
@@ -3521,8 +5296,8 @@ function generateEntryPointDocumentation(filesInfo, moduleInterfaces) {
   // Access the logical modules to show dependencies
   const logicalModules = (moduleInterfaces && moduleInterfaces._logicalModules) ? moduleInterfaces._logicalModules : {};
   
-  // Get all functions from all files for analysis
-  const allFunctions = filesInfo.flatMap(file => file.functions || []);
+  // Get all functions from all files for analysis, with the file to link to
+  const allFunctions = filesInfo.flatMap(file => (file.functions || []).map(func => ({ ...func, path: file.path })));
   
   // Group entry points by type
   const cliEntryPoints = entryPoints.filter(ep => 
@@ -3749,12 +5524,12 @@ function generateEntryPointDocumentation(filesInfo, moduleInterfaces) {
             .sort((a, b) => a.category.localeCompare(b.category))
             .slice(0, 10)
             .forEach(item => {
-              const funcName = item.function.name;
+              const func = item.function;
               const shortPurpose = item.purpose.length > 50 ? 
                 item.purpose.substring(0, 47) + '...' : 
                 item.purpose;
               
-              markdown += `| ${item.category} | \`${funcName}()\` | ${shortPurpose} |\n`;
+              markdown += `| ${item.category} | ${sourceLink(`\`${func.name}()\``, func.path, func.startLine, func.endLine)} | ${shortPurpose} |\n`;
             });
           
           markdown += '\n';
@@ -3770,14 +5545,19 @@ function generateEntryPointDocumentation(filesInfo, moduleInterfaces) {
     webServiceEntryPoints.forEach(ep => {
       ep.entryPoints.webService.forEach(service => {
         markdown += `#### ${service.name}\n\n`;
-        markdown += `Base URL: \`${service.url}\`\n\n`;
+        if (service.url) {
+          markdown += `Base URL: \`${service.url}\`\n\n`;
+        }
         
         if (service.routes && service.routes.length > 0) {
-          markdown += '| Method | Endpoint | Description |\n';
-          markdown += '|--------|----------|-------------|\n';
+          markdown += '| Method | Endpoint | Handler |\n';
+          markdown += '|--------|----------|---------|\n';
           
           service.routes.forEach(route => {
-            markdown += `| ${route.method} | \`${route.path}\` | - |\n`;
+            const handler = route.handler
+              ? sourceLink(`\`${route.handler.replace(/\|/g, '\\|')}\``, route.handlerFile, route.handlerLine, route.handlerEndLine)
+              : '*inline*';
+            markdown += `| ${route.method} | ${sourceLink(`\`${route.path}\``, route.file, route.line, route.endLine)} | ${handler} |\n`;
           });
           
           markdown += '\n';
@@ -3814,7 +5594,7 @@ function generateEntryPointDocumentation(filesInfo, moduleInterfaces) {
     
     programEntryPoints.forEach(ep => {
       ep.entryPoints.program.forEach(program => {
-        markdown += `- \`${program.name}\` (${program.path})\n`;
+        markdown += `- ${sourceLink(`\`${program.name}\``, program.path)} (${toRepoPath(program.path)})\n`;
       });
     });
     
@@ -3831,18 +5611,21 @@ function generateKeyElementsDocumentation(filesInfo, features, moduleInterfaces)
   // Find files with significant importance
   const entryPointFiles = filesInfo.filter(f => f.isEntryPoint);
   
+  // Symbols keep the file they come from, to link to it
+  const withPath = (f, symbols) => (symbols || []).map(symbol => ({ ...symbol, path: f.path }));
+  
   // Find core classes (classes with most methods or important names)
-  const allClasses = filesInfo.flatMap(f => f.classes)
+  const allClasses = filesInfo.flatMap(f => withPath(f, f.classes))
     .filter(cls => cls.methods && cls.methods.length > 0)
     .sort((a, b) => b.methods.length - a.methods.length);
   
   // Find core interfaces
-  const allInterfaces = filesInfo.flatMap(f => f.interfaces)
+  const allInterfaces = filesInfo.flatMap(f => withPath(f, f.interfaces))
     .filter(iface => iface.properties && iface.properties.length > 0)
     .sort((a, b) => b.properties.length - a.properties.length);
   
   // Find core utility functions  
-  const allFunctions = filesInfo.flatMap(f => f.functions || [])
+  const allFunctions = filesInfo.flatMap(f => withPath(f, f.functions))
     .filter(func => func.isExported)
     .sort((a, b) => (b.parameters ? b.parameters.length : 0) - (a.parameters ? a.parameters.length : 0));
   
@@ -3889,7 +5672,7 @@ function generateKeyElementsDocumentation(filesInfo, features, moduleInterfaces)
         }
       }
       
-      markdown += `| \`${cls.name}\` | ${methodCount} | ${propCount} | ${description} |\n`;
+      markdown += `| ${sourceLink(`\`${cls.name}\``, cls.path, cls.startLine, cls.endLine)} | ${methodCount} | ${propCount} | ${description} |\n`;
     });
     
     markdown += '\n';
@@ -3931,7 +5714,7 @@ function generateKeyElementsDocumentation(filesInfo, features, moduleInterfaces)
         }
       }
       
-      markdown += `| \`${iface.name}\` | ${propCount} | ${methodCount} | ${description} |\n`;
+      markdown += `| ${sourceLink(`\`${iface.name}\``, iface.path, iface.startLine, iface.endLine)} | ${propCount} | ${methodCount} | ${description} |\n`;
     });
     
     markdown += '\n';
@@ -3955,7 +5738,7 @@ function generateKeyElementsDocumentation(filesInfo, features, moduleInterfaces)
         (func.description.length > 40 ? func.description.substring(0, 37) + '...' : func.description) : 
         '';
       
-      markdown += `| \`${func.name}\` | ${paramCount} | ${returnType} | ${description} |\n`;
+      markdown += `| ${sourceLink(`\`${func.name}\``, func.path, func.startLine, func.endLine)} | ${paramCount} | ${returnType} | ${description} |\n`;
     });
     
     markdown += '\n';
@@ -3964,77 +5747,221 @@ function generateKeyElementsDocumentation(filesInfo, features, moduleInterfaces)
   return markdown;
 }
 
-// Generate call hierarchy diagrams to visualize function relationships
-function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
-  if (!filesInfo || filesInfo.length === 0) {
-    return '';
-  }
+// Receivers that stand for the object a method runs on; super and its kin start at the parent class
+const SELF_RECEIVERS = ['this', 'self', '$this', 'super', 'base', 'parent'];
+const PARENT_RECEIVERS = ['super', 'base', 'parent'];
+
+// Class named by a type annotation: UserRepository, Repository<User>, ?UserRepository
+function typeName(type) {
+  const match = (type || '').match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/);
+  return match ? match[0].split('.').pop() : null;
+}
+
+// Functions of a file that are not class members. AST extraction also reports
+// methods as functions; they belong to their class.
+function standaloneFunctions(fileInfo) {
+  const memberLines = new Set((fileInfo.classes || []).flatMap(cls =>
+    [...(cls.methods || []), cls.constructor || {}].map(member => `${member.startLine}:${member.endLine}`)));
   
-  let markdown = '';
+  return (fileInfo.functions || []).filter(func => !memberLines.has(`${func.startLine}:${func.endLine}`));
+}
+
+// Build the call graph between functions, methods and constructors from the call
+// sites found in their bodies, keyed by symbol id (<file>#<name>, <file>#<Class>.<method>).
+// Calls resolve to the calling file's own symbols, to members of its classes and of
+// the types of fields and parameters, and to the files its imports lead to.
+function buildCallGraph(filesInfo, graph) {
+  const callGraph = {};
+  const symbolsByFile = new Map();
+  const exported = new Set();
   
-  // Find significant functions across the codebase
-  const allFunctions = filesInfo.flatMap(file => file.functions || []);
+  // First pass: one node per named function, method and constructor
+  filesInfo.forEach(fileInfo => {
+    const table = { functions: new Map(), classes: new Map(), scopes: [] };
+    
+    const addSymbol = (name, kind, func, className) => {
+      const id = `${toRepoPath(fileInfo.path)}#${name}`;
+      if (!callGraph[id]) {
+        callGraph[id] = {
+          name,
+          kind,
+          calls: [],
+          calledBy: [],
+          description: func.description || '',
+          parameters: func.parameters || [],
+          isAsync: func.isAsync || false,
+          returnType: func.returnType || 'void',
+          sourceFile: fileInfo.path,
+          line: func.startLine,
+          importance: 0
+        };
+      }
+      if (func.startLine) {
+        table.scopes.push({
+          id,
+          className,
+          parameters: func.parameters || [],
+          startLine: func.startLine,
+          endLine: func.endLine
+        });
+      }
+      return id;
+    };
+    
+    standaloneFunctions(fileInfo).forEach(func => {
+      if (func.name && !func.isAnonymous && !table.functions.has(func.name)) {
+        const id = addSymbol(func.name, 'function', func);
+        table.functions.set(func.name, id);
+        if (func.isExported) {
+          exported.add(id);
+        }
+      }
+    });
+    
+    (fileInfo.classes || []).forEach(cls => {
+      const members = { info: cls, methods: new Map(), initializer: null };
+      (cls.methods || []).forEach(method => {
+        members.methods.set(method.name, addSymbol(`${cls.name}.${method.name}`, 'method', method, cls.name));
+      });
+      if (cls.constructor && cls.constructor.parameters) {
+        members.initializer = addSymbol(`${cls.name}.constructor`, 'constructor', cls.constructor, cls.name);
+      }
+      table.classes.set(cls.name, members);
+    });
+    
+    symbolsByFile.set(fileInfo.path, table);
+  });
   
-  if (allFunctions.length === 0) {
-    return '';
-  }
+  // Files whose symbols a file can call: the rest of its package and what it imports
+  const reachable = new Map();
+  const reachableFiles = file => {
+    if (!reachable.has(file)) {
+      const node = graph[file] || graph[path.dirname(file)];
+      const files = new Set(node && node.files ? node.files : []);
+      (node ? node.dependencies : []).forEach(dependency => {
+        const target = graph[dependency];
+        (target && target.files ? target.files : [dependency]).forEach(target => files.add(target));
+      });
+      files.delete(file);
+      reachable.set(file, Array.from(files).filter(target => symbolsByFile.has(target)));
+    }
+    return reachable.get(file);
+  };
   
-  // Find potential entry points (main functions, exported functions with no parameters)
-  const entryPointFunctions = allFunctions.filter(func => 
-    func.name.toLowerCase() === 'main' || 
-    func.name.toLowerCase().includes('init') ||
-    (func.isExported && (!func.parameters || func.parameters.length === 0))
-  );
+  const findClass = (name, files) => files
+    .map(file => symbolsByFile.get(file).classes.get(name))
+    .find(Boolean) || null;
   
-  // If no clear entry points, use the most complex functions
-  const significantFunctions = entryPointFunctions.length > 0 ? 
-    entryPointFunctions : 
-    allFunctions
-      .filter(f => f.parameters && f.parameters.length > 0)
-      .sort((a, b) => (b.parameters ? b.parameters.length : 0) - (a.parameters ? a.parameters.length : 0))
-      .slice(0, 3);
+  // A method of a class or of the classes it extends
+  const findMethod = (members, name, files) => {
+    for (let current = members, depth = 0; current && depth < 10; depth++) {
+      if (current.methods.has(name)) {
+        return current.methods.get(name);
+      }
+      current = current.info.extends ? findClass(typeName(current.info.extends), files) : null;
+    }
+    return null;
+  };
   
-  // Create a more sophisticated call graph based on code analysis
-  const callGraph = {};
+  const unique = ids => (new Set(ids).size === 1 ? ids[0] : null);
   
-  // First pass: create basic function entries
-  allFunctions.forEach(func => {
-    callGraph[func.name] = {
-      calls: [],
-      calledBy: [],
-      description: func.description || '',
-      parameters: func.parameters || [],
-      isAsync: func.isAsync || false,
-      returnType: func.returnType || 'void',
-      sourceFile: func.sourceFile || '',
-      importance: 0  // We'll calculate this
-    };
-  });
+  const resolveCall = (site, scope, file) => {
+    const local = symbolsByFile.get(file);
+    const files = [file, ...reachableFiles(file)];
+    const ownClass = scope.className ? local.classes.get(scope.className) : null;
+    const { name, receiver } = site;
+    
+    // new Foo(), and Foo() in languages that construct objects by calling the class
+    if (site.kind === 'new' || (!receiver && !local.functions.has(name))) {
+      const members = findClass(name, files);
+      if (members) {
+        return members.initializer;
+      }
+    }
+    
+    if (!receiver) {
+      if (local.functions.has(name)) {
+        return local.functions.get(name);
+      }
+      // Methods called without this, as in Java, Kotlin and Ruby
+      const member = ownClass && findMethod(ownClass, name, files);
+      return member || unique(reachableFiles(file)
+        .map(target => symbolsByFile.get(target).functions.get(name))
+        .filter(Boolean));
+    }
+    
+    // this.save(), super.save(), $this->save(), self.save()
+    const parts = receiver.replace(/^@/, 'self.').split(/\?\.|\.|->|::/);
+    if (parts.length === 1 && SELF_RECEIVERS.includes(parts[0])) {
+      if (!ownClass) {
+        return null;
+      }
+      const start = PARENT_RECEIVERS.includes(parts[0])
+        ? (ownClass.info.extends ? findClass(typeName(ownClass.info.extends), files) : null)
+        : ownClass;
+      return start ? findMethod(start, name, files) : null;
+    }
+    
+    // The receiver's class: the declared type of a field (this.repo, or repo where
+    // fields need no this) or parameter, or the class itself for static calls
+    const field = parts.length === 2 && SELF_RECEIVERS.includes(parts[0]) ? parts[1] : (parts.length === 1 ? parts[0] : null);
+    if (field) {
+      const declarations = [...scope.parameters];
+      if (ownClass) {
+        declarations.push(...(ownClass.info.properties || []));
+        if (ownClass.info.constructor && ownClass.info.constructor.parameters) {
+          declarations.push(...ownClass.info.constructor.parameters);
+        }
+      }
+      const declared = declarations.find(declaration => declaration.name === field && declaration.type && declaration.type !== 'any');
+      const receiverClass = findClass(declared ? typeName(declared.type) : field, files);
+      if (receiverClass) {
+        // Foo.new in Ruby and Foo::new in Rust construct objects too
+        return findMethod(receiverClass, name, files) || (name === 'new' ? receiverClass.initializer : null);
+      }
+    }
+    
+    // A module or package called by its name: utils.parse(), store.Get()
+    if (parts.length === 1) {
+      const fromModule = unique(reachableFiles(file)
+        .filter(target => path.basename(target, path.extname(target)) === parts[0] ||
+          path.basename(path.dirname(target)) === parts[0])
+        .map(target => symbolsByFile.get(target).functions.get(name))
+        .filter(Boolean));
+      if (fromModule) {
+        return fromModule;
+      }
+    }
+    
+    // Otherwise the only method or function of that name within reach
+    return unique(files.flatMap(target => {
+      const table = symbolsByFile.get(target);
+      const candidates = Array.from(table.classes.values()).map(members => members.methods.get(name));
+      if (target !== file) {
+        candidates.push(table.functions.get(name));
+      }
+      return candidates.filter(Boolean);
+    }));
+  };
   
-  // Second pass: analyze function bodies (via descriptions/signatures) for calls
-  allFunctions.forEach(func => {
-    // Get function text from description and signature
-    let funcText = (func.description || '') + ' ' + (func.signature || '');
+  // Second pass: attribute each call site to the innermost symbol around it and resolve it
+  filesInfo.forEach(fileInfo => {
+    const { scopes } = symbolsByFile.get(fileInfo.path);
     
-    // Look for function calls in the text
-    allFunctions.forEach(potentialCallee => {
-      // Skip self-calls
-      if (potentialCallee.name === func.name) return;
-      
-      // More robust function call detection
-      const callPattern = new RegExp(`\\b${potentialCallee.name}\\s*\\(`, 'i');
-      const simplePattern = new RegExp(`\\b${potentialCallee.name}\\b`, 'i');
+    (fileInfo.calls || []).forEach(site => {
+      const scope = scopes
+        .filter(candidate => candidate.startLine <= site.line && site.line <= candidate.endLine)
+        .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine) || b.startLine - a.startLine)[0];
+      if (!scope) {
+        return;
+      }
       
-      // If we find a clear function call or the function name is mentioned
-      if (callPattern.test(funcText) || 
-         (simplePattern.test(funcText) && potentialCallee.name.length > 3)) { // Avoid short names like "add"
-        callGraph[func.name].calls.push(potentialCallee.name);
-        
-        // Record the inverse relationship too
-        if (callGraph[potentialCallee.name]) {
-          callGraph[potentialCallee.name].calledBy.push(func.name);
-        }
+      const callee = resolveCall(site, scope, fileInfo.path);
+      if (!callee || callee === scope.id || callGraph[scope.id].calls.includes(callee)) {
+        return;
       }
+      callGraph[scope.id].calls.push(callee);
+      callGraph[callee].calledBy.push(scope.id);
     });
   });
   
@@ -4042,22 +5969,35 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
   // 1. How many places call this function
   // 2. How many parameters it has
   // 3. Whether it's exported
-  allFunctions.forEach(func => {
-    if (callGraph[func.name]) {
-      const callCount = callGraph[func.name].calledBy.length;
-      const paramCount = func.parameters ? func.parameters.length : 0;
-      const isExported = func.isExported ? 5 : 0;
-      const namePriority = func.name.toLowerCase() === 'main' ? 10 : 0;
-      
-      callGraph[func.name].importance = callCount * 2 + paramCount + isExported + namePriority;
-    }
+  Object.entries(callGraph).forEach(([id, node]) => {
+    const callCount = node.calledBy.length;
+    const paramCount = node.parameters.length;
+    const isExported = exported.has(id) ? 5 : 0;
+    const namePriority = node.name.toLowerCase() === 'main' ? 10 : 0;
+    
+    node.importance = callCount * 2 + paramCount + isExported + namePriority;
   });
   
+  return callGraph;
+}
+
+// Generate call hierarchy diagrams to visualize function relationships
+function generateCallHierarchyDiagrams(callGraph) {
+  if (!callGraph || Object.keys(callGraph).length === 0) {
+    return '';
+  }
+  
+  let markdown = '';
+  
+  // Call graph keys are symbol ids; diagrams show names and need plain participant ids
+  const label = id => callGraph[id].name;
+  const participantId = id => id.replace(/[^a-zA-Z0-9]/g, '');
+  
   // Find the most important functions to display
   // First sort by importance
   const importantFunctions = Object.entries(callGraph)
-    .map(([name, info]) => ({
-      name,
+    .map(([id, info]) => ({
+      id,
       ...info
     }))
     .sort((a, b) => b.importance - a.importance)
@@ -4072,7 +6012,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
     markdown += '```mermaid\nsequenceDiagram\n';
     
     // Build a tree of function calls up to a certain depth
-    const usedFunctions = new Set([mainFunction.name]);
+    const usedFunctions = new Set([mainFunction.id]);
     
     // Add the main function as participant
     markdown += `  participant Main as ${mainFunction.name}()\n`;
@@ -4092,8 +6032,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
           usedFunctions.add(calledFunc);
           
           // Add as participant
-          const participantId = calledFunc.replace(/[^a-zA-Z0-9]/g, '');
-          markdown += `  participant ${participantId} as ${calledFunc}()\n`;
+          markdown += `  participant ${participantId(calledFunc)} as ${label(calledFunc)}()\n`;
           
           // Recursively add important functions called by this one
           traverseCalls(calledFunc, depth + 1, maxDepth, Math.max(2, maxBranches - 1));
@@ -4102,7 +6041,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
     }
     
     // Start the traversal
-    traverseCalls(mainFunction.name, 0, 3, 5);
+    traverseCalls(mainFunction.id, 0, 3, 5);
     
     // Add sequence of calls
     markdown += '\n';
@@ -4128,8 +6067,8 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       
       calls.forEach((calledFunc, idx) => {
         if (callGraph[calledFunc]) {
-          const sourceId = depth === 0 ? 'Main' : funcName.replace(/[^a-zA-Z0-9]/g, '');
-          const targetId = calledFunc.replace(/[^a-zA-Z0-9]/g, '');
+          const sourceId = depth === 0 ? 'Main' : participantId(funcName);
+          const targetId = participantId(calledFunc);
           
           // Get parameters to show in call
           const params = callGraph[calledFunc].parameters;
@@ -4153,7 +6092,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
           }
           
           // Add call
-          markdown += `${indent}${sourceId}->>+${targetId}: ${calledFunc}${paramText}\n`;
+          markdown += `${indent}${sourceId}->>+${targetId}: ${label(calledFunc)}${paramText}\n`;
           
           // For async functions, add note
           if (callGraph[calledFunc].isAsync) {
@@ -4176,7 +6115,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
     }
     
     // Start sequence generation
-    generateCallSequence(mainFunction.name);
+    generateCallSequence(mainFunction.id);
     
     markdown += '```\n\n';
   }
@@ -4184,11 +6123,11 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
   // Show functions that are frequently called by others (hub functions)
   // Different perspective: find functions that are called by many others
   if (importantFunctions.length > 1) {
-    const mainFunctionName = importantFunctions[0].name;
+    const mainFunctionId = importantFunctions[0].id;
     
     // Find a function that's called by many others but isn't the main function
     const hubFunctions = importantFunctions
-      .filter(f => f.calledBy.length > 1 && f.name !== mainFunctionName)
+      .filter(f => f.calledBy.length > 1 && f.id !== mainFunctionId)
       .sort((a, b) => b.calledBy.length - a.calledBy.length);
     
     // If we found a good hub function, show its call flow
@@ -4214,27 +6153,25 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       // Add caller participants
       callers.forEach(caller => {
         usedCallers.add(caller);
-        const callerId = caller.replace(/[^a-zA-Z0-9]/g, '');
-        markdown += `  participant ${callerId} as ${caller}()\n`;
+        markdown += `  participant ${participantId(caller)} as ${label(caller)}()\n`;
       });
       
       // Add hub's calls to other functions too
       const targetFunctions = hubFunction.calls
-        .filter(call => callGraph[call] && !usedCallers.has(call) && call !== hubFunction.name)
+        .filter(call => callGraph[call] && !usedCallers.has(call) && call !== hubFunction.id)
         .sort((a, b) => callGraph[b].importance - callGraph[a].importance)
         .slice(0, 3);
       
       // Add targets as participants
       targetFunctions.forEach(target => {
-        const targetId = target.replace(/[^a-zA-Z0-9]/g, '');
-        markdown += `  participant ${targetId} as ${target}()\n`;
+        markdown += `  participant ${participantId(target)} as ${label(target)}()\n`;
       });
       
       markdown += '\n';
       
       // Add sequence calls to hub function
       callers.forEach(caller => {
-        const callerId = caller.replace(/[^a-zA-Z0-9]/g, '');
+        const callerId = participantId(caller);
         
         // Get parameters to show in call
         let paramText = '()';
@@ -4248,7 +6185,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       
       // Show hub function calling other functions
       targetFunctions.forEach(target => {
-        const targetId = target.replace(/[^a-zA-Z0-9]/g, '');
+        const targetId = participantId(target);
         
         // Get parameters
         const params = callGraph[target].parameters;
@@ -4256,7 +6193,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
           `(${params.map(p => p.name).join(', ')})` : '()';
         
         // Add call
-        markdown += `  Hub->>+${targetId}: ${target}${paramText}\n`;
+        markdown += `  Hub->>+${targetId}: ${label(target)}${paramText}\n`;
         
         // Add return
         const returnType = callGraph[target].returnType || 'result';
@@ -4265,7 +6202,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       
       // Add returns to callers
       callers.forEach(caller => {
-        const callerId = caller.replace(/[^a-zA-Z0-9]/g, '');
+        const callerId = participantId(caller);
         const returnType = hubFunction.returnType || 'result';
         markdown += `  Hub-->>+${callerId}: ${returnType}\n`;
       });
@@ -4279,14 +6216,14 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       markdown += '```mermaid\nsequenceDiagram\n';
       
       // Similar approach but for the second function
-      const usedFunctions = new Set([secondFunction.name]);
+      const usedFunctions = new Set([secondFunction.id]);
       
       // Add the main function as participant
       markdown += `  participant Main as ${secondFunction.name}()\n`;
       
       // Find directly called functions, sorted by importance
-      const directCalls = callGraph[secondFunction.name] ? 
-        callGraph[secondFunction.name].calls
+      const directCalls = callGraph[secondFunction.id] ? 
+        callGraph[secondFunction.id].calls
           .filter(call => callGraph[call])
           .sort((a, b) => callGraph[b].importance - callGraph[a].importance)
           .slice(0, 5) : [];
@@ -4294,8 +6231,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       directCalls.forEach(calledFunc => {
         if (callGraph[calledFunc]) {
           usedFunctions.add(calledFunc);
-          const funcId = calledFunc.replace(/[^a-zA-Z0-9]/g, '');
-          markdown += `  participant ${funcId} as ${calledFunc}()\n`;
+          markdown += `  participant ${participantId(calledFunc)} as ${label(calledFunc)}()\n`;
         }
       });
       
@@ -4304,7 +6240,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
       // Add sequence of calls with more information
       directCalls.forEach(calledFunc => {
         if (callGraph[calledFunc]) {
-          const targetId = calledFunc.replace(/[^a-zA-Z0-9]/g, '');
+          const targetId = participantId(calledFunc);
           
           // Get parameters to show in call
           const params = callGraph[calledFunc].parameters;
@@ -4324,7 +6260,7 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
           }
           
           // Add call
-          markdown += `  Main->>+${targetId}: ${calledFunc}${paramText}\n`;
+          markdown += `  Main->>+${targetId}: ${label(calledFunc)}${paramText}\n`;
           
           // Add return
           const returnType = callGraph[calledFunc].returnType || 'result';
@@ -4339,62 +6275,353 @@ function generateCallHierarchyDiagrams(moduleInterfaces, filesInfo) {
   return markdown;
 }
 
-// Main function
-async function main() {
-  try {
-    // Detect repository language
-    detectedLanguage = await detectLanguage();
-    
-    // Load appropriate language parser
-    const languageParser = await loadLanguageParser(detectedLanguage);
-    
-    // Create parser instance
-    let parser;
+// Version of the document written by --format json, described by
+// schema/repomap.schema.json. The major version changes when fields are removed
+// or change meaning; new fields bump the minor version.
+const MODEL_SCHEMA_VERSION = '3.7.0';
+
+// Version of the symbol index written by --format symbols, described by
+// schema/symbol-index.schema.json
+const SYMBOL_INDEX_SCHEMA_VERSION = '1.1.0';
+
+// Supported output formats
+const OUTPUT_FORMATS = ['markdown', 'json', 'symbols', 'ctags', 'etags'];
+
+// Output file of each format when -o is not given
+const DEFAULT_OUTPUT_FILES = {
+  markdown: 'repomap.gen.md',
+  json: 'repomap.gen.json',
+  symbols: 'repomap.symbols.json',
+  ctags: 'tags',
+  etags: 'TAGS'
+};
+
+// File categories collected per feature by organizeByFeature
+const FEATURE_CATEGORIES = [
+  'components',
+  'services',
+  'controllers',
+  'guards',
+  'interceptors',
+  'interfaces',
+  'models',
+  'directives',
+  'repositories',
+  'utils'
+];
+
+// Path relative to the analyzed directory with forward slashes, for paths inside it
+function toRepoPath(value) {
+  if (!value.startsWith(baseDir + path.sep)) {
+    return value;
+  }
+  return path.relative(baseDir, value).split(path.sep).join('/');
+}
+
+// Markdown link to a file or directory of the repository, or to lines of a file:
+// relative to the map being written, or under the --link-base blob URL. GitLab
+// anchors line ranges as #L10-42, GitHub and most other hosts as #L10-L42.
+function sourceLink(text, target, startLine, endLine) {
+  if (!target || (target !== baseDir && !target.startsWith(baseDir + path.sep))) {
+    return text;
+  }
+  
+  const encode = relative => relative.split(path.sep).map(encodeURIComponent).join('/');
+  let url;
+  if (options.linkBase) {
+    url = options.linkBase.replace(/\/*$/, '/') + encode(path.relative(baseDir, target));
+  } else {
+    url = encode(path.relative(path.dirname(path.resolve(options.output)), target)) || '.';
+  }
+  
+  if (startLine) {
+    url += `#L${startLine}`;
+    if (endLine && endLine !== startLine) {
+      url += options.linkBase && /gitlab/i.test(options.linkBase) ? `-${endLine}` : `-L${endLine}`;
+    }
+  }
+  
+  return `[${text}](${url})`;
+}
+
+// Assemble everything the analysis computed into the document written by --format json
+function buildAnalysisModel({ filesInfo, languageStats, graph, routes, moduleInterfaces, features, dependencyCycles, layerViolations }) {
+  const { _logicalModules: logicalModules, ...modules } = moduleInterfaces;
+  
+  // Features reference their files; symbols are already listed under files
+  const featureIndex = {};
+  Object.entries(features).forEach(([name, feature]) => {
+    featureIndex[name] = { path: feature.path };
+    FEATURE_CATEGORIES.forEach(category => {
+      featureIndex[name][category] = (feature[category] || []).map(entry => ({
+        name: entry.name,
+        path: entry.path
+      }));
+    });
+  });
+  
+  const model = {
+    schemaVersion: MODEL_SCHEMA_VERSION,
+    generator: {
+      name: 'repomapper',
+      version: VERSION
+    },
+    generatedAt: new Date().toISOString(),
+    root: baseDir,
+    languages: languageStats,
+    // Per-file routing is what the route table is built from, with local router names
+    files: filesInfo.map(({ routing, ...fileInfo }) => fileInfo),
+    // The path replacer below only rewrites values, so keys are made relative here
+    dependencyGraph: Object.fromEntries(Object.values(graph).map(node => [toRepoPath(node.path), node])),
+    dependencyCycles,
+    // Only present when layering rules were checked
+    layerViolations,
+    logicalModules: logicalModules || {},
+    moduleInterfaces: modules,
+    features: featureIndex,
+    callGraph: buildCallGraph(filesInfo, graph),
+    routes
+  };
+  
+  // Round-trip through JSON to drop undefined values and make every path repo-relative
+  return JSON.parse(JSON.stringify(model, (key, value) =>
+    typeof value === 'string' ? toRepoPath(value) : value));
+}
+
+// Resolve the options of a run and make them the current ones
+function configure(runOptions = {}) {
+  const resolved = { ...DEFAULT_OPTIONS, ...runOptions };
+  
+  // The API takes a list of languages, the CLI a comma-separated --language
+  if (runOptions.languages) {
+    resolved.language = runOptions.languages;
+  }
+  
+  if (!PARSER_BACKENDS.includes(resolved.parserBackend)) {
+    throw new Error(`Unknown parser backend: ${resolved.parserBackend} (expected ${PARSER_BACKENDS.join(', ')})`);
+  }
+  
+  if (!EXTRACTION_MODES.includes(resolved.extraction)) {
+    throw new Error(`Unknown extraction mode: ${resolved.extraction} (expected ${EXTRACTION_MODES.join(', ')})`);
+  }
+  
+  resolved.jobs = Number(resolved.jobs);
+  if (!Number.isInteger(resolved.jobs) || resolved.jobs < 1) {
+    throw new Error(`Invalid job count: ${runOptions.jobs} (expected a positive integer)`);
+  }
+  
+  options = resolved;
+  baseDir = path.resolve(resolved.directory);
+  detectedLanguages = resolved.language ? splitPatternList(resolved.language) : [];
+  // Compiled queries and cache keys depend on the query directory and the grammar backend
+  queryCache.clear();
+  cacheKeyPrefixes.clear();
+  cacheStats = { hits: 0, misses: 0 };
+  cacheDir = resolved.cache
+    ? (typeof resolved.cache === 'string' ? path.resolve(resolved.cache) : path.join(baseDir, CACHE_DIR_NAME))
+    : null;
+  layerRules = resolved.layers
+    ? loadLayerRules(typeof resolved.layers === 'string' ? path.resolve(resolved.layers) : path.join(baseDir, LAYER_RULES_FILE_NAME))
+    : null;
+  
+  // Register extra language definitions before anything reads the language list
+  if (resolved.languagePlugins) {
+    let loaded;
     try {
-      if (typeof Parser === 'function') {
-        parser = new Parser();
-      } else if (Parser && typeof Parser.Parser === 'function') {
-        parser = new Parser.Parser();
-      } else {
-        throw new Error('Could not initialize Parser - tree-sitter may not be installed correctly');
-      }
-      parser.setLanguage(languageParser);
+      loaded = languages.loadLanguagePlugins(splitPatternList(resolved.languagePlugins));
     } catch (error) {
-      console.error('Error initializing parser:', error.message);
-      console.error('This may be due to missing dependencies. Try running with --install-deps flag');
-      process.exit(1);
+      throw new Error(`Failed to load language plugins: ${error.message}`);
     }
-    
-    console.log(`Finding ${detectedLanguage} files...`);
-    const files = findFiles(detectedLanguage);
-    console.log(`Found ${files.length} ${detectedLanguage} files.`);
-    
-    console.log('Analyzing files...');
-    const filesInfo = [];
-    
-    for (const file of files) {
-      const info = await processFile(file, parser, detectedLanguage);
-      filesInfo.push(info);
+    log(`Loaded language plugins: ${loaded.map(definition => definition.name).join(', ')}`);
+  }
+}
+
+// Analyze the repository described by the options and build its model
+async function runAnalysis(runOptions) {
+  configure(runOptions);
+  
+  if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) {
+    throw new Error(`Directory does not exist: ${baseDir}`);
+  }
+  
+  // Detect repository language
+  detectedLanguages = await detectLanguages();
+  
+  log(`Finding ${detectedLanguages.join(', ')} files...`);
+  const files = findFiles(detectedLanguages);
+  log(`Found ${files.length} files.`);
+  
+  // Checked before the parsers, whose failure would point at missing dependencies
+  if (files.length === 0) {
+    throw new Error(`No ${detectedLanguages.join(', ')} files found in ${baseDir}`);
+  }
+  
+  // Group files by language so each one is parsed with its own grammar
+  const filesByLanguage = {};
+  files.forEach(file => {
+    const lang = getLanguageForFile(file, detectedLanguages);
+    if (!filesByLanguage[lang]) {
+      filesByLanguage[lang] = [];
     }
-    
-    console.log('Building dependency graph...');
-    const graph = buildDependencyGraph(filesInfo, detectedLanguage);
-    
-    console.log('Detecting module interfaces...');
-    const moduleInterfaces = detectModuleInterfaces(filesInfo);
-    
-    console.log('Organizing by feature...');
-    const features = organizeByFeature(filesInfo);
-    
-    console.log('Generating repository map...');
-    
-    // Build the markdown output
-    let markdown = `# Repository Map (${detectedLanguage.charAt(0).toUpperCase() + detectedLanguage.slice(1)})\n\n`;
-    markdown += `This repository map provides a comprehensive overview of the ${detectedLanguage} codebase structure, including component trees, class hierarchies, interfaces, function signatures, and dependency relationships.\n\n`;
-    
-    // Table of Contents
-    markdown += '## Table of Contents\n\n';
-    markdown += '1. [Architecture Overview](#architecture-overview)\n';
+    filesByLanguage[lang].push(file);
+  });
+  
+  // Load one parser per language, skipping languages whose grammar is missing
+  const parsers = {};
+  for (const lang of Object.keys(filesByLanguage)) {
+    const parser = await createParser(lang);
+    if (parser) {
+      parsers[lang] = parser;
+    } else {
+      console.warn(`Skipping ${filesByLanguage[lang].length} ${lang} files`);
+    }
+  }
+  
+  if (Object.keys(parsers).length === 0) {
+    throw new Error('No language parser could be initialized. This may be due to missing dependencies. Try running with --install-deps flag');
+  }
+  
+  if (cacheDir) {
+    prepareCacheDir();
+  }
+  
+  const tasks = files
+    .map(file => ({ file, lang: getLanguageForFile(file, detectedLanguages) }))
+    .filter(task => parsers[task.lang]);
+  
+  // Inline language definitions keep parsing on this thread
+  const definitionFiles = languageDefinitionFiles(Object.keys(parsers));
+  const jobs = definitionFiles ? Math.min(options.jobs, Math.ceil(tasks.length / MIN_FILES_PER_WORKER)) : 1;
+  
+  log(jobs > 1 ? `Analyzing files with ${jobs} workers...` : 'Analyzing files...');
+  const progress = createProgressBar(tasks.length);
+  let filesInfo;
+  
+  try {
+    if (jobs > 1) {
+      filesInfo = await processFilesInWorkers(tasks, jobs, definitionFiles, done => progress.update(done));
+    } else {
+      filesInfo = [];
+      for (const task of tasks) {
+        filesInfo.push(await processFile(task.file, parsers[task.lang], task.lang));
+        progress.update(filesInfo.length);
+      }
+    }
+  } finally {
+    progress.clear();
+  }
+  
+  if (cacheDir) {
+    log(`Parse cache: ${cacheStats.hits} files reused, ${cacheStats.misses} parsed`);
+  }
+  
+  // Languages that were actually analyzed, most files first
+  const languageStats = summarizeLanguages(filesInfo);
+  
+  log('Building dependency graph...');
+  const graph = buildDependencyGraph(filesInfo);
+  
+  log('Building route table...');
+  const routes = buildRouteTable(filesInfo);
+  // Web service entry points list the routes of their file, at the paths they are mounted at
+  filesInfo.forEach(fileInfo => {
+    const fileRoutes = routes.filter(route => route.file === fileInfo.path);
+    (fileInfo.entryPoints ? fileInfo.entryPoints.webService : []).forEach(service => {
+      service.routes = fileRoutes;
+    });
+  });
+  
+  log('Detecting module interfaces...');
+  const moduleInterfaces = detectModuleInterfaces(filesInfo);
+  
+  log('Organizing by feature...');
+  const features = organizeByFeature(filesInfo);
+  
+  log('Detecting dependency cycles...');
+  const dependencyCycles = detectDependencyCycles(graph, moduleInterfaces._logicalModules);
+  
+  let layerViolations;
+  if (layerRules) {
+    log('Checking layer rules...');
+    layerViolations = checkLayerRules(filesInfo, graph, layerRules);
+  }
+  
+  return buildAnalysisModel({ filesInfo, languageStats, graph, routes, moduleInterfaces, features, dependencyCycles, layerViolations });
+}
+
+// Analyses run one at a time, since the options of the current run are module state
+let analysisQueue = Promise.resolve();
+
+// Analyze a repository and resolve to its analysis model (schema/repomap.schema.json).
+// Takes the CLI options in camelCase, and `languages` as a list or comma-separated string.
+function analyzeRepository(runOptions = {}) {
+  const run = analysisQueue.then(() => runAnalysis(runOptions));
+  analysisQueue = run.catch(() => {});
+  return run;
+}
+
+// Turn an analysis model back into the structures the markdown generators work on
+function readAnalysisModel(model) {
+  const root = path.resolve(model.root);
+  const filePaths = new Set(model.files.map(file => file.path));
+  const dirPaths = new Set(model.files.map(file => path.posix.dirname(file.path)));
+  
+  // Undo toRepoPath for the files and directories the model refers to
+  const { files, dependencyGraph, dependencyCycles, layerViolations, logicalModules, moduleInterfaces, features, callGraph, routes } = JSON.parse(JSON.stringify(model), (key, value) =>
+    typeof value === 'string' && (filePaths.has(value) || (key === 'path' && dirPaths.has(value)))
+      ? path.join(root, ...value.split('/'))
+      : value);
+  
+  // Feature entries only name their files; the generators also read their symbols
+  const filesByPath = new Map(files.map(info => [info.path, info]));
+  Object.values(features).forEach(feature => {
+    FEATURE_CATEGORIES.forEach(category => {
+      feature[category] = (feature[category] || []).map(entry => {
+        const info = filesByPath.get(entry.path) || { classes: [], interfaces: [] };
+        return category === 'models'
+          ? { ...entry, interfaces: info.interfaces, classes: info.classes }
+          : { ...entry, classes: info.classes };
+      });
+    });
+  });
+  
+  return {
+    root,
+    filesInfo: files,
+    languageStats: model.languages,
+    graph: Object.fromEntries(Object.values(dependencyGraph).map(node => [node.path, node])),
+    dependencyCycles,
+    layerViolations,
+    moduleInterfaces: { ...moduleInterfaces, _logicalModules: logicalModules },
+    features,
+    callGraph,
+    // Models written before the route table existed have none
+    routes: routes || []
+  };
+}
+
+// Render an analysis model as the markdown repository map. The services, components
+// and routes options turn the matching diagrams off.
+function renderMarkdown(model, renderOptions = {}) {
+  const { root, filesInfo, languageStats, graph, dependencyCycles, layerViolations, moduleInterfaces, features, callGraph, routes } = readAnalysisModel(model);
+  const analyzedLanguages = languageStats.map(stat => stat.language);
+  const primaryLanguage = analyzedLanguages[0];
+  
+  // Generators read the current options; rendering is synchronous, so swapping
+  // them here cannot leak into an analysis that is waiting on I/O
+  const previous = { options, baseDir };
+  options = { ...DEFAULT_OPTIONS, ...renderOptions };
+  baseDir = root;
+  
+  try {
+    // Build the markdown output
+    const languageNames = analyzedLanguages.map(formatLanguageName);
+    let markdown = `# Repository Map (${languageNames.join(', ')})\n\n`;
+    markdown += `This repository map provides a comprehensive overview of the ${languageNames.join(', ')} codebase structure, including component trees, class hierarchies, interfaces, function signatures, and dependency relationships.\n\n`;
+    
+    // Table of Contents
+    markdown += '## Table of Contents\n\n';
+    markdown += '1. [Architecture Overview](#architecture-overview)\n';
     markdown += '2. [Module Structure](#module-structure)\n';
     markdown += '3. [Key Repository Elements](#key-repository-elements)\n';
     markdown += '4. [Entry Points](#entry-points)\n';
@@ -4417,18 +6644,28 @@ async function main() {
       markdown += '9. [Service Architecture](#service-architecture)\n';
     }
     
-    if (filesInfo.some(f => f.isController)) {
+    if (routes.length > 0) {
       markdown += '10. [API & Route Structure](#api--route-structure)\n';
     }
     
     markdown += '11. [Code Organization by Feature](#code-organization-by-feature)\n';
+    markdown += '12. [Dependency Cycles](#dependency-cycles)\n';
+    
+    if (layerViolations) {
+      markdown += '13. [Layer Violations](#layer-violations)\n';
+    }
+    
     markdown += '\n';
     
     // Architecture Overview
     markdown += '## Architecture Overview\n\n';
     
     // Use our dynamic architecture overview generator
-    markdown += generateArchitectureOverview(filesInfo, features, detectedLanguage);
+    markdown += generateArchitectureOverview(filesInfo, features);
+    
+    // Language breakdown and cross-language structure
+    markdown += generateLanguageBreakdown(languageStats);
+    markdown += generateCrossLanguageSections(filesInfo, features);
     
     // Generate Module Structure diagram
     markdown += '## Module Structure\n\n';
@@ -4439,8 +6676,8 @@ async function main() {
     
     // Analyze functions to identify modules and relationships
     if (filesInfo && filesInfo.length > 0) {
-      // Gather all functions for analysis
-      const allFunctions = filesInfo.flatMap(file => file.functions || []);
+      // Gather all functions for analysis, with the file to link to
+      const allFunctions = filesInfo.flatMap(file => (file.functions || []).map(func => ({ ...func, path: file.path })));
       
       // Group functions into modules based on names and relationships
       const functionGroups = {
@@ -4497,26 +6734,6 @@ async function main() {
         }
       });
       
-      // Detect function dependencies between modules by analyzing function content
-      Object.entries(moduleStructure).forEach(([moduleName, module]) => {
-        Object.entries(moduleStructure).forEach(([targetModule, targetInfo]) => {
-          if (moduleName !== targetModule) {
-            // Check if functions in this module call functions in the target module
-            const calls = module.functions.some(func => {
-              // Check if func's description or signature mentions target module functions
-              const funcText = (func.description || '') + ' ' + (func.signature || '');
-              return targetInfo.functions.some(targetFunc => 
-                funcText.includes(targetFunc.name)
-              );
-            });
-            
-            if (calls) {
-              module.dependencies.push(targetModule);
-            }
-          }
-        });
-      });
-      
       // Add a fallback "Utilities" module for any functions not yet categorized
       const categorizedFuncs = Object.values(moduleStructure)
         .flatMap(m => m.functions.map(f => f.name));
@@ -4532,6 +6749,32 @@ async function main() {
           description: `Contains ${uncategorizedFuncs.length} utility functions`
         };
       }
+      
+      // Link modules through the resolved call graph: a call from a function of one
+      // module to a function of another makes the first depend on the second
+      const modulesAt = new Map();
+      Object.entries(moduleStructure).forEach(([moduleName, module]) => {
+        module.functions.forEach(func => {
+          const key = `${func.path}:${func.startLine}`;
+          modulesAt.set(key, (modulesAt.get(key) || []).concat(moduleName));
+        });
+      });
+      const modulesOf = id => {
+        const node = (callGraph || {})[id];
+        return node ? modulesAt.get(`${node.sourceFile}:${node.line}`) || [] : [];
+      };
+      const dependencies = new Map();
+      Object.entries(callGraph || {}).forEach(([id, node]) => {
+        modulesOf(id).forEach(moduleName => {
+          node.calls.flatMap(modulesOf)
+            .filter(target => target !== moduleName)
+            .forEach(target => dependencies.set(moduleName, (dependencies.get(moduleName) || new Set()).add(target)));
+        });
+      });
+      Object.entries(moduleStructure).forEach(([moduleName, module]) => {
+        const targets = dependencies.get(moduleName) || new Set();
+        module.dependencies = Object.keys(moduleStructure).filter(target => targets.has(target));
+      });
     }
     
     // If we have identified modules, create the diagram
@@ -4599,7 +6842,7 @@ async function main() {
               (func.description.length > 70 ? func.description.substring(0, 67) + '...' : func.description) : 
               `${func.name} function`;
             
-            markdown += `- \`${func.name}()\`: ${description}\n`;
+            markdown += `- ${sourceLink(`\`${func.name}()\``, func.path, func.startLine, func.endLine)}: ${description}\n`;
           });
           
           if (module.functions.length > 5) {
@@ -4622,7 +6865,7 @@ async function main() {
         'Dependency Management': 'Installs and manages dependencies'
       };
       
-      Object.entries(logicalModules).forEach(([moduleName, module]) => {
+      Object.entries(moduleInterfaces._logicalModules || {}).forEach(([moduleName, module]) => {
         markdown += `#### ${moduleName}\n\n`;
         
         // Add description
@@ -4634,7 +6877,7 @@ async function main() {
           markdown += '**Functions:**\n\n';
           
           module.functions.slice(0, 5).forEach(func => {
-            markdown += `- \`${func.name}()\`: ${func.description || 'No description available'}\n`;
+            markdown += `- ${sourceLink(`\`${func.name}()\``, func.sourceFile, func.startLine, func.endLine)}: ${func.description || 'No description available'}\n`;
           });
           
           if (module.functions.length > 5) {
@@ -4660,7 +6903,7 @@ async function main() {
     }
     
     // Call Hierarchy
-    const callHierarchyDiagrams = generateCallHierarchyDiagrams(moduleInterfaces, filesInfo);
+    const callHierarchyDiagrams = generateCallHierarchyDiagrams(callGraph);
     if (callHierarchyDiagrams) {
       markdown += '## Call Hierarchy\n\n';
       markdown += 'The following diagrams show the key function call flows in the codebase, dynamically analyzed based on function declarations, parameters, and relationships.\n\n';
@@ -4691,7 +6934,10 @@ async function main() {
               name: func.name,
               module: moduleName,
               description: func.description || '',
-              signature: func.signature || `function ${func.name}()`
+              signature: func.signature || `function ${func.name}()`,
+              sourceFile: func.sourceFile,
+              startLine: func.startLine,
+              endLine: func.endLine
             });
           });
         });
@@ -4705,14 +6951,14 @@ async function main() {
         const shortDesc = func.description.length > 30 
           ? func.description.substring(0, 27) + '...' 
           : func.description;
-        markdown += `| \`${func.name}\` | ${func.module} | ${shortDesc} | \`${func.signature}\` |\n`;
+        markdown += `| ${sourceLink(`\`${func.name}\``, func.sourceFile, func.startLine, func.endLine)} | ${func.module} | ${shortDesc} | \`${func.signature}\` |\n`;
       });
       
       markdown += '\n';
     }
     
     // Component Tree (if components exist)
-    const componentTreeDiagram = generateComponentTreeDiagram(filesInfo, detectedLanguage);
+    const componentTreeDiagram = generateComponentTreeDiagram(filesInfo, primaryLanguage);
     if (componentTreeDiagram) {
       markdown += '## Component Tree\n\n';
       markdown += 'The application is structured around the following components:\n\n';
@@ -4728,11 +6974,11 @@ async function main() {
     }
     
     // API/Routes Structure
-    const routingDiagram = generateRoutingDiagram(filesInfo, detectedLanguage);
-    if (routingDiagram) {
+    if (routes.length > 0) {
       markdown += '## API & Route Structure\n\n';
       markdown += 'The application exposes the following routes and API endpoints:\n\n';
-      markdown += routingDiagram;
+      markdown += generateRouteTable(routes);
+      markdown += generateRoutingDiagram(routes);
     }
     
     // Code Organization by Feature
@@ -4751,7 +6997,7 @@ async function main() {
           markdown += '**Components**:\n';
           feature.components.slice(0, 5).forEach(comp => {
             const moduleName = determineComponentLogicalModule(comp, moduleInterfaces);
-            markdown += `- \`${path.basename(comp.path)}\` (${moduleName})\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(comp.path)}\``, comp.path)} (${moduleName})\n`;
           });
           if (feature.components.length > 5) {
             markdown += `- ...and ${feature.components.length - 5} more\n`;
@@ -4764,7 +7010,7 @@ async function main() {
           markdown += '**Services**:\n';
           feature.services.slice(0, 5).forEach(service => {
             const moduleName = determineServiceLogicalModule(service, moduleInterfaces);
-            markdown += `- \`${path.basename(service.path)}\` (${moduleName})\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(service.path)}\``, service.path)} (${moduleName})\n`;
           });
           if (feature.services.length > 5) {
             markdown += `- ...and ${feature.services.length - 5} more\n`;
@@ -4776,7 +7022,7 @@ async function main() {
         if (feature.controllers.length > 0) {
           markdown += '**Controllers/Handlers**:\n';
           feature.controllers.slice(0, 5).forEach(controller => {
-            markdown += `- \`${path.basename(controller.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(controller.path)}\``, controller.path)}\n`;
           });
           if (feature.controllers.length > 5) {
             markdown += `- ...and ${feature.controllers.length - 5} more\n`;
@@ -4788,7 +7034,7 @@ async function main() {
         if (feature.models.length > 0) {
           markdown += '**Models/Interfaces**:\n';
           feature.models.slice(0, 5).forEach(model => {
-            markdown += `- \`${path.basename(model.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(model.path)}\``, model.path)}\n`;
           });
           if (feature.models.length > 5) {
             markdown += `- ...and ${feature.models.length - 5} more\n`;
@@ -4799,13 +7045,13 @@ async function main() {
         // List utility functions if any
         const moduleFunctions = filesInfo
           .filter(f => path.dirname(f.path).includes(featureName) && f.functions && f.functions.length > 0)
-          .flatMap(f => f.functions.filter(fn => fn.isExported));
+          .flatMap(f => f.functions.filter(fn => fn.isExported).map(fn => ({ ...fn, path: f.path })));
         
         if (moduleFunctions.length > 0) {
           markdown += '**Utility Functions**:\n';
           moduleFunctions.slice(0, 5).forEach(func => {
             const moduleName = determineFunctionLogicalModule(func, moduleInterfaces);
-            markdown += `- \`${func.name}(${func.parameters.map(p => p.name).join(', ')})\` (${moduleName})\n`;
+            markdown += `- ${sourceLink(`\`${func.name}(${func.parameters.map(p => p.name).join(', ')})\``, func.path, func.startLine, func.endLine)} (${moduleName})\n`;
           });
           if (moduleFunctions.length > 5) {
             markdown += `- ...and ${moduleFunctions.length - 5} more\n`;
@@ -4822,7 +7068,7 @@ async function main() {
         if (feature.components.length > 0) {
           markdown += '**Components**:\n';
           feature.components.slice(0, 5).forEach(comp => {
-            markdown += `- \`${path.basename(comp.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(comp.path)}\``, comp.path)}\n`;
           });
           if (feature.components.length > 5) {
             markdown += `- ...and ${feature.components.length - 5} more\n`;
@@ -4834,7 +7080,7 @@ async function main() {
         if (feature.services.length > 0) {
           markdown += '**Services**:\n';
           feature.services.slice(0, 5).forEach(service => {
-            markdown += `- \`${path.basename(service.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(service.path)}\``, service.path)}\n`;
           });
           if (feature.services.length > 5) {
             markdown += `- ...and ${feature.services.length - 5} more\n`;
@@ -4846,7 +7092,7 @@ async function main() {
         if (feature.controllers.length > 0) {
           markdown += '**Controllers/Handlers**:\n';
           feature.controllers.slice(0, 5).forEach(controller => {
-            markdown += `- \`${path.basename(controller.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(controller.path)}\``, controller.path)}\n`;
           });
           if (feature.controllers.length > 5) {
             markdown += `- ...and ${feature.controllers.length - 5} more\n`;
@@ -4858,7 +7104,7 @@ async function main() {
         if (feature.models.length > 0) {
           markdown += '**Models/Interfaces**:\n';
           feature.models.slice(0, 5).forEach(model => {
-            markdown += `- \`${path.basename(model.path)}\`\n`;
+            markdown += `- ${sourceLink(`\`${path.basename(model.path)}\``, model.path)}\n`;
           });
           if (feature.models.length > 5) {
             markdown += `- ...and ${feature.models.length - 5} more\n`;
@@ -4869,12 +7115,12 @@ async function main() {
         // List utility functions if any
         const moduleFunctions = filesInfo
           .filter(f => path.dirname(f.path).includes(featureName) && f.functions && f.functions.length > 0)
-          .flatMap(f => f.functions.filter(fn => fn.isExported));
+          .flatMap(f => f.functions.filter(fn => fn.isExported).map(fn => ({ ...fn, path: f.path })));
         
         if (moduleFunctions.length > 0) {
           markdown += '**Utility Functions**:\n';
           moduleFunctions.slice(0, 5).forEach(func => {
-            markdown += `- \`${func.name}(${func.parameters.map(p => p.name).join(', ')})\`\n`;
+            markdown += `- ${sourceLink(`\`${func.name}(${func.parameters.map(p => p.name).join(', ')})\``, func.path, func.startLine, func.endLine)}\n`;
           });
           if (moduleFunctions.length > 5) {
             markdown += `- ...and ${moduleFunctions.length - 5} more\n`;
@@ -4884,17 +7130,882 @@ async function main() {
       });
     }
     
+    // Dependency Cycles
+    markdown += '## Dependency Cycles\n\n';
+    markdown += generateDependencyCycleDocumentation(dependencyCycles);
+    
+    // Layer Violations (if layering rules were checked)
+    if (layerViolations) {
+      markdown += '## Layer Violations\n\n';
+      markdown += generateLayerViolationDocumentation(layerViolations);
+    }
+    
     markdown += '---\n\n';
     markdown += '*This repository map was automatically generated using tree-sitter code analysis.*';
     
-    // Write the markdown to file
-    fs.writeFileSync(outputFile, markdown);
-    console.log(`Repository map generated: ${outputFile}`);
+    return markdown;
+  } finally {
+    ({ options, baseDir } = previous);
+  }
+}
+
+// Rough size of text in LLM tokens, at about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Token budget of --token-budget as a number
+function readTokenBudget(value) {
+  const budget = Number(value);
+  if (!Number.isInteger(budget) || budget < 1) {
+    throw new Error(`Invalid token budget: ${value} (expected a positive integer)`);
+  }
+  return budget;
+}
+
+// PageRank over weighted edges (source -> target -> weight). Random jumps, and the
+// rank of nodes without outgoing edges, go to the nodes in proportion to their
+// personalization weights, or to every node alike without any.
+function pageRank(nodes, edges, personalization = null, damping = 0.85) {
+  const personalTotal = personalization ? [...personalization.values()].reduce((sum, weight) => sum + weight, 0) : 0;
+  const jump = new Map(nodes.map(node => [node,
+    personalTotal > 0 ? (personalization.get(node) || 0) / personalTotal : 1 / nodes.length]));
+  
+  const outWeights = new Map();
+  edges.forEach((targets, source) => {
+    outWeights.set(source, [...targets.values()].reduce((sum, weight) => sum + weight, 0));
+  });
+  
+  let rank = new Map(jump);
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const dangling = nodes
+      .filter(node => !outWeights.get(node))
+      .reduce((sum, node) => sum + rank.get(node), 0);
     
-  } catch (error) {
-    console.error('Error:', error);
-    process.exit(1);
+    const next = new Map(nodes.map(node => [node, (1 - damping + damping * dangling) * jump.get(node)]));
+    edges.forEach((targets, source) => {
+      targets.forEach((weight, target) => {
+        next.set(target, next.get(target) + damping * rank.get(source) * weight / outWeights.get(source));
+      });
+    });
+    
+    const change = nodes.reduce((sum, node) => sum + Math.abs(next.get(node) - rank.get(node)), 0);
+    rank = next;
+    if (change < 1e-9) {
+      break;
+    }
+  }
+  
+  return rank;
+}
+
+// Parameter list of a signature, leaving out the types nothing was known about
+function formatParameters(parameters) {
+  return (parameters || [])
+    .map(p => (p.type && p.type !== 'any' ? `${p.name}: ${p.type}` : p.name))
+    .join(', ');
+}
+
+// Declaration line of a class with what it extends and implements
+function classSignature(cls) {
+  let signature = `class ${cls.name}`;
+  if (cls.extends) {
+    signature += ` extends ${[].concat(cls.extends).join(', ')}`;
+  }
+  if (cls.implements && cls.implements.length > 0) {
+    signature += ` implements ${cls.implements.join(', ')}`;
   }
+  return signature;
+}
+
+// Definitions of the files of an analysis model with their signatures, keyed by
+// the symbol ids of the call graph (<file>#<name>, <file>#<Class>.<method>) and
+// in the order of their files. Members name their class as parent.
+function collectDefinitions(files) {
+  const definitions = new Map();
+  
+  files.forEach(fileInfo => {
+    const add = (name, kind, signature, parent = null) => {
+      const id = `${fileInfo.path}#${name}`;
+      if (!definitions.has(id)) {
+        definitions.set(id, { id, file: fileInfo.path, name, kind, signature, parent });
+      }
+      return id;
+    };
+    
+    (fileInfo.interfaces || []).forEach(iface => {
+      add(iface.name, 'interface', iface.signature || `interface ${iface.name}`);
+    });
+    
+    (fileInfo.classes || []).forEach(cls => {
+      const classId = add(cls.name, 'class', classSignature(cls));
+      
+      if (cls.constructor && cls.constructor.parameters) {
+        add(`${cls.name}.constructor`, 'constructor', `constructor(${formatParameters(cls.constructor.parameters)})`, classId);
+      }
+      (cls.methods || []).forEach(method => {
+        add(`${cls.name}.${method.name}`, 'method', method.signature || `${method.name}(${formatParameters(method.parameters)})`, classId);
+      });
+    });
+    
+    standaloneFunctions(fileInfo)
+      .filter(func => func.name && !func.isAnonymous)
+      .forEach(func => {
+        add(func.name, 'function', func.signature || `${func.name}(${formatParameters(func.parameters)})`);
+      });
+  });
+  
+  return definitions;
+}
+
+// Rank the definitions of an analysis model by how central they are to the code.
+// Files are ranked with PageRank over the references between them: resolved calls,
+// type names and imports. Each file then shares its rank out to the definitions it
+// refers to, and a class also collects the rank of its members. Files matching the
+// focus patterns get all the random jumps, which ranks what is near them higher.
+function rankDefinitions(model, focus) {
+  const files = model.files.map(fileInfo => fileInfo.path);
+  const definitions = collectDefinitions(model.files);
+  
+  // source file -> target file -> referenced definition (null for imports) -> weight
+  const references = new Map(files.map(file => [file, new Map()]));
+  const addReference = (source, target, id, weight = 1) => {
+    if (source === target || !references.has(source) || !references.has(target)) {
+      return;
+    }
+    const targets = references.get(source);
+    if (!targets.has(target)) {
+      targets.set(target, new Map());
+    }
+    targets.get(target).set(id, (targets.get(target).get(id) || 0) + weight);
+  };
+  
+  Object.values(model.callGraph || {}).forEach(node => {
+    node.calls.forEach(callee => {
+      if (model.callGraph[callee]) {
+        addReference(node.sourceFile, model.callGraph[callee].sourceFile, callee);
+      }
+    });
+  });
+  
+  // A type name refers to every class or interface of that name, in equal parts
+  const typesByName = new Map();
+  definitions.forEach(definition => {
+    if (definition.kind === 'class' || definition.kind === 'interface') {
+      typesByName.set(definition.name, (typesByName.get(definition.name) || []).concat(definition.id));
+    }
+  });
+  model.files.forEach(fileInfo => {
+    const names = (fileInfo.references || [])
+      .filter(reference => reference.kind !== 'call')
+      .map(reference => reference.name);
+    (fileInfo.classes || []).forEach(cls => {
+      names.push(...[].concat(cls.extends || [], cls.implements || []).map(typeName));
+    });
+    names.forEach(name => {
+      const ids = typesByName.get(name) || [];
+      ids.forEach(id => addReference(fileInfo.path, definitions.get(id).file, id, 1 / ids.length));
+    });
+  });
+  
+  Object.values(model.dependencyGraph || {}).forEach(node => {
+    node.dependencies.forEach(dependency => addReference(node.path, dependency, null));
+  });
+  
+  // Repeated references count less than distinct ones
+  const edges = new Map();
+  references.forEach((targets, source) => {
+    const weights = new Map();
+    targets.forEach((ids, target) => {
+      weights.set(target, [...ids.values()].reduce((sum, weight) => sum + Math.sqrt(weight), 0));
+    });
+    edges.set(source, weights);
+  });
+  
+  let personalization = null;
+  if (focus && splitPatternList(focus).length > 0) {
+    const matcher = createGlobMatcher(focus);
+    const focused = files.filter(file => matcher(file) === true);
+    if (focused.length > 0) {
+      personalization = new Map(focused.map(file => [file, 1]));
+    } else {
+      console.warn(`Warning: no analyzed file matches the focus ${splitPatternList(focus).join(', ')}`);
+    }
+  }
+  
+  const fileRank = pageRank(files, edges, personalization);
+  
+  const scores = new Map([...definitions.keys()].map(id => [id, 0]));
+  references.forEach((targets, source) => {
+    const total = [...edges.get(source).values()].reduce((sum, weight) => sum + weight, 0);
+    targets.forEach(ids => {
+      ids.forEach((weight, id) => {
+        if (id !== null && scores.has(id)) {
+          scores.set(id, scores.get(id) + fileRank.get(source) * Math.sqrt(weight) / total);
+        }
+      });
+    });
+  });
+  definitions.forEach(definition => {
+    if (definition.parent) {
+      scores.set(definition.parent, scores.get(definition.parent) + scores.get(definition.id));
+    }
+  });
+  
+  // Definitions nothing refers to follow, in the order of their files' rank
+  const position = new Map([...definitions.keys()].map((id, index) => [id, index]));
+  const ranked = [...definitions.keys()].sort((a, b) =>
+    (scores.get(b) - scores.get(a)) ||
+    (fileRank.get(definitions.get(b).file) - fileRank.get(definitions.get(a).file)) ||
+    (position.get(a) - position.get(b)));
+  
+  return { definitions, ranked };
+}
+
+// Signatures of the selected definitions grouped by file, files holding the best
+// ranked definitions first. Members come with their class, and a file whose other
+// definitions were left out ends with an ellipsis.
+function formatRankedDefinitions(selected, definitions) {
+  const shown = new Set();
+  selected.forEach(id => {
+    shown.add(id);
+    if (definitions.get(id).parent) {
+      shown.add(definitions.get(id).parent);
+    }
+  });
+  
+  const fileOrder = [...new Set(selected.map(id => definitions.get(id).file))];
+  const byFile = new Map(fileOrder.map(file => [file, []]));
+  definitions.forEach(definition => {
+    if (byFile.has(definition.file)) {
+      byFile.get(definition.file).push(definition);
+    }
+  });
+  
+  return fileOrder.map(file => {
+    let text = `${file}:\n`;
+    const fileDefinitions = byFile.get(file);
+    fileDefinitions
+      .filter(definition => shown.has(definition.id))
+      .forEach(definition => {
+        text += `${definition.parent ? '    ' : '  '}${definition.signature}\n`;
+      });
+    if (fileDefinitions.some(definition => !shown.has(definition.id))) {
+      text += '  ⋮\n';
+    }
+    return text;
+  }).join('\n');
+}
+
+// Render a compact map of the repository for an LLM context window: the signatures
+// of the most central definitions, without their bodies, as many as fit in the
+// token budget. The focus option (paths or globs) ranks around those files.
+function renderRepoMap(model, renderOptions = {}) {
+  const budget = readTokenBudget(renderOptions.tokenBudget);
+  const { definitions, ranked } = rankDefinitions(model, renderOptions.focus);
+  
+  // The longest prefix of the ranking that fits; more definitions never take fewer tokens
+  const render = count => formatRankedDefinitions(ranked.slice(0, count), definitions);
+  let low = 0;
+  let high = ranked.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (estimateTokens(render(middle)) <= budget) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  
+  if (low === 0 && ranked.length > 0) {
+    console.warn(`Warning: a token budget of ${budget} leaves no room for any definition`);
+  }
+  
+  return render(low);
+}
+
+// ctags kind letters of the definition kinds
+const TAG_KINDS = {
+  class: 'c',
+  interface: 'i',
+  function: 'f',
+  method: 'm',
+  constructor: 'm',
+  property: 'p'
+};
+
+// Whether the range of a definition holds a position
+function enclosesPosition(definition, line, column) {
+  const startsBefore = definition.startLine < line ||
+    (definition.startLine === line && (definition.startColumn || 1) <= column);
+  const endsAfter = definition.endLine > line ||
+    (definition.endLine === line && (definition.endColumn || Infinity) >= column);
+  return startsBefore && endsAfter;
+}
+
+// Every definition and reference of an analysis model with its position, as written
+// by --format symbols (schema/symbol-index.schema.json). Definitions carry their
+// class and signature. References are the call sites, plus the type references
+// that query extraction finds, each with the class it appears in.
+function buildSymbolIndex(model) {
+  const definitions = [];
+  const references = [];
+  const byPosition = (a, b) => (a.startLine - b.startLine) || ((a.startColumn || 0) - (b.startColumn || 0));
+  
+  model.files.forEach(fileInfo => {
+    const file = fileInfo.path;
+    const fileDefinitions = [];
+    const define = (name, kind, item, container, signature) => {
+      if (item && item.startLine) {
+        fileDefinitions.push({
+          name,
+          kind,
+          file,
+          startLine: item.startLine,
+          startColumn: item.startColumn,
+          endLine: item.endLine,
+          endColumn: item.endColumn,
+          nameLine: item.nameLine || item.startLine,
+          nameColumn: item.nameColumn || item.startColumn,
+          container,
+          signature
+        });
+      }
+    };
+    
+    (fileInfo.classes || []).forEach(cls => {
+      define(cls.name, 'class', cls, null, classSignature(cls));
+      if (cls.constructor && cls.constructor.parameters) {
+        define('constructor', 'constructor', cls.constructor, cls.name, `constructor(${formatParameters(cls.constructor.parameters)})`);
+      }
+      (cls.methods || []).forEach(method => define(method.name, 'method', method, cls.name, method.signature));
+      (cls.properties || []).forEach(property => define(property.name, 'property', property, cls.name, `${property.name}: ${property.type}`));
+    });
+    
+    (fileInfo.interfaces || []).forEach(iface => {
+      define(iface.name, 'interface', iface, null, iface.signature);
+      (iface.methods || []).forEach(method => define(method.name, 'method', method, iface.name, method.signature));
+      (iface.properties || []).forEach(property => define(property.name, 'property', property, iface.name, `${property.name}: ${property.type}`));
+    });
+    
+    standaloneFunctions(fileInfo)
+      .filter(func => func.name && !func.isAnonymous)
+      .forEach(func => define(func.name, 'function', func, null, func.signature));
+    
+    fileDefinitions.sort(byPosition);
+    definitions.push(...fileDefinitions);
+    
+    // Nested types start later, so the innermost one around a position is the last
+    const types = fileDefinitions.filter(definition => definition.kind === 'class' || definition.kind === 'interface');
+    const containerAt = (line, column) => {
+      const enclosing = types.filter(type => enclosesPosition(type, line, column)).pop();
+      return enclosing ? enclosing.name : null;
+    };
+    
+    // Query references at the name of a call or creation repeat a call site
+    const callPositions = new Set((fileInfo.calls || []).map(call => `${call.line}:${call.column}`));
+    const sites = [
+      ...(fileInfo.calls || []).map(call => ({ site: call, kind: call.kind, receiver: call.receiver })),
+      ...(fileInfo.references || [])
+        .filter(reference => reference.kind !== 'call' && !callPositions.has(`${reference.line}:${reference.column}`))
+        .map(reference => ({ site: reference, kind: reference.kind, receiver: null }))
+    ];
+    const fileReferences = sites.map(({ site, kind, receiver }) => ({
+      name: site.name,
+      kind,
+      file,
+      startLine: site.line,
+      startColumn: site.column,
+      endLine: site.endLine,
+      endColumn: site.endColumn,
+      container: containerAt(site.line, site.column || 1),
+      receiver
+    }));
+    fileReferences.sort(byPosition);
+    references.push(...fileReferences);
+  });
+  
+  return {
+    schemaVersion: SYMBOL_INDEX_SCHEMA_VERSION,
+    generator: {
+      name: 'repomapper',
+      version: VERSION
+    },
+    root: model.root,
+    definitions,
+    references
+  };
+}
+
+// Path of an indexed file as seen from the directory of a tags file
+function tagFilePath(index, file, tagsDir) {
+  return path.relative(tagsDir, path.join(index.root, ...file.split('/'))).split(path.sep).join('/');
+}
+
+// Definitions of a symbol index as a ctags file in the extended format, addressed
+// by line number and sorted, so that editors can binary search it. File names are
+// relative to the directory the tags file is written to.
+function renderCtags(index, tagsDir = index.root) {
+  const clean = text => String(text).replace(/[\t\r\n]+/g, ' ');
+  
+  const tags = index.definitions.map(definition => {
+    let tag = `${definition.name}\t${tagFilePath(index, definition.file, tagsDir)}\t${definition.nameLine};"\t${TAG_KINDS[definition.kind]}\tline:${definition.nameLine}`;
+    if (definition.container) {
+      tag += `\tclass:${definition.container}`;
+    }
+    if (definition.signature) {
+      tag += `\tsignature:${clean(definition.signature)}`;
+    }
+    return tag;
+  });
+  
+  // Byte order, which is what the !_TAG_FILE_SORTED 1 header promises
+  tags.sort((a, b) => (a < b ? -1 : (a > b ? 1 : 0)));
+  
+  const header = [
+    '!_TAG_FILE_FORMAT\t2\t/extended format; --format=1 will not append ;" to lines/',
+    '!_TAG_FILE_SORTED\t1\t/0=unsorted, 1=sorted, 2=foldcase/',
+    '!_TAG_PROGRAM_NAME\trepomapper\t//',
+    `!_TAG_PROGRAM_VERSION\t${VERSION}\t//`
+  ];
+  
+  return header.concat(tags).join('\n') + '\n';
+}
+
+// Definitions of a symbol index as an Emacs TAGS file: a section per source file
+// listing, for each definition, its line up to the name, the name, the line number
+// and the byte offset of the line. Sources that cannot be read get no offsets.
+function renderEtags(index, tagsDir = index.root) {
+  const byFile = new Map();
+  index.definitions.forEach(definition => {
+    if (!byFile.has(definition.file)) {
+      byFile.set(definition.file, []);
+    }
+    byFile.get(definition.file).push(definition);
+  });
+  
+  let output = '';
+  byFile.forEach((definitions, file) => {
+    let lines = null;
+    try {
+      lines = fs.readFileSync(path.join(index.root, ...file.split('/')), 'utf8').split('\n');
+    } catch (error) {
+      debug(`Cannot read ${file} for its tags: ${error.message}`);
+    }
+    
+    const lineOffsets = [0];
+    (lines || []).forEach(line => lineOffsets.push(lineOffsets[lineOffsets.length - 1] + Buffer.byteLength(line) + 1));
+    
+    const section = definitions.map(definition => {
+      if (!lines || !lines[definition.nameLine - 1]) {
+        return `${definition.name}\x7f${definition.name}\x01${definition.nameLine},\n`;
+      }
+      const text = lines[definition.nameLine - 1].replace(/\r$/, '');
+      const at = text.indexOf(definition.name, (definition.nameColumn || 1) - 1);
+      const pattern = at === -1 ? text : text.slice(0, at + definition.name.length);
+      return `${pattern}\x7f${definition.name}\x01${definition.nameLine},${lineOffsets[definition.nameLine - 1]}\n`;
+    }).join('');
+    
+    output += `\x0c\n${tagFilePath(index, file, tagsDir)},${Buffer.byteLength(section)}\n${section}`;
+  });
+  
+  return output;
+}
+
+// Version of the OpenAPI specification --openapi documents follow
+const OPENAPI_VERSION = '3.1.0';
+
+// Methods an ALL route stands for in an OpenAPI document, which has no catch-all
+const OPENAPI_ALL_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// JSON Schema types of the scalar types of TypeScript, Python and route converters
+const OPENAPI_SCALAR_TYPES = {
+  string: { type: 'string' },
+  str: { type: 'string' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  int: { type: 'integer' },
+  long: { type: 'integer' },
+  bigint: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  datetime: { type: 'string', format: 'date-time' },
+  date: { type: 'string', format: 'date' },
+  guid: { type: 'string', format: 'uuid' },
+  uuid: { type: 'string', format: 'uuid' },
+  UUID: { type: 'string', format: 'uuid' },
+  slug: { type: 'string' },
+  path: { type: 'string' }
+};
+
+// Split a type list at its top-level commas or bars, leaving generic arguments whole
+function splitTypeList(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('<[({'.includes(char)) depth++;
+    if ('>])}'.includes(char)) depth--;
+    if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return parts.concat(current.trim()).filter(Boolean);
+}
+
+// OpenAPI form of a route path, with the parameters its :id, {id}, <int:id>, *rest and
+// (?P<name>...) parts declare and the type their converter or constraint gives. A path
+// that is still a regular expression after that has no OpenAPI form and gives null.
+function openApiPath(routePath) {
+  const parameters = [];
+  const add = (name, schema) => {
+    const clean = name.replace(/^\*+|\.\.\.$|\?$/g, '') || 'wildcard';
+    if (!parameters.some(parameter => parameter.name === clean)) {
+      parameters.push({ name: clean, schema: schema || { type: 'string' } });
+    }
+    return `{${clean}}`;
+  };
+  
+  // Named groups of Django re_path() patterns, whose regex becomes the schema pattern
+  let text = '';
+  for (let i = 0; i < routePath.length; i++) {
+    const group = routePath.slice(i).match(/^\(\?P?<(\w+)>/);
+    if (!group) {
+      text += routePath[i];
+      continue;
+    }
+    let end = i + group[0].length;
+    for (let depth = 1; end < routePath.length && depth > 0; end++) {
+      if (routePath[end] === '\\') end++;
+      else if (routePath[end] === '(') depth++;
+      else if (routePath[end] === ')') depth--;
+    }
+    text += add(group[1], { type: 'string', pattern: `^${routePath.slice(i + group[0].length, end - 1)}$` });
+    i = end - 1;
+  }
+  
+  const converted = text.split('/').map(segment => {
+    // Express, Koa, gin and echo :id, :id? and :id(\d+)
+    const colon = segment.match(/^:(\w+)\??(?:\(.*\))?$/);
+    if (colon) {
+      return add(colon[1]);
+    }
+    // gin *rest and Express or echo *
+    const star = segment.match(/^\*(\w*)$/);
+    if (star) {
+      return add(star[1] || 'wildcard');
+    }
+    // Flask and Django <int:id>, and ASP.NET {id:int}, chi {id:[0-9]{4}} and Go {rest...},
+    // in one pass so that a converted {id} is not read again
+    return segment.replace(/<(?:(\w+):)?(\w+)>|\{([^{}:]+)(?::((?:[^{}]|\{[^{}]*\})*))?\}/g,
+      (match, converter, name, braced, constraint) => (name
+        ? add(name, OPENAPI_SCALAR_TYPES[converter])
+        : add(braced, OPENAPI_SCALAR_TYPES[constraint])));
+  }).join('/');
+  
+  if (/[()[\]\\^$|+?*]/.test(converted.replace(/\{\w+\}/g, ''))) {
+    return null;
+  }
+  return { path: converted, parameters };
+}
+
+// Build an OpenAPI 3.1 skeleton of the routes of an analysis model, as written by
+// --openapi. Request and response bodies come from the TypeScript interfaces and
+// classes and Python classes that a handler's parameters and return type name.
+function buildOpenApiDocument(model) {
+  const filesByPath = new Map(model.files.map(fileInfo => [fileInfo.path, fileInfo]));
+  
+  // Types that can become schemas, by name; the route's own language wins a clash
+  const types = new Map();
+  model.files.forEach(fileInfo => {
+    const candidates = (fileInfo.interfaces || [])
+      .concat((fileInfo.classes || []).filter(cls => (cls.properties || []).some(property => property.type !== 'any')));
+    candidates.forEach(type => {
+      if (!types.has(type.name)) {
+        types.set(type.name, []);
+      }
+      types.get(type.name).push({ language: fileInfo.language, properties: type.properties || [] });
+    });
+  });
+  
+  const schemas = {};
+  const pending = [];
+  const typeOf = (name, language) => {
+    const entries = types.get(name);
+    if (!entries) {
+      return null;
+    }
+    return entries.find(entry => entry.language === language) || entries[0];
+  };
+  
+  // JSON Schema of a type annotation; optional is set for nullable types
+  const schemaOf = (text, language) => {
+    const type = (text || '').trim();
+    const union = splitTypeList(type, '|');
+    if (union.length > 1) {
+      const present = union.filter(part => !['null', 'undefined', 'None'].includes(part));
+      return present.length === 1 ? { ...schemaOf(present[0], language), optional: true } : { schema: {} };
+    }
+    
+    if (type.endsWith('[]')) {
+      return { schema: { type: 'array', items: schemaOf(type.slice(0, -2), language).schema } };
+    }
+    
+    const generic = type.match(/^([\w.]+)\s*[<[](.*)[>\]]$/);
+    if (generic) {
+      const outer = generic[1].split('.').pop();
+      const args = splitTypeList(generic[2], ',');
+      if (['Promise', 'Observable', 'Awaitable', 'Task', 'ActionResult', 'ResponseEntity', 'Annotated'].includes(outer)) {
+        return schemaOf(args[0], language);
+      }
+      if (outer === 'Optional') {
+        return { ...schemaOf(args[0], language), optional: true };
+      }
+      if (['Array', 'List', 'list', 'Sequence', 'Set', 'set', 'Iterable', 'ReadonlyArray'].includes(outer)) {
+        return { schema: { type: 'array', items: schemaOf(args[0], language).schema } };
+      }
+      if (['Record', 'Dict', 'dict', 'Mapping', 'Map'].includes(outer)) {
+        return { schema: { type: 'object', additionalProperties: schemaOf(args[args.length - 1], language).schema } };
+      }
+      return { schema: {} };
+    }
+    if (OPENAPI_SCALAR_TYPES[type]) {
+      return { schema: { ...OPENAPI_SCALAR_TYPES[type] } };
+    }
+    if (typeOf(type, language)) {
+      if (!Object.prototype.hasOwnProperty.call(schemas, type)) {
+        schemas[type] = null;
+        pending.push({ name: type, language });
+      }
+      return { schema: { $ref: `#/components/schemas/${type}` } };
+    }
+    return { schema: {} };
+  };
+  
+  // Type arguments of an Express Request<Params, ResBody, ReqBody> or Response<ResBody>
+  // parameter of the handler, an empty list when it has none
+  const expressArguments = (handlerParameters, outer) => {
+    const typed = handlerParameters
+      .map(entry => (entry.type || '').trim().match(/^(?:\w+\.)?(Request|Response)\s*<(.*)>$/))
+      .find(match => match && match[1] === outer);
+    return typed ? splitTypeList(typed[2], ',') : [];
+  };
+  
+  // Whether a schema names a model, directly or as the items of an array
+  const isModel = schema => Boolean(schema.$ref || (schema.items && schema.items.$ref));
+  
+  // Handler function or method of a route, where the route table found it
+  const handlerOf = route => {
+    const fileInfo = route.handlerFile ? filesByPath.get(route.handlerFile) : null;
+    if (!fileInfo) {
+      return null;
+    }
+    const methods = (fileInfo.classes || []).flatMap(cls => cls.methods || []);
+    return (fileInfo.functions || []).concat(methods).find(entry => entry.startLine === route.handlerLine) || null;
+  };
+  
+  // Tag of a file: the feature that lists it, or else the logical module it is in
+  const tagOf = file => {
+    const feature = Object.keys(model.features || {}).find(name =>
+      FEATURE_CATEGORIES.some(category => (model.features[name][category] || []).some(entry => entry.path === file)));
+    if (feature) {
+      return feature;
+    }
+    return Object.keys(model.logicalModules || {}).find(name =>
+      (model.logicalModules[name].files || []).includes(file)) || null;
+  };
+  
+  const operationIds = new Set();
+  const uniqueOperationId = (route, method, openPath) => {
+    const base = (route.handler || `${method}${openPath}`)
+      .replace(/[^\w.]+/g, '_').replace(/^_+|_+$/g, '') || method;
+    let id = base;
+    for (let i = 2; operationIds.has(id); i++) {
+      id = operationIds.has(`${base}_${method}`) ? `${base}_${i}` : `${base}_${method}`;
+    }
+    operationIds.add(id);
+    return id;
+  };
+  
+  const paths = {};
+  const tags = new Set();
+  (model.routes || []).forEach(route => {
+    // Regular expression routes have no OpenAPI form and are left out
+    const converted = openApiPath(route.path);
+    if (!converted) {
+      return;
+    }
+    const { path: openPath, parameters } = converted;
+    const explicit = new Set((model.routes || [])
+      .filter(other => other.path === route.path && other.method !== 'ALL')
+      .map(other => other.method.toLowerCase()));
+    const methods = route.method === 'ALL'
+      ? OPENAPI_ALL_METHODS.filter(method => !explicit.has(method))
+      : [route.method.toLowerCase()];
+    
+    const handler = handlerOf(route);
+    const language = (filesByPath.get(route.handlerFile || route.file) || {}).language;
+    const handlerParameters = handler ? (handler.parameters || []) : [];
+    const tag = tagOf(route.file);
+    
+    methods.forEach(method => {
+      paths[openPath] = paths[openPath] || {};
+      // The first route of a path and method is the one a request reaches
+      if (paths[openPath][method]) {
+        return;
+      }
+      
+      const operation = {
+        operationId: uniqueOperationId(route, method, openPath),
+        summary: `${route.method} ${route.path}`
+      };
+      if (tag) {
+        operation.tags = [tag];
+        tags.add(tag);
+      }
+      
+      if (parameters.length > 0) {
+        operation.parameters = parameters.map(parameter => {
+          // A handler parameter of the same name refines the type the path gives
+          const declared = handlerParameters.find(entry => entry.name === parameter.name && entry.type !== 'any');
+          const schema = declared ? schemaOf(declared.type, language).schema : {};
+          return { name: parameter.name, in: 'path', required: true, schema: Object.keys(schema).length > 0 ? schema : parameter.schema };
+        });
+      }
+      
+      // The ReqBody of an Express Request, or else the first parameter typed with a
+      // model, is the body of methods that take one
+      if (['post', 'put', 'patch'].includes(method)) {
+        const requestBody = expressArguments(handlerParameters, 'Request')[2];
+        const declared = requestBody ? schemaOf(requestBody, language).schema : {};
+        const body = Object.keys(declared).length > 0
+          ? declared
+          : handlerParameters.map(entry => schemaOf(entry.type, language).schema).find(isModel);
+        if (body) {
+          operation.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+        }
+      }
+      
+      // The return type, or else the ResBody of an Express Response or Request, under the
+      // status code the route declares; a 204 response has no content
+      const status = route.status || 200;
+      const responseBody = [
+        handler && handler.returnType,
+        expressArguments(handlerParameters, 'Response')[0],
+        expressArguments(handlerParameters, 'Request')[1]
+      ].map(type => (type ? schemaOf(type, language).schema : {}))
+        .find(schema => Object.keys(schema).length > 0);
+      const response = status !== 204 && responseBody ? responseBody : {};
+      operation.responses = {
+        [status]: Object.keys(response).length > 0
+          ? { description: 'Successful response', content: { 'application/json': { schema: response } } }
+          : { description: 'Successful response' }
+      };
+      
+      if (route.handler) {
+        operation['x-handler'] = route.handler;
+      }
+      operation['x-source'] = `${route.file}:${route.line}`;
+      paths[openPath][method] = operation;
+    });
+  });
+  
+  // Schemas of the models the operations named, and the models those name in turn
+  while (pending.length > 0) {
+    const { name, language } = pending.shift();
+    const type = typeOf(name, language);
+    const properties = {};
+    const required = [];
+    type.properties.forEach(property => {
+      const { schema, optional } = schemaOf(property.type, language);
+      properties[property.name] = schema;
+      if (!property.optional && !optional) {
+        required.push(property.name);
+      }
+    });
+    schemas[name] = { type: 'object', properties };
+    if (required.length > 0) {
+      schemas[name].required = required;
+    }
+  }
+  
+  // Web service entry points with routes tell where the API is served
+  const servers = Array.from(new Set(model.files
+    .flatMap(fileInfo => (fileInfo.entryPoints ? fileInfo.entryPoints.webService : []) || [])
+    .filter(service => service.url && service.routes && service.routes.length > 0)
+    .map(service => service.url)))
+    .sort()
+    .map(url => ({ url }));
+  
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: `${path.basename(model.root)} API`,
+      version: '0.0.0',
+      description: `Generated by ${model.generator.name} ${model.generator.version} from the routes found in the source.`
+    }
+  };
+  if (servers.length > 0) {
+    document.servers = servers;
+  }
+  if (tags.size > 0) {
+    document.tags = Array.from(tags).sort().map(name => ({ name }));
+  }
+  document.paths = Object.fromEntries(Object.keys(paths).sort().map(key => [key, paths[key]]));
+  if (Object.keys(schemas).length > 0) {
+    document.components = { schemas: Object.fromEntries(Object.keys(schemas).sort().map(key => [key, schemas[key]])) };
+  }
+  return document;
+}
+
+// Whether a YAML scalar has to be quoted to be read back as the same string
+function needsYamlQuotes(text) {
+  return text === '' ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`~]/.test(text) ||
+    /[:#]\s|\s$|:$|[\n\t]|[{}[\],]/.test(text) ||
+    /^(?:true|false|yes|no|on|off|null|y|n)$/i.test(text) ||
+    /^[-+]?(?:\d[\d_]*)?(?:\.\d*)?(?:e[-+]?\d+)?$/i.test(text) ||
+    /^0[xo]/i.test(text);
+}
+
+// Render a JSON value as block-style YAML; quoted strings use the JSON escapes,
+// which YAML double-quoted scalars share
+function renderYaml(value, indent = '') {
+  const scalar = item => {
+    if (item === null || item === undefined) return 'null';
+    if (typeof item === 'string') return needsYamlQuotes(item) ? JSON.stringify(item) : item;
+    return String(item);
+  };
+  const isEmpty = item => typeof item === 'object' && item !== null && Object.keys(item).length === 0;
+  const isBlock = item => typeof item === 'object' && item !== null && !isEmpty(item);
+  const inline = item => (Array.isArray(item) ? (isEmpty(item) ? '[]' : null) : isEmpty(item) ? '{}' : scalar(item));
+  
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (!isBlock(item)) {
+        return `${indent}- ${inline(item)}\n`;
+      }
+      // The first line of a nested block goes after the dash
+      const nested = renderYaml(item, `${indent}  `);
+      return `${indent}- ${nested.slice(indent.length + 2)}`;
+    }).join('');
+  }
+  
+  return Object.entries(value).map(([key, item]) => {
+    const name = scalar(String(key));
+    if (!isBlock(item)) {
+      return `${indent}${name}: ${inline(item)}\n`;
+    }
+    return `${indent}${name}:\n${renderYaml(item, `${indent}  `)}`;
+  }).join('');
 }
 
 // Helper functions to determine logical module for components, services, and functions
@@ -4950,5 +8061,166 @@ function determineFunctionLogicalModule(func, moduleInterfaces) {
   return 'Utility';
 }
 
-// Run the main function
-main();
\ No newline at end of file
+// Command-line interface: parse the arguments, analyze and write the output file
+async function runCli(argv) {
+  const program = new commander.Command();
+  program
+    .name('repomapper')
+    .description('Generate a comprehensive repository map with code structure visualization')
+    .version(VERSION)
+    .option('-d, --directory <dir>', 'Target directory to analyze (default: current directory)', process.cwd())
+    .option('-o, --output <file>', 'Output file path (repomap.gen.json, repomap.symbols.json, tags or TAGS by default for the other formats)', DEFAULT_OPTIONS.output)
+    .option('-f, --format <format>', 'Output format: markdown, json for the analysis model, symbols for an index of definitions and references, or ctags/etags for a tags file', DEFAULT_OPTIONS.format)
+    .option('-l, --language <langs>', 'Restrict analysis to specific languages (comma-separated, all detected languages if not specified)')
+    .option('--language-plugins <paths>', 'Load extra language definitions from .js files or directories (comma-separated)')
+    .option('-e, --exclude <pattern>', 'Glob patterns to exclude (comma-separated, supports **, {a,b} and !negation)', DEFAULT_OPTIONS.exclude)
+    .option('-m, --max-files <number>', 'Maximum number of files to process', DEFAULT_OPTIONS.maxFiles)
+    .option('-i, --include <pattern>', 'Glob patterns to include (comma-separated, supports **, {a,b} and !negation)', DEFAULT_OPTIONS.include)
+    .option('--no-ignore-files', 'Do not honor .gitignore, .ignore, .repomapignore and .git/info/exclude')
+    .option('-s, --no-services', 'Skip services diagram generation', true)
+    .option('-c, --no-components', 'Skip component diagram generation', true)
+    .option('-r, --no-routes', 'Skip routes diagram generation', true)
+    .option('--link-base <url>', 'Link symbols to <url>/<path>#L<line> instead of paths relative to the map, e.g. https://github.com/org/repo/blob/main')
+    .option('--openapi <file>', 'Also write an OpenAPI 3.1 document of the discovered routes (JSON when <file> ends in .json, YAML otherwise)')
+    .option('-b, --parser-backend <backend>', 'Grammar backend: native, wasm, or auto (native with WebAssembly fallback)', DEFAULT_OPTIONS.parserBackend)
+    .option('--wasm-dir <dir>', 'Directory containing tree-sitter-<lang>.wasm grammars, searched before the bundled ones')
+    .option('--extraction <mode>', 'Symbol extraction: ast (node type mappings) or query (tree-sitter .scm queries)', DEFAULT_OPTIONS.extraction)
+    .option('--query-dir <dir>', 'Directory of <language>.scm query files, searched before the bundled ones')
+    .option('-j, --jobs <number>', 'Number of worker threads parsing files', DEFAULT_OPTIONS.jobs)
+    .option('--token-budget <tokens>', 'Write a ranked map of the most central signatures that fits in this many LLM tokens instead of the full map')
+    .option('--focus <paths>', 'Rank the --token-budget map around these files (comma-separated paths or globs)')
+    .option('--fail-on-cycles', 'Exit with code 2 when files depend on each other in a cycle', false)
+    .option('--layers [file]', `Check dependencies against layering rules (default: ${LAYER_RULES_FILE_NAME} in the analyzed directory)`)
+    .option('--fail-on-layer-violations', 'Exit with code 2 when a dependency breaks a layering rule (implies --layers)', false)
+    .option('--cache [dir]', `Reuse extraction results of unchanged files from a cache directory (default: ${CACHE_DIR_NAME} in the analyzed directory)`)
+    .option('--debug', 'Enable debug logging', false)
+    .option('--install-deps', 'Install required dependencies', false)
+    .option('--install-all-langs', 'Install parsers for all supported languages', false)
+    .option('--install-langs <langs>', 'Install specific language parsers (comma-separated, e.g., "python,ruby,go")')
+    .option('--global-install', 'Install this tool globally as a CLI command', false)
+    .parse(argv);
+  
+  const cliOptions = program.opts();
+  
+  // Handle global installation if requested
+  if (cliOptions.globalInstall) {
+    console.log('Installing repomapper globally...');
+    try {
+      execSync('npm link', { stdio: 'inherit' });
+      console.log('\nSuccess! The "repomapper" command has been installed globally.');
+      console.log('You can now run it from anywhere using:');
+      console.log('\n  repomapper [options]\n');
+      process.exit(0);
+    } catch (error) {
+      console.error('Failed to install globally:', error.message);
+      console.error('You might need to run this command with sudo or as administrator.');
+      process.exit(1);
+    }
+  }
+  
+  // Handle dependency installation if requested
+  if (cliOptions.installDeps || cliOptions.installAllLangs || cliOptions.installLangs) {
+    installDependencies(cliOptions);
+    if (!cliOptions.directory) {
+      // If only installing dependencies without running analysis, exit
+      process.exit(0);
+    }
+  }
+  
+  // Each format gets its own default file name unless -o is given
+  const outputFile = path.resolve(program.getOptionValueSource('output') === 'default'
+    ? DEFAULT_OUTPUT_FILES[cliOptions.format] || cliOptions.output
+    : cliOptions.output);
+  
+  try {
+    if (!OUTPUT_FORMATS.includes(cliOptions.format)) {
+      throw new Error(`Unknown output format: ${cliOptions.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    
+    if (cliOptions.tokenBudget !== undefined) {
+      readTokenBudget(cliOptions.tokenBudget);
+      if (cliOptions.format !== 'markdown') {
+        throw new Error(`--token-budget writes a text map and cannot be combined with --format ${cliOptions.format}`);
+      }
+    }
+    
+    if (cliOptions.failOnLayerViolations && !cliOptions.layers) {
+      cliOptions.layers = true;
+    }
+    
+    const model = await analyzeRepository(cliOptions);
+    
+    if (cliOptions.format === 'json') {
+      fs.writeFileSync(outputFile, JSON.stringify(model, null, 2) + '\n');
+      console.log(`Repository model generated: ${outputFile}`);
+    } else if (cliOptions.format === 'symbols') {
+      fs.writeFileSync(outputFile, JSON.stringify(buildSymbolIndex(model), null, 2) + '\n');
+      console.log(`Symbol index generated: ${outputFile}`);
+    } else if (cliOptions.format === 'ctags' || cliOptions.format === 'etags') {
+      const index = buildSymbolIndex(model);
+      const render = cliOptions.format === 'ctags' ? renderCtags : renderEtags;
+      fs.writeFileSync(outputFile, render(index, path.dirname(outputFile)));
+      console.log(`Tags file generated: ${outputFile}`);
+    } else if (cliOptions.tokenBudget !== undefined) {
+      fs.writeFileSync(outputFile, renderRepoMap(model, cliOptions));
+      console.log(`Repository map generated: ${outputFile}`);
+    } else {
+      console.log('Generating repository map...');
+      fs.writeFileSync(outputFile, renderMarkdown(model, cliOptions));
+      console.log(`Repository map generated: ${outputFile}`);
+    }
+    
+    if (cliOptions.openapi) {
+      const openApiFile = path.resolve(cliOptions.openapi);
+      const document = buildOpenApiDocument(model);
+      fs.writeFileSync(openApiFile, openApiFile.endsWith('.json')
+        ? JSON.stringify(document, null, 2) + '\n'
+        : renderYaml(document));
+      console.log(`OpenAPI document generated: ${openApiFile}`);
+    }
+    
+    // The output is still written, so the cycles can be looked up in it
+    const fileCycles = model.dependencyCycles.files;
+    if (cliOptions.failOnCycles && fileCycles.length > 0) {
+      console.error(`Error: found ${fileCycles.length} dependency cycle${fileCycles.length === 1 ? '' : 's'} between files`);
+      fileCycles.forEach(cycle => console.error(`  ${cycle.shortestCycle.join(' -> ')}`));
+      process.exit(2);
+    }
+    
+    const layerViolations = model.layerViolations || [];
+    if (cliOptions.failOnLayerViolations && layerViolations.length > 0) {
+      console.error(`Error: found ${layerViolations.length} layering rule violation${layerViolations.length === 1 ? '' : 's'}`);
+      layerViolations.forEach(violation => {
+        const location = violation.line ? `${violation.file}:${violation.line}` : violation.file;
+        console.error(`  ${location}: ${violation.message} (${violation.fromLayer} -> ${violation.toLayer}: ${violation.dependency})`);
+      });
+      process.exit(2);
+    }
+  } catch (error) {
+    console.error('Error:', cliOptions.debug ? error : error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  MODEL_SCHEMA_VERSION,
+  SYMBOL_INDEX_SCHEMA_VERSION,
+  analyzeRepository,
+  renderMarkdown,
+  renderRepoMap,
+  buildSymbolIndex,
+  renderCtags,
+  renderEtags,
+  buildOpenApiDocument,
+  renderYaml,
+  registerLanguage: languages.registerLanguage,
+  getLanguages: languages.getLanguages
+};
+
+// Run the CLI when executed directly rather than required as a library
+if (!isMainThread && workerData && workerData.role === WORKER_ROLE) {
+  runWorker();
+} else if (require.main === module) {
+  runCli(process.argv);
+}
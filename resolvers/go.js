@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import resolution for Go: import paths inside a module of the project, found
+// through its go.mod, map to package directories. Standard library and third
+// party packages resolve to nothing.
+
+// Remember a value for the whole run in the project cache
+function memo(project, key, compute) {
+  if (!project.cache.has(key)) {
+    project.cache.set(key, compute());
+  }
+  return project.cache.get(key);
+}
+
+// Directories holding analyzed Go files, which are the project's packages
+function packageDirs(project) {
+  return memo(project, 'go:packages', () => new Set(
+    Array.from(project.files)
+      .filter(file => path.extname(file) === '.go')
+      .map(file => path.dirname(file))
+  ));
+}
+
+// Module path declared by a go.mod file, and the local directories its replace
+// directives point other module paths at
+function readGoMod(file) {
+  const modules = [];
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return modules;
+  }
+  
+  const dir = path.dirname(file);
+  const moduleMatch = content.match(/^module\s+"?([^\s"]+)"?/m);
+  if (moduleMatch) {
+    modules.push({ modulePath: moduleMatch[1], dir });
+  }
+  
+  // replace example.com/lib => ../lib, alone or inside a replace ( ... ) block
+  for (const match of content.matchAll(/^\s*(?:replace\s+)?([^\s()]+)(?:\s+v\S+)?\s+=>\s+(\.{1,2}\/\S*|\/\S*)\s*$/gm)) {
+    modules.push({ modulePath: match[1], dir: path.resolve(dir, match[2]) });
+  }
+  
+  return modules;
+}
+
+// Modules of the project from every go.mod above an analyzed Go file, longest path first
+function goModules(project) {
+  return memo(project, 'go:modules', () => {
+    const dirs = new Set();
+    packageDirs(project).forEach(packageDir => {
+      for (let dir = packageDir; dir.startsWith(project.root) && !dirs.has(dir); dir = path.dirname(dir)) {
+        dirs.add(dir);
+        if (dir === project.root) break;
+      }
+    });
+    
+    const modules = [];
+    Array.from(dirs).sort().forEach(dir => {
+      const goMod = path.join(dir, 'go.mod');
+      if (fs.existsSync(goMod)) {
+        modules.push(...readGoMod(goMod));
+      }
+    });
+    
+    return modules.sort((a, b) => b.modulePath.length - a.modulePath.length);
+  });
+}
+
+// Resolve a Go import path to the directory of the package it names
+function resolveImport(specifier, fromFile, project) {
+  const module = goModules(project).find(({ modulePath }) =>
+    specifier === modulePath || specifier.startsWith(`${modulePath}/`));
+  if (!module) {
+    return null;
+  }
+  
+  const packageDir = path.join(module.dir, ...specifier.slice(module.modulePath.length).split('/').filter(Boolean));
+  return packageDirs(project).has(packageDir) ? packageDir : null;
+}
+
+module.exports = {
+  resolveImport
+};
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import resolution for JavaScript and TypeScript: relative paths, directory index
+// files, extension probing, tsconfig/jsconfig baseUrl and paths, package.json
+// "exports" and "imports", and workspace packages imported by name.
+
+// Extensions tried for extensionless specifiers, in the order TypeScript prefers them
+const EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// TypeScript sources imported by their output extension under ESM (./util.js -> util.ts)
+const SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// package.json fields naming a package entry file, source first
+const ENTRY_FIELDS = ['source', 'types', 'typings', 'module', 'main'];
+
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Remember a value for the whole run in the project cache
+function memo(project, key, compute) {
+  if (!project.cache.has(key)) {
+    project.cache.set(key, compute());
+  }
+  return project.cache.get(key);
+}
+
+// Drop comments and trailing commas, which tsconfig files allow, leaving strings alone
+function stripJsonComments(text) {
+  let result = '';
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      result += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+      i++;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  
+  return result;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(stripJsonComments(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Nearest file with one of the given names, from dir up to the project root
+function findUp(dir, names, project) {
+  for (let current = dir; current.startsWith(project.root); current = path.dirname(current)) {
+    const found = names
+      .map(name => path.join(current, name))
+      .find(candidate => fs.existsSync(candidate));
+    if (found) {
+      return found;
+    }
+    if (current === project.root || current === path.dirname(current)) {
+      break;
+    }
+  }
+  return null;
+}
+
+// File named by "extends": a path, or a config shipped in an installed package
+function resolveConfigExtends(name, configDir) {
+  if (name.startsWith('.') || path.isAbsolute(name)) {
+    const file = path.resolve(configDir, name);
+    return fs.existsSync(file) ? file : (fs.existsSync(`${file}.json`) ? `${file}.json` : null);
+  }
+  
+  for (const request of [name, `${name}/tsconfig.json`]) {
+    try {
+      return require.resolve(request, { paths: [configDir] });
+    } catch (error) {
+      // Not installed, or not a file
+    }
+  }
+  return null;
+}
+
+// baseUrl and paths of a tsconfig/jsconfig file after following "extends". Both
+// end up absolute, since each is relative to the config file that declares it.
+function readCompilerPaths(configFile, seen = new Set()) {
+  if (seen.has(configFile)) {
+    return {};
+  }
+  seen.add(configFile);
+  
+  const config = readJson(configFile);
+  if (!config) {
+    return {};
+  }
+  
+  const configDir = path.dirname(configFile);
+  const result = {};
+  
+  [].concat(config.extends || []).forEach(parent => {
+    const parentFile = resolveConfigExtends(parent, configDir);
+    if (parentFile) {
+      Object.assign(result, readCompilerPaths(parentFile, seen));
+    }
+  });
+  
+  const compilerOptions = config.compilerOptions || {};
+  if (typeof compilerOptions.baseUrl === 'string') {
+    result.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+  }
+  if (compilerOptions.paths && typeof compilerOptions.paths === 'object') {
+    result.paths = compilerOptions.paths;
+    result.pathsDir = configDir;
+  }
+  
+  return result;
+}
+
+// Compiler paths that apply to files in a directory
+function compilerPathsFor(dir, project) {
+  return memo(project, `javascript:config:${dir}`, () => {
+    const configFile = findUp(dir, CONFIG_FILES, project);
+    if (!configFile) {
+      return {};
+    }
+    return memo(project, `javascript:compilerPaths:${configFile}`, () => {
+      const compilerPaths = readCompilerPaths(configFile);
+      // Path mappings are relative to baseUrl when there is one
+      if (compilerPaths.paths && compilerPaths.baseUrl) {
+        compilerPaths.pathsDir = compilerPaths.baseUrl;
+      }
+      return compilerPaths;
+    });
+  });
+}
+
+// Key of a paths/exports/imports map matching a specifier: the exact key, or the
+// wildcard key with the longest prefix, with the text the wildcard stands for
+function matchPattern(keys, specifier) {
+  if (keys.includes(specifier)) {
+    return { key: specifier, wildcard: null };
+  }
+  
+  let best = null;
+  keys.forEach(key => {
+    const star = key.indexOf('*');
+    if (star === -1) {
+      return;
+    }
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (specifier.length >= prefix.length + suffix.length &&
+        specifier.startsWith(prefix) &&
+        specifier.endsWith(suffix) &&
+        (!best || prefix.length > best.prefixLength)) {
+      best = {
+        key,
+        prefixLength: prefix.length,
+        wildcard: specifier.slice(prefix.length, specifier.length - suffix.length)
+      };
+    }
+  });
+  
+  return best;
+}
+
+// An analyzed file at a path, with or without one of the known extensions
+function probeFile(target, project) {
+  if (project.files.has(target)) {
+    return target;
+  }
+  
+  const withExtension = EXTENSIONS.map(ext => target + ext).find(candidate => project.files.has(candidate));
+  if (withExtension) {
+    return withExtension;
+  }
+  
+  const ext = path.extname(target);
+  return (SOURCE_EXTENSIONS[ext] || [])
+    .map(sourceExt => target.slice(0, -ext.length) + sourceExt)
+    .find(candidate => project.files.has(candidate)) || null;
+}
+
+// The index file of a directory
+function probeIndex(dir, project) {
+  return EXTENSIONS.map(ext => path.join(dir, `index${ext}`)).find(candidate => project.files.has(candidate)) || null;
+}
+
+// Entry file of a directory: its package.json entry fields, then its index file
+function resolveDirectory(dir, project) {
+  const manifestFile = path.join(dir, 'package.json');
+  const manifest = fs.existsSync(manifestFile) ? readJson(manifestFile) : null;
+  
+  if (manifest) {
+    for (const field of ENTRY_FIELDS) {
+      if (typeof manifest[field] === 'string') {
+        const entry = path.resolve(dir, manifest[field]);
+        const resolved = probeFile(entry, project) || probeIndex(entry, project);
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+  }
+  
+  return probeIndex(dir, project);
+}
+
+// The analyzed file a file or directory path refers to
+function resolvePath(target, project) {
+  return probeFile(target, project) || resolveDirectory(target, project);
+}
+
+// package.json files of packages that contain analyzed files, by package name
+function workspacePackages(project) {
+  return memo(project, 'javascript:packages', () => {
+    const dirs = new Set();
+    project.files.forEach(file => {
+      for (let dir = path.dirname(file); dir.startsWith(project.root) && !dirs.has(dir); dir = path.dirname(dir)) {
+        dirs.add(dir);
+        if (dir === project.root) break;
+      }
+    });
+    
+    const packages = new Map();
+    Array.from(dirs).sort().forEach(dir => {
+      const manifestFile = path.join(dir, 'package.json');
+      const manifest = fs.existsSync(manifestFile) ? readJson(manifestFile) : null;
+      if (manifest && typeof manifest.name === 'string' && !packages.has(manifest.name)) {
+        packages.set(manifest.name, { dir, manifest });
+      }
+    });
+    return packages;
+  });
+}
+
+// A target of "exports" or "imports": a path, a list of fallbacks, or conditions.
+// Every condition is accepted, the first one leading to an analyzed file wins.
+function resolveTarget(dir, target, wildcard, project) {
+  if (typeof target === 'string') {
+    const substituted = wildcard === null ? target : target.replace(/\*/g, wildcard);
+    if (substituted.startsWith('./')) {
+      return probeFile(path.resolve(dir, substituted), project);
+    }
+    // "imports" may map to another package
+    return substituted.startsWith('.') || substituted.startsWith('/') ? null : resolvePackage(substituted, project);
+  }
+  
+  if (Array.isArray(target)) {
+    for (const fallback of target) {
+      const resolved = resolveTarget(dir, fallback, wildcard, project);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  
+  if (target && typeof target === 'object') {
+    for (const condition of Object.keys(target)) {
+      const resolved = resolveTarget(dir, target[condition], wildcard, project);
+      if (resolved) return resolved;
+    }
+  }
+  
+  return null;
+}
+
+// "exports" in any of its shapes, as a map of subpaths
+function exportsMap(exportsField) {
+  if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+    return { '.': exportsField };
+  }
+  if (exportsField && typeof exportsField === 'object' &&
+      !Object.keys(exportsField).some(key => key.startsWith('.'))) {
+    return { '.': exportsField };
+  }
+  return exportsField || {};
+}
+
+// Split a bare specifier into its package name and subpath (@scope/pkg/a/b -> @scope/pkg, a/b)
+function splitPackageSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  return [parts.slice(0, nameLength).join('/'), parts.slice(nameLength).join('/')];
+}
+
+// A workspace package imported by name; packages outside the project resolve to null
+function resolvePackage(specifier, project) {
+  const [name, subpath] = splitPackageSpecifier(specifier);
+  const pkg = workspacePackages(project).get(name);
+  if (!pkg) {
+    return null;
+  }
+  
+  if (pkg.manifest.exports !== undefined) {
+    const map = exportsMap(pkg.manifest.exports);
+    const match = matchPattern(Object.keys(map), subpath ? `./${subpath}` : '.');
+    return match ? resolveTarget(pkg.dir, map[match.key], match.wildcard, project) : null;
+  }
+  
+  return resolvePath(path.join(pkg.dir, subpath), project);
+}
+
+// "#internal" specifiers mapped by the "imports" field of the nearest package.json
+function resolvePackageImport(specifier, fromDir, project) {
+  const manifestFile = findUp(fromDir, ['package.json'], project);
+  const manifest = manifestFile ? readJson(manifestFile) : null;
+  if (!manifest || !manifest.imports) {
+    return null;
+  }
+  
+  const match = matchPattern(Object.keys(manifest.imports), specifier);
+  return match ? resolveTarget(path.dirname(manifestFile), manifest.imports[match.key], match.wildcard, project) : null;
+}
+
+// Resolve an import specifier of a JavaScript or TypeScript file to the analyzed
+// file it refers to, or null for external packages and unknown files
+function resolveImport(specifier, fromFile, project) {
+  // Loader queries like ./icon.svg?react do not change the file
+  const request = specifier.replace(/\?.*$/, '');
+  const fromDir = path.dirname(fromFile);
+  
+  if (request === '.' || request === '..' || request.startsWith('./') || request.startsWith('../')) {
+    return resolvePath(path.resolve(fromDir, request), project);
+  }
+  
+  if (request.startsWith('#')) {
+    return resolvePackageImport(request, fromDir, project);
+  }
+  
+  const { baseUrl, paths, pathsDir } = compilerPathsFor(fromDir, project);
+  if (paths) {
+    const match = matchPattern(Object.keys(paths), request);
+    if (match) {
+      for (const substitution of [].concat(paths[match.key])) {
+        const target = match.wildcard === null ? substitution : substitution.replace('*', match.wildcard);
+        const resolved = resolvePath(path.resolve(pathsDir, target), project);
+        if (resolved) return resolved;
+      }
+    }
+  }
+  
+  if (baseUrl) {
+    const resolved = resolvePath(path.resolve(baseUrl, request), project);
+    if (resolved) return resolved;
+  }
+  
+  return resolvePackage(request, project);
+}
+
+// Module specifiers of an import or re-export statement, or of a require('...')
+// call, which is how CommonJS modules import; other calls import nothing
+function importSources(node) {
+  let source;
+  if (node.type === 'call_expression') {
+    const callee = node.childForFieldName('function');
+    const args = node.childForFieldName('arguments');
+    if (!callee || callee.type !== 'identifier' || callee.text !== 'require' || !args) {
+      return [];
+    }
+    source = args.namedChildren[0];
+  } else {
+    source = node.childForFieldName('source');
+  }
+  
+  const fragment = source && source.type === 'string'
+    ? source.namedChildren.find(child => child.type === 'string_fragment')
+    : null;
+  return fragment ? [fragment.text] : [];
+}
+
+module.exports = {
+  resolveImport,
+  importSources
+};
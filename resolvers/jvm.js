@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import resolution for Java and Kotlin. Classes are indexed by the package each
+// file declares, so Maven and Gradle source roots (src/main/java, src/main/kotlin)
+// and mixed Java/Kotlin packages need no configuration. Wildcard imports and
+// classes of the file's own package count only when the file mentions them.
+
+const JVM_EXTENSIONS = ['.java', '.kt', '.kts'];
+
+// Remember a value for the whole run in the project cache
+function memo(project, key, compute) {
+  if (!project.cache.has(key)) {
+    project.cache.set(key, compute());
+  }
+  return project.cache.get(key);
+}
+
+// Source without comments and string literals, so names in them do not count
+function readCode(file, project) {
+  return memo(project, `jvm:code:${file}`, () => {
+    try {
+      return fs.readFileSync(file, 'utf8')
+        .replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, ' ')
+        .replace(/"(?:\\.|[^"\\\n])*"/g, '""');
+    } catch (error) {
+      return '';
+    }
+  });
+}
+
+// Capitalized names a file mentions, which is how Java and Kotlin name types
+function mentionedTypes(file, project) {
+  return memo(project, `jvm:mentions:${file}`, () =>
+    new Set(readCode(file, project).match(/\b[A-Z][A-Za-z0-9_]*\b/g) || []));
+}
+
+// Package of every analyzed Java/Kotlin file and the types it declares, indexed
+// by package and by fully qualified name
+function classIndex(project) {
+  return memo(project, 'jvm:classes', () => {
+    const packages = new Map();
+    const classes = new Map();
+    const packageOf = new Map();
+    
+    Array.from(project.files).sort().forEach(file => {
+      if (!JVM_EXTENSIONS.includes(path.extname(file))) {
+        return;
+      }
+      
+      const code = readCode(file, project);
+      const packageMatch = code.match(/^\s*package\s+([\w.]+)/m);
+      const packageName = packageMatch ? packageMatch[1] : '';
+      packageOf.set(file, packageName);
+      
+      if (!packages.has(packageName)) {
+        packages.set(packageName, []);
+      }
+      
+      for (const match of code.matchAll(/\b(?:class|interface|enum|record|object)\s+([A-Z]\w*)/g)) {
+        const qualifiedName = packageName ? `${packageName}.${match[1]}` : match[1];
+        packages.get(packageName).push({ name: match[1], file });
+        if (!classes.has(qualifiedName)) {
+          classes.set(qualifiedName, file);
+        }
+      }
+    });
+    
+    return { packages, classes, packageOf };
+  });
+}
+
+// Files declaring the types of a package that a file mentions. Types the file
+// declares itself are its own, even when another file has one of the same name.
+function usedPackageClasses(packageName, fromFile, project) {
+  const declared = classIndex(project).packages.get(packageName) || [];
+  const own = new Set(declared.filter(entry => entry.file === fromFile).map(entry => entry.name));
+  const mentioned = mentionedTypes(fromFile, project);
+  return declared
+    .filter(entry => mentioned.has(entry.name) && !own.has(entry.name))
+    .map(entry => entry.file);
+}
+
+// Resolve an import to the file declaring the imported type: com.acme.Repo,
+// static members (com.acme.Strings.trim) and nested types through their outer
+// type, and com.acme.model.* through the types of that package the file uses
+function resolveImport(specifier, fromFile, project) {
+  const { classes, packages } = classIndex(project);
+  
+  if (specifier.endsWith('.*')) {
+    const target = specifier.slice(0, -2);
+    if (packages.has(target)) {
+      return usedPackageClasses(target, fromFile, project);
+    }
+    // import static com.acme.Strings.*
+    return classes.get(target) || null;
+  }
+  
+  const parts = specifier.split('.');
+  for (let length = parts.length; length > 0; length--) {
+    const file = classes.get(parts.slice(0, length).join('.'));
+    if (file) {
+      return file;
+    }
+  }
+  return null;
+}
+
+// Types from the file's own package, which Java and Kotlin use without importing
+function implicitDependencies(fromFile, project) {
+  const { packageOf } = classIndex(project);
+  return packageOf.has(fromFile) ? usedPackageClasses(packageOf.get(fromFile), fromFile, project) : [];
+}
+
+module.exports = {
+  resolveImport,
+  implicitDependencies
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import resolution for Python: dotted module names found under any source root
+// (the project root, src/ layouts, nested projects), relative imports, regular
+// __init__.py packages and namespace packages without one.
+
+// from <module> import <names>, including parenthesized and continued name lists
+const FROM_IMPORT_PATTERN = /^[ \t]*from[ \t]+([.\w]+)[ \t]+import[ \t]+(\([^)]*\)|(?:[^\n\\#]|\\\n)*)/gm;
+
+// Remember a value for the whole run in the project cache
+function memo(project, key, compute) {
+  if (!project.cache.has(key)) {
+    project.cache.set(key, compute());
+  }
+  return project.cache.get(key);
+}
+
+function isPackageDir(dir, project) {
+  return project.files.has(path.join(dir, '__init__.py'));
+}
+
+// Module names of the analyzed Python files, each with the directories it could
+// be imported from. Any directory can be a source root as long as it is not itself
+// inside a regular package: src/app/models.py is app.models from src, and also
+// src.app.models from the project root when src has no __init__.py.
+function moduleIndex(project) {
+  return memo(project, 'python:modules', () => {
+    const index = new Map();
+    
+    Array.from(project.files).sort().forEach(file => {
+      if (path.extname(file) !== '.py') {
+        return;
+      }
+      
+      const relative = path.relative(project.root, file).split(path.sep);
+      const parts = relative.slice(0, -1);
+      const moduleName = path.basename(file, '.py');
+      if (moduleName !== '__init__') {
+        parts.push(moduleName);
+      }
+      
+      for (let start = parts.length - 1; start >= 0; start--) {
+        const root = path.join(project.root, ...relative.slice(0, start));
+        if (start > 0 && isPackageDir(root, project)) {
+          continue;
+        }
+        const name = parts.slice(start).join('.');
+        if (!index.has(name)) {
+          index.set(name, []);
+        }
+        index.get(name).push({ file, root });
+      }
+    });
+    
+    return index;
+  });
+}
+
+// The file of an absolute module, preferring the source root closest to the
+// importing file, then the one nearest the project root
+function findModule(name, fromFile, project) {
+  const candidates = moduleIndex(project).get(name);
+  if (!candidates) {
+    return null;
+  }
+  
+  const containing = candidates
+    .filter(candidate => fromFile.startsWith(candidate.root + path.sep))
+    .sort((a, b) => b.root.length - a.root.length);
+  if (containing.length > 0) {
+    return containing[0].file;
+  }
+  
+  return [...candidates].sort((a, b) => a.root.length - b.root.length)[0].file;
+}
+
+// The module file under a directory for the dotted name parts, as a .py file or a package
+function moduleFileAt(dir, parts, project) {
+  const target = path.join(dir, ...parts);
+  if (project.files.has(`${target}.py`)) {
+    return `${target}.py`;
+  }
+  const init = path.join(target, '__init__.py');
+  return project.files.has(init) ? init : null;
+}
+
+// Names brought in by each "from <module> import ..." of a file
+function importedNames(fromFile, project) {
+  return memo(project, `python:names:${fromFile}`, () => {
+    const names = new Map();
+    let source = '';
+    try {
+      source = fs.readFileSync(fromFile, 'utf8');
+    } catch (error) {
+      return names;
+    }
+    
+    for (const match of source.matchAll(FROM_IMPORT_PATTERN)) {
+      const list = match[2]
+        .replace(/[()\\]/g, ' ')
+        .split(',')
+        .map(item => item.trim().split(/\s+as\s+/)[0].trim())
+        .filter(name => /^\w+$/.test(name));
+      names.set(match[1], (names.get(match[1]) || []).concat(list));
+    }
+    
+    return names;
+  });
+}
+
+// Resolve a Python import to the analyzed files it loads: the module itself and,
+// for "from pkg import a, b", the submodules a and b when they are files
+function resolveImport(specifier, fromFile, project) {
+  const names = importedNames(fromFile, project).get(specifier) || [];
+  const resolved = [];
+  
+  const dots = specifier.match(/^\.*/)[0].length;
+  if (dots > 0) {
+    // Each dot after the first goes up one package
+    let base = path.dirname(fromFile);
+    for (let i = 1; i < dots; i++) {
+      base = path.dirname(base);
+    }
+    const parts = specifier.slice(dots).split('.').filter(Boolean);
+    
+    resolved.push(moduleFileAt(base, parts, project));
+    names.forEach(name => resolved.push(moduleFileAt(base, parts.concat(name), project)));
+  } else {
+    resolved.push(findModule(specifier, fromFile, project));
+    names.forEach(name => resolved.push(findModule(`${specifier}.${name}`, fromFile, project)));
+  }
+  
+  return resolved.filter(Boolean);
+}
+
+module.exports = {
+  resolveImport
+};
@@ -0,0 +1,376 @@
+// HTTP route extraction for C#: ASP.NET Core attribute-routed controllers and
+// minimal APIs (app.MapGet and MapGroup). Controllers compute their full paths
+// here, since [controller] and [action] tokens depend on the class and method.
+
+// Attributes naming the HTTP method of an action, by name without the Attribute suffix
+const VERB_ATTRIBUTES = {
+  HttpGet: 'GET',
+  HttpPost: 'POST',
+  HttpPut: 'PUT',
+  HttpDelete: 'DELETE',
+  HttpPatch: 'PATCH',
+  HttpHead: 'HEAD',
+  HttpOptions: 'OPTIONS'
+};
+
+// Minimal API methods that map a route, and the HTTP method they map
+const MAP_METHODS = {
+  MapGet: 'GET',
+  MapPost: 'POST',
+  MapPut: 'PUT',
+  MapDelete: 'DELETE',
+  MapPatch: 'PATCH',
+  Map: 'ALL'
+};
+
+// Attributes that run ahead of an action, shown as its middleware; other *Filter
+// attributes count too
+const FILTER_ATTRIBUTES = ['Authorize', 'AllowAnonymous', 'EnableCors', 'DisableCors', 'RequireHttps',
+  'ValidateAntiForgeryToken', 'ServiceFilter', 'TypeFilter'];
+
+// Calls chained onto a minimal API route or group that add middleware to it
+const ENDPOINT_CONVENTIONS = ['RequireAuthorization', 'AllowAnonymous', 'RequireCors', 'RequireHost',
+  'RequireRateLimiting', 'AddEndpointFilter', 'DisableAntiforgery'];
+
+// Longest text kept for a middleware or handler expression
+const MAX_EXPRESSION_LENGTH = 40;
+
+function field(node, name) {
+  return node.childForFieldName ? node.childForFieldName(name) : null;
+}
+
+// Every node of the tree, parents first
+function* walk(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+}
+
+// Text of a regular or verbatim string literal, null for anything else
+function readString(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'string_literal' || node.type === 'verbatim_string_literal') {
+    return node.text.replace(/^@/, '').slice(1, -1);
+  }
+  return null;
+}
+
+// Attributes of a declaration: name without namespace or Attribute suffix, its
+// first unnamed argument and its named arguments
+function attributesOf(declaration) {
+  return declaration.namedChildren
+    .filter(child => child.type === 'attribute_list')
+    .flatMap(list => list.namedChildren.filter(child => child.type === 'attribute'))
+    .map(attribute => {
+      const args = attribute.namedChildren.find(child => child.type === 'attribute_argument_list');
+      const positional = [];
+      const named = {};
+      (args ? args.namedChildren : []).forEach(arg => {
+        const nameNode = arg.namedChildren.find(child => child.type === 'name_equals' || child.type === 'name_colon');
+        const value = arg.namedChildren[arg.namedChildren.length - 1];
+        if (nameNode) {
+          named[nameNode.text.replace(/\s*[=:]$/, '')] = value;
+        } else {
+          positional.push(value);
+        }
+      });
+      const name = field(attribute, 'name').text.split('.').pop().replace(/Attribute$/, '');
+      return { name, positional, named, node: attribute };
+    });
+}
+
+function shorten(text, short) {
+  const flat = text.replace(/\s+/g, ' ');
+  return flat.length <= MAX_EXPRESSION_LENGTH ? flat : short;
+}
+
+function filterMiddleware(attributes) {
+  return attributes
+    .filter(attribute => FILTER_ATTRIBUTES.includes(attribute.name) || /.Filter$/.test(attribute.name))
+    .map(attribute => `[${shorten(attribute.node.text, `${attribute.name}(…)`)}]`);
+}
+
+// Fill in the [controller], [action] and [area] tokens of a route template
+function expandTokens(template, tokens) {
+  return template.replace(/\[(controller|action|area)\]/gi, (match, token) => {
+    const value = tokens[token.toLowerCase()];
+    return value === undefined ? match : value;
+  });
+}
+
+// Join a controller template and an action template; an action template starting
+// with / or ~/ ignores the controller's
+function combineTemplates(prefix, template) {
+  if (/^~?\//.test(template)) {
+    return template.replace(/^~/, '');
+  }
+  if (!prefix) {
+    return template;
+  }
+  return template ? `${prefix.replace(/\/$/, '')}/${template}` : prefix;
+}
+
+// Routes of an attribute-routed controller, under a router named after the class
+function readController(classNode, routing) {
+  const attributes = attributesOf(classNode);
+  const names = attributes.map(attribute => attribute.name);
+  if (!names.includes('ApiController') && !names.includes('Route')) {
+    return;
+  }
+  
+  const className = field(classNode, 'name').text;
+  const area = attributes.find(attribute => attribute.name === 'Area');
+  const prefixes = attributes
+    .filter(attribute => attribute.name === 'Route')
+    .map(attribute => readString(attribute.positional[0]))
+    .filter(template => template !== null);
+  const classMiddleware = filterMiddleware(attributes);
+  const body = field(classNode, 'body');
+  routing.routers.push({ id: className, prefix: '', framework: 'aspnetcore' });
+  
+  (body ? body.namedChildren : []).filter(member => member.type === 'method_declaration').forEach(method => {
+    const methodAttributes = attributesOf(method);
+    const methods = [];
+    const templates = [];
+    methodAttributes.forEach(attribute => {
+      if (VERB_ATTRIBUTES[attribute.name]) {
+        methods.push(VERB_ATTRIBUTES[attribute.name]);
+        templates.push(readString(attribute.positional[0]));
+      } else if (attribute.name === 'AcceptVerbs') {
+        attribute.positional.map(readString).filter(Boolean).forEach(verb => methods.push(verb.toUpperCase()));
+        templates.push(readString(attribute.named.Route));
+      } else if (attribute.name === 'Route') {
+        templates.push(readString(attribute.positional[0]));
+      }
+    });
+    // Public methods without routing attributes are actions at the controller's route
+    const modifiers = method.namedChildren.filter(child => child.type === 'modifier').map(child => child.text);
+    if (methods.length === 0 && templates.length === 0 &&
+        (prefixes.length === 0 || !modifiers.includes('public') || modifiers.includes('static'))) {
+      return;
+    }
+    if (methodAttributes.some(attribute => attribute.name === 'NonAction')) {
+      return;
+    }
+    
+    const methodName = field(method, 'name').text;
+    const tokens = {
+      controller: className.replace(/Controller$/, ''),
+      action: methodName.replace(/Async$/, ''),
+      area: area ? readString(area.positional[0]) : undefined
+    };
+    const given = templates.filter(template => template !== null);
+    const paths = new Set();
+    (given.length > 0 ? given : ['']).forEach(template => {
+      (prefixes.length > 0 ? prefixes : ['']).forEach(prefix => {
+        paths.add(`/${expandTokens(combineTemplates(prefix, template), tokens).replace(/^\//, '')}`);
+      });
+    });
+    
+    paths.forEach(path => {
+      (methods.length > 0 ? Array.from(new Set(methods)) : ['ALL']).forEach(httpMethod => {
+        routing.routes.push({
+          router: className,
+          method: httpMethod,
+          path,
+          handler: `${className}.${methodName}`,
+          handlerReference: { local: className, member: methodName },
+          middleware: classMiddleware.concat(filterMiddleware(methodAttributes)),
+          framework: 'aspnetcore',
+          node: method
+        });
+      });
+    });
+  });
+}
+
+// Method name and receiver of a call like app.MapGet(...)
+function memberCall(node) {
+  if (node.type !== 'invocation_expression') {
+    return null;
+  }
+  const callee = field(node, 'function');
+  if (!callee || callee.type !== 'member_access_expression') {
+    return null;
+  }
+  const name = field(callee, 'name');
+  return { name: name.text.replace(/<.*>$/, ''), receiver: field(callee, 'expression') };
+}
+
+// Argument expressions of a call
+function argumentsOf(call) {
+  const list = field(call, 'arguments');
+  return (list ? list.namedChildren : [])
+    .filter(arg => arg.type === 'argument')
+    .map(arg => arg.namedChildren[arg.namedChildren.length - 1]);
+}
+
+// Endpoint conventions chained onto a call, as middleware, and the outermost call of
+// the chain; the chain ends at the next call that maps routes
+function readConventions(call) {
+  const middleware = [];
+  let top = call;
+  while (top.parent && top.parent.type === 'member_access_expression' &&
+         top.parent.parent && top.parent.parent.type === 'invocation_expression') {
+    const next = top.parent.parent;
+    const { name } = memberCall(next);
+    if (MAP_METHODS[name] || name === 'MapMethods' || name === 'MapGroup') {
+      break;
+    }
+    top = next;
+    if (ENDPOINT_CONVENTIONS.includes(name)) {
+      const text = top.text.slice(field(field(top, 'function'), 'name').startIndex - top.startIndex);
+      middleware.push(shorten(text, `${name}(…)`));
+    }
+  }
+  return { middleware, top };
+}
+
+// Variable a value is stored in, by declaration or assignment
+function assignedName(node) {
+  const parent = node.parent;
+  if (!parent) {
+    return null;
+  }
+  const declarator = parent.type === 'equals_value_clause' ? parent.parent : parent;
+  if (declarator && declarator.type === 'variable_declarator') {
+    const name = field(declarator, 'name') || declarator.namedChildren.find(child => child.type === 'identifier');
+    return name ? name.text : null;
+  }
+  if (parent.type === 'assignment_expression' && field(parent, 'left').type === 'identifier') {
+    return field(parent, 'left').text;
+  }
+  return null;
+}
+
+// How a Minimal API handler is shown: its source when short, null for a lambda
+function describeHandler(node) {
+  if (!node || node.type === 'lambda_expression' || node.type === 'anonymous_method_expression') {
+    return null;
+  }
+  return shorten(node.text, `${node.text.replace(/\s+/g, ' ').slice(0, MAX_EXPRESSION_LENGTH - 1)}…`);
+}
+
+// Method group a Minimal API handler names: a local function, or a method of a class
+function handlerReference(node) {
+  if (node && node.type === 'identifier') {
+    return { local: node.text };
+  }
+  if (node && node.type === 'member_access_expression' && field(node, 'expression').type === 'identifier') {
+    return { local: field(node, 'expression').text, member: field(node, 'name').text };
+  }
+  return null;
+}
+
+// Minimal API routes and groups. The receiver of each Map call is a router; a
+// MapGroup is a router of its own, mounted on its receiver with the conventions
+// chained onto it.
+function readMinimalApis(root, routing) {
+  const routers = new Set();
+  const addRouter = id => {
+    if (!routers.has(id)) {
+      routers.add(id);
+      routing.routers.push({ id, prefix: '', framework: 'aspnetcore' });
+    }
+  };
+  
+  const groups = new Map();
+  let routerOf = null;
+  const readGroup = node => {
+    if (groups.has(node.startIndex)) {
+      return groups.get(node.startIndex);
+    }
+    groups.set(node.startIndex, null);
+    const parent = routerOf(memberCall(node).receiver);
+    const path = readString(argumentsOf(node)[0]);
+    if (!parent || path === null) {
+      return null;
+    }
+    
+    const { middleware, top } = readConventions(node);
+    const id = assignedName(top) || `group@${node.startPosition.row + 1}:${node.startPosition.column + 1}`;
+    addRouter(id);
+    groups.set(node.startIndex, id);
+    routing.uses.push({ router: parent, path, args: [{ reference: { local: id }, name: null }], middleware, node });
+    return id;
+  };
+  
+  // A variable, an inline MapGroup, or either with conventions chained on
+  routerOf = receiver => {
+    if (receiver.type === 'identifier') {
+      addRouter(receiver.text);
+      return receiver.text;
+    }
+    const call = memberCall(receiver);
+    if (!call) {
+      return null;
+    }
+    return call.name === 'MapGroup' ? readGroup(receiver) : routerOf(call.receiver);
+  };
+  
+  for (const node of walk(root)) {
+    const call = memberCall(node);
+    if (!call) continue;
+    
+    if (call.name === 'MapGroup') {
+      readGroup(node);
+      continue;
+    }
+    
+    const args = argumentsOf(node);
+    let methods = null;
+    let handler = args[1];
+    if (MAP_METHODS[call.name]) {
+      methods = [MAP_METHODS[call.name]];
+    } else if (call.name === 'MapMethods') {
+      // app.MapMethods("/path", new[] { "GET", "HEAD" }, handler)
+      const list = args[1] ? Array.from(walk(args[1])).map(readString).filter(Boolean) : [];
+      methods = list.map(method => method.toUpperCase());
+      handler = args[2];
+    }
+    const path = readString(args[0]);
+    if (!methods || methods.length === 0 || path === null) continue;
+    
+    const router = routerOf(call.receiver);
+    if (!router) continue;
+    
+    const { middleware } = readConventions(node);
+    methods.forEach(method => {
+      routing.routes.push({
+        router,
+        method,
+        path,
+        handler: describeHandler(handler),
+        handlerReference: handlerReference(handler),
+        middleware,
+        framework: 'aspnetcore',
+        node
+      });
+    });
+  }
+}
+
+// Extract the HTTP routes of a file
+function extractRoutes(tree) {
+  const routing = { routers: [], routes: [], uses: [], exports: {}, imported: [], globalPrefix: null };
+  
+  for (const node of walk(tree.rootNode)) {
+    if (node.type === 'class_declaration') {
+      readController(node, routing);
+    }
+  }
+  readMinimalApis(tree.rootNode, routing);
+  
+  return routing;
+}
+
+module.exports = {
+  extractRoutes
+};
@@ -0,0 +1,621 @@
+// HTTP route extraction for Go: net/http ServeMux patterns, chi, gin and echo
+// routers with their groups. Routers are named by where they are created, since Go
+// code shadows router variables freely (r inside a chi Route callback).
+
+// Import paths of the supported packages, ignoring major version suffixes
+const FRAMEWORK_PACKAGES = [
+  [/^net\/http$/, 'net/http'],
+  [/^github\.com\/go-chi\/chi(?:\/v\d+)?$/, 'chi'],
+  [/^github\.com\/gin-gonic\/gin$/, 'gin'],
+  [/^github\.com\/labstack\/echo(?:\/v\d+)?$/, 'echo']
+];
+
+// Package functions that create a router, by framework
+const ROUTER_FACTORIES = {
+  'net/http': ['NewServeMux'],
+  chi: ['NewRouter', 'NewMux'],
+  gin: ['Default', 'New'],
+  echo: ['New']
+};
+
+// Package types that are routers, for parameters like r chi.Router
+const ROUTER_TYPES = {
+  'net/http': ['ServeMux'],
+  chi: ['Router', 'Mux'],
+  gin: ['Engine', 'RouterGroup', 'IRouter', 'IRoutes'],
+  echo: ['Echo', 'Group']
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'CONNECT', 'TRACE'];
+
+// Longest text kept for a middleware or handler expression
+const MAX_EXPRESSION_LENGTH = 40;
+
+function field(node, name) {
+  return node.childForFieldName ? node.childForFieldName(name) : null;
+}
+
+// Text of an interpreted or raw string literal, null for anything else
+function readString(node) {
+  if (!node || !['interpreted_string_literal', 'raw_string_literal'].includes(node.type)) {
+    return null;
+  }
+  return node.text.slice(1, -1);
+}
+
+function argumentsOf(call) {
+  const list = field(call, 'arguments');
+  return list ? list.namedChildren.filter(arg => arg.type !== 'comment') : [];
+}
+
+// Local name of a binding, unique within the file
+function localName(node) {
+  return `${node.text}@${node.startPosition.row + 1}:${node.startPosition.column + 1}`;
+}
+
+// Import aliases of the file and the paths they name
+function readImports(root) {
+  const imports = new Map();
+  root.namedChildren.filter(child => child.type === 'import_declaration').forEach(declaration => {
+    declaration.namedChildren
+      .flatMap(child => (child.type === 'import_spec_list' ? child.namedChildren : [child]))
+      .filter(spec => spec.type === 'import_spec')
+      .forEach(spec => {
+        const source = readString(field(spec, 'path'));
+        const alias = field(spec, 'name');
+        if (source === null || (alias && ['_', '.'].includes(alias.text))) {
+          return;
+        }
+        // Without an alias a package goes by its last element, skipping a /vN suffix
+        const segments = source.split('/');
+        const last = /^v\d+$/.test(segments[segments.length - 1]) && segments.length > 1
+          ? segments[segments.length - 2]
+          : segments[segments.length - 1];
+        imports.set(alias ? alias.text : last, source);
+      });
+  });
+  return imports;
+}
+
+// Framework of an imported package, or null
+function frameworkOf(source) {
+  const entry = FRAMEWORK_PACKAGES.find(([pattern]) => pattern.test(source || ''));
+  return entry ? entry[1] : null;
+}
+
+function describeExpression(node) {
+  if (node.type === 'func_literal') {
+    return null;
+  }
+  const text = node.text.replace(/\s+/g, ' ');
+  if (text.length <= MAX_EXPRESSION_LENGTH) {
+    return text;
+  }
+  return node.type === 'call_expression' ? `${field(node, 'function').text}(…)` : `${text.slice(0, MAX_EXPRESSION_LENGTH - 1)}…`;
+}
+
+// Extract the HTTP routes of a file
+function extractRoutes(tree) {
+  const root = tree.rootNode;
+  const imports = readImports(root);
+  const routing = { routers: [], routes: [], uses: [], exports: {}, imported: [], globalPrefix: null };
+  
+  const frameworks = new Map();
+  const addRouter = (id, framework) => {
+    if (!frameworks.has(id)) {
+      frameworks.set(id, framework);
+      routing.routers.push({ id, prefix: '', framework });
+    }
+    return id;
+  };
+  
+  // The framework an expression's package belongs to, for pkg.Name
+  const packageFramework = node => (node && ['identifier', 'package_identifier'].includes(node.type) && imports.has(node.text)
+    ? frameworkOf(imports.get(node.text))
+    : null);
+  
+  // Routers stored in struct fields, like s.router, by their text
+  const fieldRouters = new Map();
+  // Routers a function returns or is given, by function name
+  const functionRouters = new Map();
+  // Calls handing a router to a function of the same package, resolved once all are known
+  const pendingCalls = [];
+  
+  const lookup = (scope, name) => {
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) {
+        return current.vars.get(name);
+      }
+    }
+    return undefined;
+  };
+  
+  // Reference to a function or variable of this or another package, for handlers and mounts
+  const readReference = (node, scope) => {
+    if (node.type === 'identifier' && lookup(scope, node.text) === undefined) {
+      return { local: node.text };
+    }
+    if (node.type === 'selector_expression' && field(node, 'operand').type === 'identifier' &&
+        imports.has(field(node, 'operand').text) && lookup(scope, field(node, 'operand').text) === undefined) {
+      return { source: imports.get(field(node, 'operand').text), name: field(node, 'field').text };
+    }
+    return null;
+  };
+  
+  // Type a variable holds, from a struct literal, new(T) or its declaration, as a
+  // reference to the type
+  const typeReference = node => {
+    if (!node) {
+      return null;
+    }
+    if (['pointer_type', 'unary_expression', 'parenthesized_expression'].includes(node.type)) {
+      return typeReference(node.namedChildren[node.namedChildren.length - 1]);
+    }
+    if (node.type === 'composite_literal') {
+      return typeReference(field(node, 'type'));
+    }
+    if (node.type === 'call_expression' && field(node, 'function').text === 'new') {
+      const type = argumentsOf(node)[0];
+      return type && type.type === 'identifier' ? { local: type.text } : typeReference(type);
+    }
+    if (node.type === 'type_identifier') {
+      return { local: node.text };
+    }
+    if (node.type === 'qualified_type' && imports.has(field(node, 'package').text)) {
+      return { source: imports.get(field(node, 'package').text), name: field(node, 'name').text };
+    }
+    return null;
+  };
+  
+  // A method value like h.Get, through the type h is declared with or given, the way
+  // calls are resolved through declared types
+  const methodReference = (node, scope) => {
+    if (node.type !== 'selector_expression' || field(node, 'operand').type !== 'identifier') {
+      return null;
+    }
+    const name = field(node, 'operand').text;
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) {
+        const type = current.types.get(name);
+        return type ? { ...type, member: field(node, 'field').text } : null;
+      }
+    }
+    return null;
+  };
+  
+  let routerOf = null;
+  
+  // A router made by a call: a package factory, or a group of another router. A chi
+  // Route or Group callback gets the group as its parameter, so the group goes by it.
+  const created = new Map();
+  const createdRouter = (call, scope) => {
+    if (created.has(call.startIndex)) {
+      return created.get(call.startIndex);
+    }
+    created.set(call.startIndex, null);
+    const callee = field(call, 'function');
+    if (callee.type !== 'selector_expression') {
+      return null;
+    }
+    const operand = field(callee, 'operand');
+    const name = field(callee, 'field').text;
+    const args = argumentsOf(call);
+    
+    const factoryFramework = lookup(scope, operand.text) === undefined ? packageFramework(operand) : null;
+    if (factoryFramework) {
+      if (!ROUTER_FACTORIES[factoryFramework].includes(name)) {
+        return null;
+      }
+      const id = addRouter(localName(call), factoryFramework);
+      created.set(call.startIndex, id);
+      return id;
+    }
+    
+    const parent = routerOf(operand, scope);
+    if (!parent) {
+      return null;
+    }
+    const framework = frameworks.get(parent);
+    let path = '';
+    let middlewareArgs = [];
+    let callback = null;
+    if (name === 'Group' && (framework === 'gin' || framework === 'echo')) {
+      path = readString(args[0]);
+      middlewareArgs = args.slice(1);
+    } else if (name === 'With' && framework === 'chi') {
+      middlewareArgs = args;
+    } else if ((name === 'Route' || name === 'Group') && framework === 'chi') {
+      path = name === 'Route' ? readString(args[0]) : '';
+      callback = args[args.length - 1];
+    } else {
+      return null;
+    }
+    if (path === null) {
+      return null;
+    }
+    
+    let reference = null;
+    let id = null;
+    if (callback && callback.type === 'func_literal') {
+      const parameter = (field(callback, 'parameters') || { namedChildren: [] }).namedChildren
+        .find(child => child.type === 'parameter_declaration');
+      const parameterName = parameter && parameter.namedChildren.find(child => child.type === 'identifier');
+      if (parameterName) {
+        id = addRouter(localName(parameterName), framework);
+      }
+    } else if (callback) {
+      // r.Route("/admin", adminRoutes): the function's router hangs below
+      reference = readReference(callback, scope);
+      if (reference && reference.local) {
+        pendingCalls.push(reference);
+      }
+    } else {
+      id = addRouter(localName(call), framework);
+    }
+    if (id) {
+      reference = { local: id };
+    }
+    if (reference) {
+      routing.uses.push({
+        router: parent,
+        path,
+        args: [{ reference, name: null }],
+        middleware: middlewareArgs.map(describeExpression).filter(Boolean),
+        node: call
+      });
+    }
+    created.set(call.startIndex, id);
+    return id;
+  };
+  
+  // Router an expression evaluates to: a variable, a struct field, http.DefaultServeMux
+  // or a call creating one
+  routerOf = (node, scope) => {
+    if (!node) {
+      return null;
+    }
+    if (node.type === 'identifier') {
+      return lookup(scope, node.text) || null;
+    }
+    if (node.type === 'parenthesized_expression' || node.type === 'unary_expression') {
+      return routerOf(node.namedChildren[node.namedChildren.length - 1], scope);
+    }
+    if (node.type === 'selector_expression') {
+      const operand = field(node, 'operand');
+      if (packageFramework(operand) === 'net/http' && field(node, 'field').text === 'DefaultServeMux') {
+        return addRouter('http.DefaultServeMux', 'net/http');
+      }
+      return fieldRouters.get(node.text) || null;
+    }
+    if (node.type === 'call_expression') {
+      return createdRouter(node, scope);
+    }
+    return null;
+  };
+  
+  // Handler of a route: its text and the function it names, unwrapping http.HandlerFunc(f)
+  const readHandler = (node, scope) => {
+    if (!node) {
+      return { handler: null, handlerReference: null };
+    }
+    if (node.type === 'call_expression') {
+      const callee = field(node, 'function');
+      const args = argumentsOf(node);
+      if (callee.type === 'selector_expression' && packageFramework(field(callee, 'operand')) === 'net/http' &&
+          field(callee, 'field').text === 'HandlerFunc' && args.length === 1) {
+        return readHandler(args[0], scope);
+      }
+    }
+    const handlerReference = readReference(node, scope) || methodReference(node, scope);
+    return { handler: describeExpression(node), handlerReference };
+  };
+  
+  const addRoute = (router, method, path, handlerNode, middlewareNodes, node, scope) => {
+    // Paths held in constants are not followed
+    if (path === null) {
+      return;
+    }
+    routing.routes.push({
+      router,
+      method,
+      path,
+      ...readHandler(handlerNode, scope),
+      middleware: middlewareNodes.map(describeExpression).filter(Boolean),
+      framework: frameworks.get(router),
+      node
+    });
+  };
+  
+  // A handler that is a router, or a function of a package returning one, mounted at a path
+  const mountRouter = (router, path, handlerNode, node, scope) => {
+    const local = routerOf(handlerNode, scope);
+    let reference = local ? { local } : null;
+    if (!reference && ['call_expression', 'selector_expression', 'identifier'].includes(handlerNode.type)) {
+      reference = readReference(handlerNode.type === 'call_expression' ? field(handlerNode, 'function') : handlerNode, scope);
+      if (reference && reference.local) {
+        pendingCalls.push(reference);
+      }
+    }
+    if (!reference) {
+      return false;
+    }
+    routing.uses.push({ router, path, args: [{ reference, name: null }], node });
+    return true;
+  };
+  
+  // net/http: mux.HandleFunc("GET /users/{id}", h); a router given to Handle behind
+  // http.StripPrefix is mounted at the stripped prefix, otherwise it sees full paths
+  const readServeMuxCall = (router, name, args, node, scope) => {
+    if (!['Handle', 'HandleFunc'].includes(name) || args.length < 2) {
+      return;
+    }
+    const pattern = readString(args[0]);
+    if (pattern === null) {
+      return;
+    }
+    const match = pattern.match(/^(?:([A-Z]+)\s+)?(\S*)$/);
+    if (!match) {
+      return;
+    }
+    const method = match[1] || 'ALL';
+    // A host in the pattern (example.com/path) is not part of the path
+    const path = match[2].slice(Math.max(match[2].indexOf('/'), 0));
+    
+    let handler = args[1];
+    let mountPath = '';
+    const callee = handler.type === 'call_expression' ? field(handler, 'function') : null;
+    if (callee && callee.type === 'selector_expression' && packageFramework(field(callee, 'operand')) === 'net/http' &&
+        field(callee, 'field').text === 'StripPrefix') {
+      const stripArgs = argumentsOf(handler);
+      if (routerOf(stripArgs[1], scope)) {
+        mountPath = readString(stripArgs[0]) || '';
+        handler = stripArgs[1];
+      }
+    }
+    if (name === 'Handle' && routerOf(handler, scope)) {
+      mountRouter(router, mountPath, handler, node, scope);
+      return;
+    }
+    addRoute(router, method, path, handler, [], node, scope);
+  };
+  
+  // chi: r.Get(path, h), r.Method("PATCH", path, h), r.Mount(path, subrouter)
+  const readChiCall = (router, name, args, node, scope) => {
+    const method = name.toUpperCase();
+    if (HTTP_METHODS.includes(method) && args.length >= 2) {
+      addRoute(router, method, readString(args[0]), args[1], [], node, scope);
+    } else if (['Handle', 'HandleFunc'].includes(name) && args.length >= 2) {
+      addRoute(router, 'ALL', readString(args[0]), args[1], [], node, scope);
+    } else if (['Method', 'MethodFunc'].includes(name) && args.length >= 3) {
+      addRoute(router, (readString(args[0]) || 'ALL').toUpperCase(), readString(args[1]), args[2], [], node, scope);
+    } else if (name === 'Mount' && args.length >= 2) {
+      if (!mountRouter(router, readString(args[0]) || '', args[1], node, scope)) {
+        addRoute(router, 'ALL', readString(args[0]), args[1], [], node, scope);
+      }
+    }
+  };
+  
+  // gin: r.GET(path, middleware..., handler), r.Handle("PUT", path, handlers...)
+  const readGinCall = (router, name, args, node, scope) => {
+    let method = name === 'Any' ? 'ALL' : name;
+    let rest = args;
+    if (name === 'Handle') {
+      method = (readString(args[0]) || '').toUpperCase();
+      rest = args.slice(1);
+    }
+    if ((HTTP_METHODS.includes(method) || method === 'ALL') && rest.length >= 2) {
+      addRoute(router, method, readString(rest[0]), rest[rest.length - 1], rest.slice(1, -1), node, scope);
+    }
+  };
+  
+  // echo: e.GET(path, handler, middleware...), e.Match(methods, path, ...), e.Add(method, path, ...)
+  const readEchoCall = (router, name, args, node, scope) => {
+    let methods = [name === 'Any' ? 'ALL' : name];
+    let rest = args;
+    if (name === 'Add') {
+      methods = [(readString(args[0]) || '').toUpperCase()];
+      rest = args.slice(1);
+    } else if (name === 'Match' && args[0] && args[0].type === 'composite_literal') {
+      const body = field(args[0], 'body');
+      methods = (body ? body.namedChildren : [])
+        .map(element => readString(element.namedChildren[0]))
+        .filter(Boolean)
+        .map(method => method.toUpperCase());
+      rest = args.slice(1);
+    }
+    if (rest.length < 2) {
+      return;
+    }
+    methods.filter(method => HTTP_METHODS.includes(method) || method === 'ALL').forEach(method => {
+      addRoute(router, method, readString(rest[0]), rest[1], rest.slice(2), node, scope);
+    });
+  };
+  
+  const readCall = (call, scope) => {
+    const callee = field(call, 'function');
+    const args = argumentsOf(call);
+    
+    // Plain calls handing a router over, like handlers.Register(r) or register(r)
+    const routerArg = args.map(arg => routerOf(arg, scope)).find(Boolean);
+    const calleeRouter = callee.type === 'selector_expression' ? routerOf(field(callee, 'operand'), scope) : null;
+    if (routerArg && !calleeRouter) {
+      const reference = readReference(callee, scope);
+      if (reference) {
+        if (reference.local) {
+          pendingCalls.push(reference);
+        }
+        routing.uses.push({ router: routerArg, path: '', args: [{ reference, name: null }], node: call });
+      }
+      return;
+    }
+    if (callee.type !== 'selector_expression') {
+      return;
+    }
+    
+    const operand = field(callee, 'operand');
+    const name = field(callee, 'field').text;
+    // http.HandleFunc registers on the default ServeMux
+    if (lookup(scope, operand.text) === undefined && packageFramework(operand) === 'net/http') {
+      if (['Handle', 'HandleFunc'].includes(name)) {
+        readServeMuxCall(addRouter('http.DefaultServeMux', 'net/http'), name, args, call, scope);
+      }
+      return;
+    }
+    
+    const router = routerOf(operand, scope);
+    if (!router) {
+      return;
+    }
+    // Groups of the router add their mounts as they are created
+    createdRouter(call, scope);
+    if (name === 'Use' || name === 'Pre') {
+      args.forEach(arg => {
+        routing.uses.push({ router, path: '', args: [{ reference: null, name: describeExpression(arg) || '(inline)' }], node: call });
+      });
+      return;
+    }
+    
+    const framework = frameworks.get(router);
+    if (framework === 'net/http') {
+      readServeMuxCall(router, name, args, call, scope);
+    } else if (framework === 'chi') {
+      readChiCall(router, name, args, call, scope);
+    } else if (framework === 'gin') {
+      readGinCall(router, name, args, call, scope);
+    } else if (framework === 'echo') {
+      readEchoCall(router, name, args, call, scope);
+    }
+  };
+  
+  // Bind the names a declaration or assignment gives values to, with their types
+  const bind = (names, values, scope, declare, declaredType = null) => {
+    names.forEach((name, index) => {
+      const router = values.length === names.length ? routerOf(values[index], scope) : null;
+      const type = typeReference(declaredType) || (values.length === names.length ? typeReference(values[index]) : null);
+      if (name.type === 'selector_expression') {
+        if (router) {
+          fieldRouters.set(name.text, router);
+        }
+        return;
+      }
+      if (name.type !== 'identifier' || name.text === '_') {
+        return;
+      }
+      if (declare) {
+        scope.vars.set(name.text, router);
+        scope.types.set(name.text, type);
+      } else if (router || type) {
+        // Assignment updates the variable where it was declared
+        let current = scope;
+        while (current.parent && !current.vars.has(name.text)) {
+          current = current.parent;
+        }
+        if (router) {
+          current.vars.set(name.text, router);
+        }
+        if (type) {
+          current.types.set(name.text, type);
+        }
+      }
+    });
+  };
+  
+  const expressions = node => (node ? (node.type === 'expression_list' ? node.namedChildren : [node]) : []);
+  
+  // Walk the tree with the variables in scope; functionName is the enclosing
+  // top-level function, for the router it returns
+  const visit = (node, scope, functionName) => {
+    switch (node.type) {
+      case 'function_declaration':
+      case 'method_declaration':
+      case 'func_literal': {
+        const inner = { vars: new Map(), types: new Map(), parent: scope };
+        const parameterLists = [field(node, 'receiver'), field(node, 'parameters')].filter(Boolean);
+        parameterLists.forEach(list => list.namedChildren
+          .filter(child => child.type === 'parameter_declaration')
+          .forEach(parameter => {
+            const type = field(parameter, 'type');
+            const qualified = type && (type.type === 'pointer_type' ? type.namedChildren[0] : type);
+            const framework = qualified && qualified.type === 'qualified_type'
+              ? packageFramework(field(qualified, 'package'))
+              : null;
+            const isRouter = framework && ROUTER_TYPES[framework].includes(field(qualified, 'name').text);
+            parameter.namedChildren.filter(child => child.type === 'identifier').forEach(name => {
+              inner.vars.set(name.text, isRouter ? addRouter(localName(name), framework) : null);
+              inner.types.set(name.text, isRouter ? null : typeReference(type));
+            });
+          }));
+        const name = node.type === 'function_declaration' ? field(node, 'name').text : null;
+        if (name) {
+          // A function given a router adds its routes to it
+          const routerParameter = Array.from(inner.vars.values()).find(Boolean);
+          if (routerParameter) {
+            functionRouters.set(name, routerParameter);
+          }
+        }
+        const body = field(node, 'body');
+        if (body) {
+          visit(body, inner, name);
+        }
+        return;
+      }
+      case 'block': {
+        const inner = { vars: new Map(), types: new Map(), parent: scope };
+        node.namedChildren.forEach(child => visit(child, inner, functionName));
+        return;
+      }
+      case 'short_var_declaration':
+      case 'assignment_statement': {
+        const values = expressions(field(node, 'right'));
+        values.forEach(value => visit(value, scope, functionName));
+        bind(expressions(field(node, 'left')), values, scope, node.type === 'short_var_declaration');
+        return;
+      }
+      case 'var_spec': {
+        const values = expressions(field(node, 'value'));
+        values.forEach(value => visit(value, scope, functionName));
+        bind(node.namedChildren.filter(child => child.type === 'identifier'), values, scope, true, field(node, 'type'));
+        return;
+      }
+      case 'return_statement': {
+        node.namedChildren.forEach(child => visit(child, scope, functionName));
+        const returned = expressions(node.namedChildren[0]).map(value => routerOf(value, scope)).find(Boolean);
+        if (functionName && returned) {
+          functionRouters.set(functionName, returned);
+        }
+        return;
+      }
+      case 'call_expression':
+        readCall(node, scope);
+        break;
+      default:
+        break;
+    }
+    node.namedChildren.forEach(child => visit(child, scope, functionName));
+  };
+  
+  const fileScope = { vars: new Map(), types: new Map(), parent: null };
+  visit(root, fileScope, null);
+  
+  // Package-level routers and the routers of functions are what other files reach
+  fileScope.vars.forEach((router, name) => {
+    if (router) {
+      routing.exports[name] = router;
+    }
+  });
+  functionRouters.forEach((router, name) => {
+    routing.exports[name] = router;
+  });
+  // Functions of this file resolve here; the others belong to the rest of the package
+  pendingCalls.forEach(reference => {
+    if (Object.prototype.hasOwnProperty.call(routing.exports, reference.local)) {
+      reference.local = routing.exports[reference.local];
+    }
+  });
+  
+  return routing;
+}
+
+module.exports = {
+  extractRoutes
+};
@@ -0,0 +1,177 @@
+// HTTP route extraction for Java: Spring MVC controllers (@RequestMapping and the
+// @GetMapping family) and JAX-RS resources (@Path with @GET and friends). Each
+// controller class is a router whose prefix is its class-level path.
+
+// Spring shortcut annotations and the method each one maps
+const SPRING_MAPPINGS = {
+  GetMapping: 'GET',
+  PostMapping: 'POST',
+  PutMapping: 'PUT',
+  DeleteMapping: 'DELETE',
+  PatchMapping: 'PATCH'
+};
+
+const JAXRS_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+// Annotations that guard a handler, shown as its middleware
+const SECURITY_ANNOTATIONS = ['PreAuthorize', 'PostAuthorize', 'Secured', 'RolesAllowed', 'PermitAll', 'DenyAll'];
+
+// Longest text kept for a middleware annotation
+const MAX_EXPRESSION_LENGTH = 40;
+
+function field(node, name) {
+  return node.childForFieldName ? node.childForFieldName(name) : null;
+}
+
+// Every node of the tree, parents first
+function* walk(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+}
+
+// Strings of a string literal or an array of them; constants are not followed
+function readStrings(node) {
+  if (!node) {
+    return [];
+  }
+  if (node.type === 'string_literal') {
+    return [node.text.slice(1, -1)];
+  }
+  if (node.type === 'element_value_array_initializer') {
+    return node.namedChildren.flatMap(readStrings);
+  }
+  return [];
+}
+
+// Annotations of a declaration: name, a lone argument as value, and named elements
+function annotationsOf(declaration) {
+  const modifiers = declaration.namedChildren.find(child => child.type === 'modifiers');
+  return (modifiers ? modifiers.namedChildren : [])
+    .filter(child => child.type === 'annotation' || child.type === 'marker_annotation')
+    .map(annotation => {
+      const args = field(annotation, 'arguments');
+      const elements = {};
+      (args ? args.namedChildren : []).forEach(arg => {
+        if (arg.type === 'element_value_pair') {
+          elements[field(arg, 'key').text] = field(arg, 'value');
+        } else if (arg.type !== 'comment') {
+          elements.value = arg;
+        }
+      });
+      return { name: field(annotation, 'name').text.split('.').pop(), elements, node: annotation };
+    });
+}
+
+// Paths given to a mapping annotation; an annotation without one maps ''
+function mappingPaths(annotation) {
+  const paths = readStrings(annotation.elements.value || annotation.elements.path);
+  return paths.length > 0 ? paths : [''];
+}
+
+function securityMiddleware(annotations) {
+  return annotations
+    .filter(annotation => SECURITY_ANNOTATIONS.includes(annotation.name))
+    .map(annotation => {
+      const text = annotation.node.text.replace(/\s+/g, ' ');
+      return text.length <= MAX_EXPRESSION_LENGTH ? text : `@${annotation.name}(…)`;
+    });
+}
+
+// Methods and paths a handler method is mapped to: Spring mappings, or a JAX-RS
+// method annotation with an optional @Path
+function readMapping(annotations) {
+  for (const annotation of annotations) {
+    if (SPRING_MAPPINGS[annotation.name]) {
+      return { methods: [SPRING_MAPPINGS[annotation.name]], paths: mappingPaths(annotation), framework: 'spring' };
+    }
+    if (annotation.name === 'RequestMapping') {
+      // method = RequestMethod.GET or {RequestMethod.GET, RequestMethod.POST}
+      const methodNode = annotation.elements.method;
+      const methods = methodNode
+        ? (methodNode.type === 'element_value_array_initializer' ? methodNode.namedChildren : [methodNode])
+          .map(method => method.text.split('.').pop())
+        : ['ALL'];
+      return { methods, paths: mappingPaths(annotation), framework: 'spring' };
+    }
+  }
+  
+  const methods = annotations.map(annotation => annotation.name).filter(name => JAXRS_METHODS.includes(name));
+  if (methods.length > 0) {
+    const pathAnnotation = annotations.find(annotation => annotation.name === 'Path');
+    return { methods, paths: pathAnnotation ? mappingPaths(pathAnnotation) : [''], framework: 'jaxrs' };
+  }
+  return null;
+}
+
+// Routes of a Spring controller or JAX-RS resource class, under a router named after the class
+function readController(classNode, routing) {
+  const annotations = annotationsOf(classNode);
+  const names = annotations.map(annotation => annotation.name);
+  const isSpring = names.includes('RestController') || names.includes('Controller');
+  const pathAnnotation = annotations.find(annotation =>
+    annotation.name === (isSpring ? 'RequestMapping' : 'Path'));
+  if (!isSpring && !pathAnnotation) {
+    return;
+  }
+  
+  const name = field(classNode, 'name').text;
+  const body = field(classNode, 'body');
+  const classMiddleware = securityMiddleware(annotations);
+  const prefixes = pathAnnotation ? mappingPaths(pathAnnotation) : [''];
+  
+  // A class mapped at several paths gets a router for each
+  prefixes.forEach((prefix, index) => {
+    const router = index === 0 ? name : `${name}#${index}`;
+    routing.routers.push({ id: router, prefix, framework: isSpring ? 'spring' : 'jaxrs' });
+    
+    (body ? body.namedChildren : []).filter(member => member.type === 'method_declaration').forEach(method => {
+      const methodAnnotations = annotationsOf(method);
+      const mapping = readMapping(methodAnnotations);
+      if (!mapping) {
+        return;
+      }
+      mapping.paths.forEach(path => {
+        mapping.methods.forEach(httpMethod => {
+          routing.routes.push({
+            router,
+            method: httpMethod.toUpperCase(),
+            path,
+            handler: `${name}.${field(method, 'name').text}`,
+            handlerReference: { local: name, member: field(method, 'name').text },
+            middleware: classMiddleware.concat(securityMiddleware(methodAnnotations)),
+            framework: mapping.framework,
+            node: method
+          });
+        });
+      });
+    });
+  });
+}
+
+// Extract the HTTP routes of a file. A JAX-RS @ApplicationPath puts every resource
+// under its path.
+function extractRoutes(tree) {
+  const routing = { routers: [], routes: [], uses: [], exports: {}, imported: [], globalPrefix: null };
+  
+  for (const node of walk(tree.rootNode)) {
+    if (node.type !== 'class_declaration') continue;
+    
+    readController(node, routing);
+    const applicationPath = annotationsOf(node).find(annotation => annotation.name === 'ApplicationPath');
+    if (applicationPath) {
+      routing.globalPrefix = { framework: 'jaxrs', path: mappingPaths(applicationPath)[0] };
+    }
+  }
+  
+  return routing;
+}
+
+module.exports = {
+  extractRoutes
+};
@@ -0,0 +1,656 @@
+// HTTP route extraction for JavaScript and TypeScript: Express and Koa routers,
+// Fastify instances and plugins, and NestJS controllers. Routes and mounts hang off
+// routers, named by the variable holding them; the mounted paths are put together
+// across files once every file has been read.
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'all'];
+
+// Calls and constructors that create an application or a router, and their framework
+const ROUTER_FACTORIES = {
+  'express': 'express',
+  'express.Router': 'express',
+  'Router': 'express',
+  'fastify': 'fastify',
+  'Fastify': 'fastify',
+  'Koa': 'koa',
+  'KoaRouter': 'koa'
+};
+
+// Receivers taken for routers without a factory call in sight, like plugin parameters
+const ROUTER_NAMES = /^(?:app|server|fastify|instance|api)$|(?:router|routes)$/i;
+
+// Framework a file uses when its routers come from elsewhere, by imported package
+const FRAMEWORK_PACKAGES = [
+  [/^fastify/, 'fastify'],
+  [/^(?:koa|@koa\/)/, 'koa'],
+  [/^express/, 'express']
+];
+
+// NestJS method decorators
+const NEST_METHODS = ['Get', 'Post', 'Put', 'Delete', 'Patch', 'Head', 'Options', 'All'];
+
+// NestJS decorators that put guards, interceptors, pipes or filters in front of handlers
+const NEST_MIDDLEWARE = ['UseGuards', 'UseInterceptors', 'UsePipes', 'UseFilters'];
+
+// Fastify route options holding hooks that run before the handler
+const FASTIFY_HOOKS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+
+const FUNCTION_TYPES = ['function_declaration', 'function_expression', 'function', 'arrow_function',
+  'method_definition', 'generator_function_declaration', 'generator_function'];
+
+// Longest text kept for a middleware or handler expression
+const MAX_EXPRESSION_LENGTH = 40;
+
+function field(node, name) {
+  return node.childForFieldName ? node.childForFieldName(name) : null;
+}
+
+// Every node of the tree, parents first
+function* walk(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+}
+
+// Text of a string or template literal without substitutions, or null
+function readString(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'string') {
+    return node.text.slice(1, -1);
+  }
+  if (node.type === 'template_string' && !node.namedChildren.some(child => child.type === 'template_substitution')) {
+    return node.text.slice(1, -1);
+  }
+  return null;
+}
+
+function argumentsOf(call) {
+  const args = field(call, 'arguments');
+  return args ? args.namedChildren.filter(child => child.type !== 'comment') : [];
+}
+
+// Value of a property of an object literal
+function propertyValue(objectNode, key) {
+  const pair = objectNode.namedChildren.find(child => child.type === 'pair' &&
+    field(child, 'key') && field(child, 'key').text.replace(/['"]/g, '') === key);
+  return pair ? field(pair, 'value') : null;
+}
+
+// Name of the callee of a call or new expression, e.g. express.Router
+function calleeName(node) {
+  const callee = node.type === 'new_expression' ? field(node, 'constructor') : field(node, 'function');
+  return callee ? callee.text.replace(/\s+/g, '') : '';
+}
+
+// Identifiers declared by a parameter list, or by the single parameter of an arrow function
+function parameterNames(params) {
+  if (!params) {
+    return [];
+  }
+  if (params.type === 'identifier') {
+    return [params];
+  }
+  return params.namedChildren.map(param => {
+    if (param.type === 'identifier') return param;
+    const pattern = field(param, 'pattern') || field(param, 'left');
+    return pattern && pattern.type === 'identifier' ? pattern : null;
+  }).filter(Boolean);
+}
+
+function functionParameters(fn) {
+  return parameterNames(field(fn, 'parameters') || field(fn, 'parameter'));
+}
+
+function localName(identifier) {
+  return `${identifier.text}@${identifier.startPosition.row + 1}:${identifier.startPosition.column + 1}`;
+}
+
+// Variable an identifier refers to: its name for module-level and undeclared
+// variables, name@line:column of the declaration for parameters and locals
+function bindingOf(identifier) {
+  const name = identifier.text;
+  for (let scope = identifier.parent; scope; scope = scope.parent) {
+    if (FUNCTION_TYPES.includes(scope.type)) {
+      const param = functionParameters(scope).find(id => id.text === name);
+      if (param) {
+        return localName(param);
+      }
+    } else if (scope.type === 'statement_block') {
+      for (const statement of scope.namedChildren) {
+        if (statement.type !== 'lexical_declaration' && statement.type !== 'variable_declaration') continue;
+        const declarator = statement.namedChildren.find(child =>
+          child.type === 'variable_declarator' && field(child, 'name') && field(child, 'name').text === name);
+        if (declarator) {
+          return localName(field(declarator, 'name'));
+        }
+      }
+    }
+  }
+  return name;
+}
+
+// Module specifier of require('x') or import('x')
+function requiredSource(node) {
+  if (node && node.type === 'call_expression' && ['require', 'import'].includes(calleeName(node))) {
+    return readString(argumentsOf(node)[0]);
+  }
+  return null;
+}
+
+// Local names bound by module-level imports and requires, each with the module and export
+function readImports(root) {
+  const imports = new Map();
+  
+  root.namedChildren.forEach(statement => {
+    if (statement.type === 'import_statement') {
+      const source = readString(field(statement, 'source'));
+      const clause = statement.namedChildren.find(child => child.type === 'import_clause');
+      if (!source || !clause) return;
+      clause.namedChildren.forEach(part => {
+        if (part.type === 'identifier') {
+          imports.set(part.text, { source, name: 'default' });
+        } else if (part.type === 'namespace_import') {
+          const alias = part.namedChildren.find(child => child.type === 'identifier');
+          if (alias) imports.set(alias.text, { source, name: '*' });
+        } else if (part.type === 'named_imports') {
+          part.namedChildren.filter(child => child.type === 'import_specifier').forEach(specifier => {
+            const name = field(specifier, 'name');
+            const alias = field(specifier, 'alias') || name;
+            imports.set(alias.text, { source, name: name.text });
+          });
+        }
+      });
+    } else if (statement.type === 'lexical_declaration' || statement.type === 'variable_declaration') {
+      statement.namedChildren.filter(child => child.type === 'variable_declarator').forEach(declarator => {
+        const name = field(declarator, 'name');
+        let value = field(declarator, 'value');
+        let exported = 'default';
+        // require('./x').router
+        if (value && value.type === 'member_expression') {
+          exported = field(value, 'property').text;
+          value = field(value, 'object');
+        }
+        const source = requiredSource(value);
+        if (!name || !source) return;
+        if (name.type === 'identifier') {
+          imports.set(name.text, { source, name: exported });
+        } else if (name.type === 'object_pattern') {
+          name.namedChildren.forEach(property => {
+            if (property.type === 'shorthand_property_identifier_pattern') {
+              imports.set(property.text, { source, name: property.text });
+            } else if (property.type === 'pair_pattern' && field(property, 'value').type === 'identifier') {
+              imports.set(field(property, 'value').text, { source, name: field(property, 'key').text });
+            }
+          });
+        }
+      });
+    }
+  });
+  
+  return imports;
+}
+
+// Local names of what the module exports, by export name ('default' for the default
+// export and module.exports)
+function readExports(root) {
+  const exported = {};
+  
+  for (const node of walk(root)) {
+    if (node.type === 'export_statement') {
+      const value = field(node, 'value');
+      const declaration = field(node, 'declaration');
+      if (value && value.type === 'identifier') {
+        exported.default = value.text;
+      } else if (declaration && ['lexical_declaration', 'variable_declaration'].includes(declaration.type)) {
+        declaration.namedChildren.forEach(declarator => {
+          const name = field(declarator, 'name');
+          if (name && name.type === 'identifier') exported[name.text] = name.text;
+        });
+      } else {
+        const clause = node.namedChildren.find(child => child.type === 'export_clause');
+        (clause ? clause.namedChildren : []).forEach(specifier => {
+          const name = field(specifier, 'name');
+          const alias = field(specifier, 'alias') || name;
+          if (name) exported[alias.text] = name.text;
+        });
+      }
+    } else if (node.type === 'assignment_expression') {
+      const left = field(node, 'left').text.replace(/\s+/g, '');
+      const right = field(node, 'right');
+      const property = left.match(/^(?:module\.)?exports\.(\w+)$/);
+      if (left === 'module.exports' && right.type === 'identifier') {
+        exported.default = right.text;
+      } else if (left === 'module.exports' && right.type === 'object') {
+        right.namedChildren.forEach(entry => {
+          if (entry.type === 'shorthand_property_identifier') {
+            exported[entry.text] = entry.text;
+          } else if (entry.type === 'pair' && field(entry, 'value').type === 'identifier') {
+            exported[field(entry, 'key').text] = field(entry, 'value').text;
+          }
+        });
+      } else if (property && right.type === 'identifier') {
+        exported[property[1]] = right.text;
+      }
+    }
+  }
+  
+  return exported;
+}
+
+// Function declared at the top of the module under a name: function plugin() {}
+// or const plugin = async () => {}
+function moduleFunction(root, name) {
+  for (const statement of root.namedChildren) {
+    const declaration = statement.type === 'export_statement' ? field(statement, 'declaration') : statement;
+    if (!declaration) continue;
+    if (declaration.type === 'function_declaration' && field(declaration, 'name').text === name) {
+      return declaration;
+    }
+    if (declaration.type === 'lexical_declaration' || declaration.type === 'variable_declaration') {
+      const declarator = declaration.namedChildren.find(child =>
+        child.type === 'variable_declarator' && field(child, 'name') && field(child, 'name').text === name);
+      const value = declarator && field(declarator, 'value');
+      if (value && FUNCTION_TYPES.includes(value.type)) {
+        return value;
+      }
+    }
+  }
+  return null;
+}
+
+// What an argument points to when it may be a router: a local variable, a plugin
+// function of the module, or an export of another module
+function readReference(node, imports) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'identifier') {
+    const binding = bindingOf(node);
+    if (binding === node.text && imports.has(node.text)) {
+      return { ...imports.get(node.text) };
+    }
+    // A named plugin registers its routes on its first parameter, like an inline one
+    let root = node;
+    while (root.parent) root = root.parent;
+    const plugin = binding === node.text ? moduleFunction(root, node.text) : null;
+    return plugin ? readReference(plugin, imports) : { local: binding };
+  }
+  if (node.type === 'await_expression') {
+    return readReference(node.namedChildren[0], imports);
+  }
+  if (node.type === 'call_expression') {
+    const source = requiredSource(node);
+    if (source) {
+      return { source, name: 'default' };
+    }
+    // Koa routers are mounted through router.routes()
+    const callee = field(node, 'function');
+    if (callee.type === 'member_expression' && field(callee, 'property').text === 'routes') {
+      return readReference(field(callee, 'object'), imports);
+    }
+  }
+  if (FUNCTION_TYPES.includes(node.type)) {
+    // An inline plugin registers its routes on its first parameter
+    const [param] = functionParameters(node);
+    return param ? { local: localName(param) } : null;
+  }
+  return null;
+}
+
+// Function a route handler names: an imported or local function, a function of an
+// imported module (users.list) or a method of a local class; null for anything else
+function handlerReference(node, imports) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'identifier') {
+    return imports.has(node.text) ? { ...imports.get(node.text) } : { local: node.text };
+  }
+  if (node.type === 'member_expression' && field(node, 'object').type === 'identifier') {
+    const object = field(node, 'object').text;
+    const member = field(node, 'property').text;
+    return imports.has(object) ? { source: imports.get(object).source, name: member } : { local: object, member };
+  }
+  return null;
+}
+
+// How a handler or middleware expression is shown: its source when short, the callee
+// of a long call, null for an inline function
+function describeExpression(node) {
+  if (FUNCTION_TYPES.includes(node.type)) {
+    return null;
+  }
+  const text = node.text.replace(/\s+/g, ' ');
+  if (text.length <= MAX_EXPRESSION_LENGTH) {
+    return text;
+  }
+  return node.type === 'call_expression' ? `${calleeName(node)}(…)` : `${text.slice(0, MAX_EXPRESSION_LENGTH - 1)}…`;
+}
+
+// Middleware names of handler arguments, with arrays of middleware spread out
+function describeMiddleware(nodes) {
+  return nodes.flatMap(node => (node.type === 'array' ? node.namedChildren : [node]))
+    .map(node => describeExpression(node) || '(inline)');
+}
+
+// Fastify hooks given in route options
+function readHooks(options) {
+  return FASTIFY_HOOKS.flatMap(hook => {
+    const value = propertyValue(options, hook);
+    return value ? describeMiddleware([value]) : [];
+  });
+}
+
+// Decorators of a class or method: its own decorator children, and for TypeScript
+// those just before it in the class body or export statement
+function decoratorsOf(node) {
+  const decorators = node.children.filter(child => child.type === 'decorator');
+  for (let sibling = node.previousSibling; sibling && sibling.type === 'decorator'; sibling = sibling.previousSibling) {
+    decorators.unshift(sibling);
+  }
+  if (node.parent && node.parent.type === 'export_statement') {
+    decorators.unshift(...node.parent.children.filter(child => child.type === 'decorator'));
+  }
+  
+  return decorators.map(decorator => {
+    const expression = decorator.namedChildren[0];
+    const isCall = expression && expression.type === 'call_expression';
+    return {
+      name: (isCall ? calleeName(expression) : decorator.text.slice(1)).split('.').pop(),
+      args: isCall ? argumentsOf(expression) : []
+    };
+  });
+}
+
+// Path given to a NestJS decorator: a string, the first of a list, or { path }
+function decoratorPath(args) {
+  const [first] = args;
+  if (!first) {
+    return '';
+  }
+  if (first.type === 'array') {
+    return readString(first.namedChildren[0]) || '';
+  }
+  if (first.type === 'object') {
+    return readString(propertyValue(first, 'path')) || '';
+  }
+  return readString(first) || '';
+}
+
+function nestMiddleware(decorators) {
+  return decorators
+    .filter(decorator => NEST_MIDDLEWARE.includes(decorator.name))
+    .flatMap(decorator => describeMiddleware(decorator.args));
+}
+
+// Routes of a NestJS controller class, under its router named after the class
+function readController(classNode, routing) {
+  const controller = decoratorsOf(classNode);
+  const controllerDecorator = controller.find(decorator => decorator.name === 'Controller');
+  const name = field(classNode, 'name');
+  const body = field(classNode, 'body');
+  if (!controllerDecorator || !name || !body) {
+    return;
+  }
+  
+  routing.routers.push({ id: name.text, prefix: decoratorPath(controllerDecorator.args), framework: 'nestjs' });
+  const classMiddleware = nestMiddleware(controller);
+  
+  body.namedChildren.filter(member => member.type === 'method_definition').forEach(method => {
+    const decorators = decoratorsOf(method);
+    const route = decorators.find(decorator => NEST_METHODS.includes(decorator.name));
+    if (!route) {
+      return;
+    }
+    routing.routes.push({
+      router: name.text,
+      method: route.name.toUpperCase(),
+      path: decoratorPath(route.args),
+      handler: `${name.text}.${field(method, 'name').text}`,
+      handlerReference: { local: name.text, member: field(method, 'name').text },
+      middleware: classMiddleware.concat(nestMiddleware(decorators)),
+      framework: 'nestjs',
+      node: method
+    });
+  });
+}
+
+// Receiver of a route call when it is a router: app.get(...), or the router of
+// app.route('/users').get(...) with the path given to route()
+function readRouteReceiver(member, routerNames) {
+  let object = field(member, 'object');
+  let path = null;
+  
+  // Skip the earlier methods of a chain: route('/x').get(a).post(b)
+  while (object.type === 'call_expression' && field(object, 'function').type === 'member_expression' &&
+         HTTP_METHODS.includes(field(field(object, 'function'), 'property').text)) {
+    object = field(field(object, 'function'), 'object');
+  }
+  if (object.type === 'call_expression' && field(object, 'function').type === 'member_expression' &&
+      field(field(object, 'function'), 'property').text === 'route') {
+    path = readString(argumentsOf(object)[0]);
+    if (path === null) {
+      return null;
+    }
+    object = field(field(object, 'function'), 'object');
+  }
+  
+  if (object.type !== 'identifier') {
+    return null;
+  }
+  const binding = bindingOf(object);
+  return routerNames.has(binding) || ROUTER_NAMES.test(object.text) ? { router: binding, path } : null;
+}
+
+// app.get('/users/:id', auth, handler), router.get('name', '/path', handler) for Koa
+// named routes, fastify.get('/x', { preHandler }, handler)
+function readMethodRoute(call, method, receiver, framework, imports, routing) {
+  const args = argumentsOf(call);
+  let path = receiver.path;
+  if (path === null) {
+    path = readString(args.shift());
+    if (path === null) {
+      return;
+    }
+    if (readString(args[0]) !== null) {
+      path = readString(args.shift());
+    }
+  }
+  
+  const options = args.filter(arg => arg.type === 'object');
+  const handlers = args.filter(arg => arg.type !== 'object');
+  if (handlers.length === 0) {
+    // app.get('env') reads a setting
+    return;
+  }
+  
+  routing.routes.push({
+    router: receiver.router,
+    method: method.toUpperCase(),
+    path,
+    handler: describeExpression(handlers[handlers.length - 1]),
+    handlerReference: handlerReference(handlers[handlers.length - 1], imports),
+    middleware: options.flatMap(readHooks).concat(describeMiddleware(handlers.slice(0, -1))),
+    framework,
+    node: call
+  });
+}
+
+// fastify.route({ method: ['GET', 'HEAD'], url: '/x', handler })
+function readRouteOptions(call, receiver, imports, routing) {
+  const [options] = argumentsOf(call);
+  if (!options || options.type !== 'object') {
+    return;
+  }
+  const path = readString(propertyValue(options, 'url') || propertyValue(options, 'path'));
+  const methodNode = propertyValue(options, 'method');
+  const handler = propertyValue(options, 'handler');
+  if (path === null || !methodNode) {
+    return;
+  }
+  
+  const methods = methodNode.type === 'array' ? methodNode.namedChildren.map(readString) : [readString(methodNode)];
+  methods.filter(Boolean).forEach(method => {
+    routing.routes.push({
+      router: receiver.router,
+      method: method.toUpperCase(),
+      path,
+      handler: handler ? describeExpression(handler) : null,
+      handlerReference: handlerReference(handler, imports),
+      middleware: readHooks(options),
+      framework: 'fastify',
+      node: call
+    });
+  });
+}
+
+// app.use('/api', auth, usersRouter), app.use(router.routes()), fastify.register(plugin,
+// { prefix }) and fastify.addHook('preHandler', hook). Which arguments are routers is
+// only known once the files they come from have been read.
+function readUse(call, property, receiver, imports, routing) {
+  const args = argumentsOf(call);
+  let path = '';
+  
+  if (property === 'addHook') {
+    if (!FASTIFY_HOOKS.includes(readString(args[0])) || !args[1]) return;
+    routing.uses.push({ router: receiver.router, path, args: [{ reference: null, name: describeExpression(args[1]) || '(inline)' }], node: call });
+    return;
+  }
+  
+  if (property === 'register') {
+    const options = args[1] && args[1].type === 'object' ? args[1] : null;
+    path = (options && readString(propertyValue(options, 'prefix'))) || '';
+    args.splice(1);
+  } else if (readString(args[0]) !== null) {
+    path = readString(args.shift());
+  }
+  
+  const entries = args
+    .flatMap(arg => (arg.type === 'array' ? arg.namedChildren : [arg]))
+    // router.allowedMethods() only answers OPTIONS and 405s
+    .filter(arg => !(arg.type === 'call_expression' && /\.allowedMethods$/.test(calleeName(arg))))
+    .map(arg => ({ reference: readReference(arg, imports), name: describeExpression(arg) || '(inline)' }));
+  if (entries.length > 0) {
+    routing.uses.push({ router: receiver.router, path, args: entries, node: call });
+  }
+}
+
+// Extract the HTTP routes of a file, with the routers they belong to, the routers and
+// middleware mounted on them, and the local names of the module's exports
+function extractRoutes(tree) {
+  const root = tree.rootNode;
+  const imports = readImports(root);
+  const routing = { routers: [], routes: [], uses: [], exports: readExports(root), imported: [], globalPrefix: null };
+  
+  const packages = Array.from(imports.values()).map(entry => entry.source)
+    .concat(root.namedChildren.filter(node => node.type === 'import_statement').map(node => readString(field(node, 'source'))));
+  // Unknown for plugins that only receive their router; the mount decides then
+  const fileFramework = (FRAMEWORK_PACKAGES.find(([pattern]) => packages.some(source => source && pattern.test(source))) || [null, null])[1];
+  
+  // Routers created in the file, with their framework and Koa prefix
+  const frameworks = new Map();
+  for (const node of walk(root)) {
+    if (node.type !== 'variable_declarator' || !field(node, 'name') || field(node, 'name').type !== 'identifier') continue;
+    const value = field(node, 'value');
+    if (!value || !['call_expression', 'new_expression'].includes(value.type)) continue;
+    
+    const callee = calleeName(value);
+    let framework = ROUTER_FACTORIES[callee];
+    // const fastify = require('fastify')()
+    const required = requiredSource(field(value, 'function'));
+    if (required) {
+      framework = (FRAMEWORK_PACKAGES.find(([pattern]) => pattern.test(required)) || [])[1];
+    }
+    if (callee === 'Router' && value.type === 'new_expression') {
+      framework = 'koa';
+    }
+    if (!framework && imports.has(callee)) {
+      // import Router from '@koa/router', const fastify = require('fastify')
+      const source = imports.get(callee).source;
+      framework = (FRAMEWORK_PACKAGES.find(([pattern]) => pattern.test(source)) || [])[1];
+    }
+    if (!framework) continue;
+    
+    const id = bindingOf(field(node, 'name'));
+    const [options] = argumentsOf(value);
+    const prefix = options && options.type === 'object' ? readString(propertyValue(options, 'prefix')) : null;
+    frameworks.set(id, framework);
+    routing.routers.push({ id, prefix: prefix || '', framework });
+  }
+  
+  const frameworkOf = router => frameworks.get(router) || fileFramework;
+  const routerNames = new Set(frameworks.keys());
+  
+  for (const node of walk(root)) {
+    if (node.type === 'class_declaration') {
+      readController(node, routing);
+      continue;
+    }
+    if (node.type !== 'call_expression') continue;
+    
+    const callee = field(node, 'function');
+    
+    // require('./routes')(app) and registerRoutes(app) with an imported function
+    if (callee.type === 'call_expression' || (callee.type === 'identifier' && imports.has(callee.text))) {
+      const reference = readReference(callee, imports);
+      const router = argumentsOf(node).find(arg => arg.type === 'identifier' &&
+        (routerNames.has(bindingOf(arg)) || ROUTER_NAMES.test(arg.text)));
+      // A null name keeps the call from passing for middleware when it mounts no routes
+      if (reference && reference.source && router) {
+        routing.uses.push({ router: bindingOf(router), path: '', args: [{ reference, name: null }], node });
+      }
+      continue;
+    }
+    if (callee.type !== 'member_expression') continue;
+    
+    const property = field(callee, 'property').text;
+    if (property === 'setGlobalPrefix') {
+      routing.globalPrefix = { framework: 'nestjs', path: readString(argumentsOf(node)[0]) };
+      continue;
+    }
+    if (property === 'prefix' && field(callee, 'object').type === 'identifier') {
+      // Koa router.prefix('/users')
+      const router = routing.routers.find(entry => entry.id === bindingOf(field(callee, 'object')));
+      const prefix = readString(argumentsOf(node)[0]);
+      if (router && prefix !== null) router.prefix = prefix;
+      continue;
+    }
+    
+    if (HTTP_METHODS.includes(property)) {
+      const receiver = readRouteReceiver(callee, routerNames);
+      if (receiver) readMethodRoute(node, property, receiver, frameworkOf(receiver.router), imports, routing);
+    } else if (property === 'route' || ['use', 'register', 'addHook'].includes(property)) {
+      const object = field(callee, 'object');
+      if (object.type !== 'identifier') continue;
+      const binding = bindingOf(object);
+      if (!routerNames.has(binding) && !ROUTER_NAMES.test(object.text)) continue;
+      
+      if (property === 'route') {
+        readRouteOptions(node, { router: binding }, imports, routing);
+      } else {
+        readUse(node, property, { router: binding }, imports, routing);
+      }
+    }
+  }
+  
+  // Routers used here but created in another module: import app from './app'
+  const used = new Set(routing.routes.map(route => route.router).concat(routing.uses.map(use => use.router)));
+  used.forEach(router => {
+    if (imports.has(router) && !frameworks.has(router)) {
+      routing.imported.push({ router, reference: { ...imports.get(router) } });
+    }
+  });
+  
+  return routing;
+}
+
+module.exports = {
+  extractRoutes
+};
@@ -0,0 +1,485 @@
+// HTTP route extraction for Python: Flask apps and blueprints, FastAPI apps and
+// APIRouters, and Django urlpatterns. Routers are named by the variable holding
+// them, as for JavaScript; a urlpatterns list is a router of its own.
+
+// Decorator methods of Flask and FastAPI routers that name their HTTP method
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'trace'];
+
+// Decorator methods taking the HTTP methods as a methods= list
+const ROUTE_DECORATORS = ['route', 'api_route'];
+
+// Calls that create an application or a router, and their framework
+const ROUTER_FACTORIES = {
+  Flask: 'flask',
+  Blueprint: 'flask',
+  FastAPI: 'fastapi',
+  APIRouter: 'fastapi'
+};
+
+// Receivers taken for routers without a factory call in sight, like imported apps
+const ROUTER_NAMES = /^(?:app|api|application|router|bp|blueprint)$|_(?:app|bp|blueprint|router)$/i;
+
+// Framework a file uses when its routers come from elsewhere, by imported package
+const FRAMEWORK_PACKAGES = [
+  [/^flask/, 'flask'],
+  [/^fastapi/, 'fastapi']
+];
+
+// Django URL pattern functions (url() before Django 4)
+const URL_FUNCTIONS = ['path', 're_path', 'url'];
+
+// Decorators and calls that add middleware to every route of a router
+const HOOK_DECORATORS = ['before_request', 'middleware'];
+
+// Longest text kept for a middleware or handler expression
+const MAX_EXPRESSION_LENGTH = 40;
+
+function field(node, name) {
+  return node.childForFieldName ? node.childForFieldName(name) : null;
+}
+
+// Every node of the tree, parents first
+function* walk(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+}
+
+// Text of a string literal without interpolations, or null
+function readString(node) {
+  if (!node || node.type !== 'string' || node.namedChildren.some(child => child.type === 'interpolation')) {
+    return null;
+  }
+  return node.namedChildren
+    .filter(child => child.type === 'string_content' || child.type === 'escape_sequence')
+    .map(child => child.text)
+    .join('');
+}
+
+// Positional and keyword arguments of a call
+function argumentsOf(call) {
+  const args = field(call, 'arguments');
+  const nodes = args ? args.namedChildren.filter(child => child.type !== 'comment') : [];
+  const keywords = {};
+  nodes.filter(node => node.type === 'keyword_argument').forEach(node => {
+    keywords[field(node, 'name').text] = field(node, 'value');
+  });
+  return { positional: nodes.filter(node => node.type !== 'keyword_argument'), keywords };
+}
+
+function calleeName(call) {
+  const callee = field(call, 'function');
+  return callee ? callee.text.replace(/\s+/g, '') : '';
+}
+
+// Name and strings of a list or tuple of string literals
+function readStrings(node) {
+  if (!node) {
+    return [];
+  }
+  if (node.type === 'list' || node.type === 'tuple') {
+    return node.namedChildren.map(readString).filter(value => value !== null);
+  }
+  const value = readString(node);
+  return value === null ? [] : [value];
+}
+
+function localName(node) {
+  return `${node.text}@${node.startPosition.row + 1}:${node.startPosition.column + 1}`;
+}
+
+// Identifiers a function binds: its parameters and the names it assigns, nested
+// functions and classes left out
+function functionBindings(fn) {
+  const bindings = [];
+  const params = field(fn, 'parameters');
+  (params ? params.namedChildren : []).forEach(param => {
+    const name = param.type === 'identifier' ? param : (field(param, 'name') || param.namedChildren.find(child => child.type === 'identifier'));
+    if (name && name.type === 'identifier') bindings.push(name);
+  });
+  
+  const stack = [field(fn, 'body')];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || node.type === 'function_definition' || node.type === 'class_definition') continue;
+    if (node.type === 'assignment' && field(node, 'left').type === 'identifier') {
+      bindings.push(field(node, 'left'));
+    }
+    stack.push(...node.namedChildren);
+  }
+  return bindings;
+}
+
+// Variable an identifier refers to: its name for module-level variables,
+// name@line:column of the first binding for those of a function
+function bindingOf(identifier) {
+  for (let scope = identifier.parent; scope; scope = scope.parent) {
+    if (scope.type === 'function_definition') {
+      const binding = functionBindings(scope).find(name => name.text === identifier.text);
+      if (binding) {
+        return localName(binding);
+      }
+    }
+  }
+  return identifier.text;
+}
+
+// Module a name imported from another one refers to when it is a module itself:
+// from .routers import items -> .routers.items
+function submodule(source, name) {
+  return source.endsWith('.') ? `${source}${name}` : `${source}.${name}`;
+}
+
+// Local names bound by module-level imports, each with the module and imported name
+// ('*' for modules imported as a whole)
+function readImports(root) {
+  const imports = new Map();
+  
+  root.namedChildren.forEach(statement => {
+    if (statement.type === 'import_from_statement') {
+      const source = field(statement, 'module_name').text;
+      statement.children.filter(child => child.type === 'dotted_name' || child.type === 'aliased_import')
+        .filter(child => child !== field(statement, 'module_name'))
+        .forEach(child => {
+          const name = child.type === 'aliased_import' ? field(child, 'name').text : child.text;
+          const alias = child.type === 'aliased_import' ? field(child, 'alias').text : child.text;
+          imports.set(alias, { source, name });
+        });
+    } else if (statement.type === 'import_statement') {
+      statement.namedChildren.filter(child => child.type === 'aliased_import').forEach(child => {
+        imports.set(field(child, 'alias').text, { source: field(child, 'name').text, name: '*' });
+      });
+    }
+  });
+  
+  return imports;
+}
+
+// What an argument points to when it may be a router: a local variable, a router of an
+// imported module (users.router), or a module given by name as Django's include() takes it
+function readReference(node, imports) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'identifier') {
+    const binding = bindingOf(node);
+    return binding === node.text && imports.has(node.text) ? { ...imports.get(node.text) } : { local: binding };
+  }
+  if (node.type === 'attribute' && field(node, 'object').type === 'identifier') {
+    const imported = imports.get(field(node, 'object').text);
+    if (imported) {
+      const source = imported.name === '*' ? imported.source : submodule(imported.source, imported.name);
+      return { source, name: field(node, 'attribute').text };
+    }
+  }
+  return null;
+}
+
+// Function or view class a view expression names, reading View.as_view() as the class
+function handlerReference(node, imports) {
+  if (node.type === 'call' && field(node, 'function').type === 'attribute' &&
+      field(field(node, 'function'), 'attribute').text === 'as_view') {
+    return readReference(field(field(node, 'function'), 'object'), imports);
+  }
+  return node.type === 'identifier' || node.type === 'attribute' ? readReference(node, imports) : null;
+}
+
+// How a handler or middleware expression is shown: its source when short, the callee
+// of a long call, with Django's View.as_view() shown as the view class
+function describeExpression(node) {
+  if (node.type === 'lambda') {
+    return null;
+  }
+  const text = node.text.replace(/\s+/g, ' ').replace(/\.as_view\(.*\)$/, '');
+  if (text.length <= MAX_EXPRESSION_LENGTH) {
+    return text;
+  }
+  return node.type === 'call' ? `${calleeName(node)}(…)` : `${text.slice(0, MAX_EXPRESSION_LENGTH - 1)}…`;
+}
+
+// FastAPI dependencies=[Depends(verify_token)] as middleware names
+function readDependencies(node) {
+  return node && node.type === 'list' ? node.namedChildren.map(describeExpression).filter(Boolean) : [];
+}
+
+// FastAPI status_code=201 or status_code=status.HTTP_201_CREATED, null otherwise
+function readStatusCode(node) {
+  const match = node ? node.text.match(/^(\d{3})$|HTTP_(\d{3})\w*$/) : null;
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+// Whether an identifier names a router: created by a factory in the file, or named like one
+function isRouter(identifier, routerNames) {
+  return identifier.type === 'identifier' && (routerNames.has(bindingOf(identifier)) || ROUTER_NAMES.test(identifier.text));
+}
+
+// @app.route('/users', methods=['GET', 'POST']), @router.get('/items/{id}'),
+// with the other decorators of the function as its middleware
+function readDecoratedRoutes(definition, routerNames, frameworkOf, routing) {
+  const functionNode = field(definition, 'definition');
+  if (!functionNode || functionNode.type !== 'function_definition') {
+    return;
+  }
+  const decorators = definition.namedChildren.filter(child => child.type === 'decorator');
+  const handler = field(functionNode, 'name').text;
+  
+  const routes = [];
+  const middleware = [];
+  decorators.forEach(decorator => {
+    const expression = decorator.namedChildren[0];
+    const callee = expression && expression.type === 'call' ? field(expression, 'function') : expression;
+    
+    if (callee && callee.type === 'attribute' && isRouter(field(callee, 'object'), routerNames)) {
+      const router = bindingOf(field(callee, 'object'));
+      const method = field(callee, 'attribute').text;
+      
+      if (expression.type === 'call' && (HTTP_METHODS.includes(method) || ROUTE_DECORATORS.includes(method))) {
+        const { positional, keywords } = argumentsOf(expression);
+        const path = readString(positional[0] || keywords.path || keywords.rule);
+        if (path === null) return;
+        const methods = HTTP_METHODS.includes(method) ? [method] : readStrings(keywords.methods);
+        routes.push({
+          router,
+          path,
+          methods: methods.length > 0 ? methods : ['GET'],
+          dependencies: readDependencies(keywords.dependencies),
+          status: readStatusCode(keywords.status_code)
+        });
+        return;
+      }
+      if (HOOK_DECORATORS.includes(method)) {
+        routing.uses.push({ router, path: '', args: [{ reference: null, name: handler }], node: definition });
+        return;
+      }
+    }
+    middleware.push(describeExpression(expression));
+  });
+  
+  routes.forEach(route => {
+    route.methods.forEach(method => {
+      routing.routes.push({
+        router: route.router,
+        method: method.toUpperCase(),
+        path: route.path,
+        handler,
+        handlerReference: { local: handler },
+        middleware: route.dependencies.concat(middleware),
+        framework: frameworkOf(route.router),
+        ...(route.status ? { status: route.status } : {}),
+        node: definition
+      });
+    });
+  });
+}
+
+// Calls on a router: add_url_rule(), register_blueprint(), include_router(), mount()
+// and add_middleware()
+function readRouterCall(call, routerNames, frameworkOf, imports, routing) {
+  const callee = field(call, 'function');
+  if (callee.type !== 'attribute' || !isRouter(field(callee, 'object'), routerNames)) {
+    return;
+  }
+  const router = bindingOf(field(callee, 'object'));
+  const { positional, keywords } = argumentsOf(call);
+  
+  switch (field(callee, 'attribute').text) {
+    case 'add_url_rule': {
+      const path = readString(positional[0] || keywords.rule);
+      const view = keywords.view_func || positional[2];
+      if (path === null || !view) return;
+      const methods = readStrings(keywords.methods);
+      (methods.length > 0 ? methods : ['GET']).forEach(method => {
+        routing.routes.push({
+          router,
+          method: method.toUpperCase(),
+          path,
+          handler: describeExpression(view),
+          handlerReference: handlerReference(view, imports),
+          middleware: [],
+          framework: frameworkOf(router),
+          node: call
+        });
+      });
+      break;
+    }
+    case 'register_blueprint':
+    case 'include_router': {
+      const target = positional[0];
+      const path = readString(keywords.url_prefix || keywords.prefix) || '';
+      if (target) {
+        routing.uses.push({
+          router,
+          path,
+          args: [{ reference: readReference(target, imports), name: null }],
+          middleware: readDependencies(keywords.dependencies),
+          // Flask registers a blueprint at the url_prefix given here instead of its own
+          replacesPrefix: Boolean(keywords.url_prefix),
+          node: call
+        });
+      }
+      break;
+    }
+    case 'mount': {
+      // app.mount('/v1', v1_app) for a sub-application; static files mount no routes
+      const path = readString(positional[0]);
+      if (path !== null && positional[1]) {
+        routing.uses.push({ router, path, args: [{ reference: readReference(positional[1], imports), name: null }], node: call });
+      }
+      break;
+    }
+    case 'add_middleware':
+      if (positional[0]) {
+        routing.uses.push({ router, path: '', args: [{ reference: null, name: describeExpression(positional[0]) }], node: call });
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+// Lists of Django URL patterns in an expression: [...], [...] + [...]
+function patternLists(node) {
+  if (!node) {
+    return [];
+  }
+  if (node.type === 'list') {
+    return [node];
+  }
+  if (node.type === 'binary_operator') {
+    return patternLists(field(node, 'left')).concat(patternLists(field(node, 'right')));
+  }
+  return [];
+}
+
+// Django path('users/<int:pk>/', views.detail) and include() entries of a pattern list.
+// Django routes accept any method, and re_path() regular expressions lose their anchors.
+function readUrlPatterns(list, router, imports, routing) {
+  list.namedChildren.forEach(entry => {
+    if (entry.type !== 'call' || !URL_FUNCTIONS.includes(calleeName(entry).split('.').pop())) {
+      return;
+    }
+    const { positional, keywords } = argumentsOf(entry);
+    let path = readString(positional[0] || keywords.route);
+    const view = positional[1] || keywords.view;
+    if (path === null || !view) {
+      return;
+    }
+    if (calleeName(entry) !== 'path') {
+      path = path.replace(/^\^/, '').replace(/\$$/, '');
+    }
+    
+    if (view.type === 'call' && calleeName(view).split('.').pop() === 'include') {
+      let target = argumentsOf(view).positional[0];
+      // include((patterns, 'app_name'))
+      if (target && target.type === 'tuple') {
+        target = target.namedChildren[0];
+      }
+      if (!target) return;
+      
+      let reference;
+      if (target.type === 'list') {
+        reference = { local: localName(target) };
+        readUrlPatterns(target, reference.local, imports, routing);
+      } else if (readString(target) !== null) {
+        reference = { source: readString(target), name: 'urlpatterns' };
+      } else if (target.type === 'identifier' && imports.has(target.text)) {
+        // A urls module imported by name: from blog import urls as blog_urls
+        const imported = imports.get(target.text);
+        const source = imported.name === '*' ? imported.source : submodule(imported.source, imported.name);
+        reference = { source, name: 'urlpatterns' };
+      } else {
+        reference = readReference(target, imports);
+      }
+      routing.uses.push({ router, path, args: [{ reference, name: null }], node: entry });
+      return;
+    }
+    
+    routing.routes.push({
+      router,
+      method: 'ALL',
+      path,
+      handler: describeExpression(view),
+      handlerReference: handlerReference(view, imports),
+      middleware: [],
+      framework: 'django',
+      node: entry
+    });
+  });
+}
+
+// Extract the HTTP routes of a file, with the routers they belong to, the routers and
+// middleware mounted on them, and the module-level routers other modules can import
+function extractRoutes(tree) {
+  const root = tree.rootNode;
+  const imports = readImports(root);
+  const routing = { routers: [], routes: [], uses: [], exports: {}, imported: [], globalPrefix: null };
+  
+  const packages = Array.from(imports.values()).map(entry => entry.source);
+  const fileFramework = (FRAMEWORK_PACKAGES.find(([pattern]) => packages.some(source => pattern.test(source))) || [])[1] || null;
+  
+  // Django URL pattern lists assigned at module level
+  root.namedChildren.forEach(statement => {
+    const assignment = statement.type === 'expression_statement' ? statement.namedChildren[0] : null;
+    if (!assignment || !['assignment', 'augmented_assignment'].includes(assignment.type) ||
+        field(assignment, 'left').type !== 'identifier') {
+      return;
+    }
+    const name = field(assignment, 'left').text;
+    patternLists(field(assignment, 'right')).forEach(list => readUrlPatterns(list, name, imports, routing));
+    if (name === 'urlpatterns' || routing.routes.some(route => route.router === name) || routing.uses.some(use => use.router === name)) {
+      routing.exports[name] = name;
+    }
+  });
+  
+  // Routers created in the file, with their framework, prefix and router-wide dependencies
+  const frameworks = new Map();
+  for (const node of walk(root)) {
+    if (node.type !== 'assignment' || field(node, 'left').type !== 'identifier') continue;
+    const value = field(node, 'right');
+    if (!value || value.type !== 'call') continue;
+    
+    const framework = ROUTER_FACTORIES[calleeName(value).split('.').pop()];
+    if (!framework) continue;
+    
+    const id = bindingOf(field(node, 'left'));
+    const { keywords } = argumentsOf(value);
+    frameworks.set(id, framework);
+    routing.routers.push({ id, prefix: readString(keywords.url_prefix || keywords.prefix) || '', framework });
+    if (id === field(node, 'left').text) {
+      routing.exports[id] = id;
+    }
+    readDependencies(keywords.dependencies).forEach(name => {
+      routing.uses.push({ router: id, path: '', args: [{ reference: null, name }], node });
+    });
+  }
+  
+  const frameworkOf = router => frameworks.get(router) || fileFramework;
+  const routerNames = new Set(frameworks.keys());
+  
+  for (const node of walk(root)) {
+    if (node.type === 'decorated_definition') {
+      readDecoratedRoutes(node, routerNames, frameworkOf, routing);
+    } else if (node.type === 'call') {
+      readRouterCall(node, routerNames, frameworkOf, imports, routing);
+    }
+  }
+  
+  // Routers used here but created in another module, like a blueprint imported by its views
+  const used = new Set(routing.routes.map(route => route.router).concat(routing.uses.map(use => use.router)));
+  used.forEach(router => {
+    if (imports.has(router) && !frameworks.has(router)) {
+      routing.imported.push({ router, reference: { ...imports.get(router) } });
+    }
+  });
+  
+  return routing;
+}
+
+module.exports = {
+  extractRoutes
+};
@@ -0,0 +1,74 @@
+// Dependency graphs of small projects, with imports resolved the way each language does
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeRepository } = require('../repomap');
+
+function analyze(fixture, runOptions = {}) {
+  return analyzeRepository({ directory: path.join(__dirname, 'fixtures', 'imports', fixture), quiet: true, jobs: 1, ...runOptions });
+}
+
+// Dependencies of each node that has any, by node path
+function dependencies(model) {
+  return Object.fromEntries(Object.values(model.dependencyGraph)
+    .filter(node => node.dependencies.length > 0)
+    .map(node => [node.path, node.dependencies]));
+}
+
+test('javascript: tsconfig paths, index files, package imports and exports, require()', async () => {
+  const model = await analyze('javascript');
+  
+  assert.deepEqual(dependencies(model), {
+    'src/app.ts': [
+      'src/core/log.ts',
+      'src/utils/index.ts',
+      'src/config.ts',
+      'packages/ui/src/index.ts',
+      'packages/ui/src/button.ts',
+      'src/legacy.js'
+    ]
+  });
+});
+
+test('python: a src layout, relative imports and a namespace package', async () => {
+  const model = await analyze('python');
+  
+  assert.deepEqual(dependencies(model), {
+    'src/shop/api/views.py': [
+      'src/shop/services/billing.py',
+      'src/shop/__init__.py',
+      'src/shop/settings.py',
+      'src/shop/api/__init__.py',
+      'src/shop/api/serializers.py',
+      'src/shop/models.py'
+    ]
+  });
+});
+
+test('go: packages of the module and of a replaced module, from grouped imports', async () => {
+  const model = await analyze('go');
+  
+  assert.deepEqual(dependencies(model), {
+    'cmd/server': ['internal/store', 'pkg/api'],
+    'internal/store': ['shared/util'],
+    'pkg/api': ['internal/store']
+  });
+  assert.deepEqual(model.dependencyGraph['internal/store'].files, ['internal/store/cache.go', 'internal/store/store.go']);
+});
+
+test('go: query extraction gives the same graph', async () => {
+  const model = await analyze('go', { extraction: 'query' });
+  
+  assert.deepEqual(dependencies(model), dependencies(await analyze('go')));
+});
+
+test('jvm: imports, wildcard imports and same-package classes the file mentions', async () => {
+  const model = await analyze('jvm');
+  const java = file => `src/main/java/com/acme/${file}`;
+  
+  assert.deepEqual(dependencies(model), {
+    [java('service/UserService.java')]: [java('model/User.java'), 'src/main/kotlin/com/acme/service/Billing.kt'],
+    [java('web/UserController.java')]: [java('model/User.java'), java('service/UserService.java'), java('web/WebConfig.java')],
+    'src/main/kotlin/com/acme/service/Billing.kt': [java('model/Order.java')]
+  });
+});
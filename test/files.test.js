@@ -0,0 +1,84 @@
+// Files an analysis reads: --include and --exclude globs, then ignore files
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeRepository } = require('../repomap');
+
+async function analyzedFiles(directory, runOptions = {}) {
+  const model = await analyzeRepository({ directory, quiet: true, jobs: 1, exclude: '', ...runOptions });
+  return model.files.map(file => file.path).sort();
+}
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'files');
+
+test('globs: brace alternatives and ** in --include', async () => {
+  assert.deepEqual(await analyzedFiles(FIXTURE, { include: 'src/**/*.{js,ts}' }), ['src/app.js', 'src/lib/util.ts']);
+  assert.deepEqual(await analyzedFiles(FIXTURE, { include: '{scripts,src}/*.js' }), ['scripts/build.js', 'src/app.js']);
+});
+
+test('globs: a negated pattern re-includes part of an excluded directory', async () => {
+  assert.deepEqual(await analyzedFiles(FIXTURE, { exclude: 'generated,vendor,!generated/public/**' }), [
+    'generated/public/api.js',
+    'scripts/build.js',
+    'src/app.js',
+    'src/lib/util.ts'
+  ]);
+});
+
+test('globs: excluded directories no negated pattern reaches into are not walked', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  await analyzedFiles(FIXTURE, { exclude: 'generated,vendor,!generated/public/**', debug: true });
+  const messages = log.mock.calls.map(call => call.arguments[0]);
+  
+  assert.ok(messages.includes('[DEBUG] Excluding directory vendor'));
+  assert.ok(!messages.includes('[DEBUG] Excluding directory generated'));
+});
+
+// A git work tree with ignore files at several levels, written for each test
+function ignoreFixture(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repomap-ignore-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const files = {
+    '.git/info/exclude': 'secret.js\n',
+    '.gitignore': 'generated/\n*.min.js\n',
+    '.ignore': '!app.min.js\n',
+    'sub/.repomapignore': 'local.js\n',
+    'app.js': '',
+    'app.min.js': '',
+    'lib.min.js': '',
+    'secret.js': '',
+    'local.js': '',
+    'generated/out.js': '',
+    'sub/local.js': '',
+    'sub/keep.js': ''
+  };
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+  return root;
+}
+
+test('ignore files: .git/info/exclude, .gitignore, .ignore overriding it and nested ignore files', async t => {
+  const root = ignoreFixture(t);
+  
+  assert.deepEqual(await analyzedFiles(root), ['app.js', 'app.min.js', 'local.js', 'sub/keep.js']);
+});
+
+test('ignore files: none of them apply with ignoreFiles off', async t => {
+  const root = ignoreFixture(t);
+  
+  assert.deepEqual(await analyzedFiles(root, { ignoreFiles: false }), [
+    'app.js',
+    'app.min.js',
+    'generated/out.js',
+    'lib.min.js',
+    'local.js',
+    'secret.js',
+    'sub/keep.js',
+    'sub/local.js'
+  ]);
+});
@@ -0,0 +1,12 @@
+var builder = WebApplication.CreateBuilder(args);
+var app = builder.Build();
+
+app.MapGet("/", () => "ok");
+app.MapGet("/todos/{id}", TodoHandlers.Get);
+
+app.Run();
+
+static class TodoHandlers
+{
+    public static string Get(int id) => id.ToString();
+}
@@ -0,0 +1,8 @@
+from django.urls import path, re_path
+
+from . import views
+
+urlpatterns = [
+    path('articles/<int:year>/', views.year_archive),
+    re_path(r'^archive/(?P<slug>[-\w]+)/$', views.archive),
+]
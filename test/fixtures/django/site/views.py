@@ -0,0 +1,6 @@
+def year_archive(request, year):
+    pass
+
+
+def archive(request, slug):
+    pass
@@ -0,0 +1,23 @@
+import express, { Request, Response } from 'express';
+
+interface User {
+  id: string;
+  name: string;
+}
+
+interface CreateUser {
+  name: string;
+}
+
+function createUser(req: Request<{}, User, CreateUser>, res: Response<User>) {
+  res.status(201).json({ id: '1', name: req.body.name });
+}
+
+function showUser(req: Request<{ id: string }>, res: Response<User>) {
+  res.json({ id: req.params.id, name: 'Ada' });
+}
+
+const app = express();
+app.post('/users', createUser);
+app.get('/users/:id', showUser);
+app.listen(3000);
@@ -0,0 +1,14 @@
+const express = require('express');
+const usersRouter = require('./routes/users');
+const { authenticate } = require('./middleware');
+
+const app = express();
+app.use('/api', authenticate, usersRouter);
+app.get('/', (req, res) => res.send('ok'));
+app.get('/health/', health);
+
+function health(req, res) {
+  res.send('up');
+}
+
+app.listen(3000);
@@ -0,0 +1,9 @@
+function list(req, res) {
+  res.json([]);
+}
+
+function show(req, res) {
+  res.json({ id: req.params.id });
+}
+
+module.exports = { list, show };
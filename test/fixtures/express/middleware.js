@@ -0,0 +1,5 @@
+function authenticate(req, res, next) {
+  next();
+}
+
+module.exports = { authenticate };
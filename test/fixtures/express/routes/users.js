@@ -0,0 +1,8 @@
+const express = require('express');
+const controller = require('../controllers/users');
+
+const router = express.Router();
+router.get('/users', controller.list);
+router.get('/users/:id', controller.show);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+from fastapi import FastAPI, status
+from pydantic import BaseModel
+
+app = FastAPI()
+
+
+class Item(BaseModel):
+    name: str
+    price: float
+
+
+@app.post('/items', status_code=201)
+def create_item(item: Item) -> Item:
+    return item
+
+
+@app.delete('/items/{item_id}', status_code=status.HTTP_204_NO_CONTENT)
+def delete_item(item_id: int):
+    pass
+
+
+@app.get('/items/{item_id}')
+def read_item(item_id: int) -> Item:
+    pass
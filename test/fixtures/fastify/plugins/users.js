@@ -0,0 +1,7 @@
+module.exports = async function users(fastify) {
+  fastify.get('/:id', show);
+};
+
+function show(request, reply) {
+  reply.send({ id: request.params.id });
+}
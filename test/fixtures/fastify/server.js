@@ -0,0 +1,18 @@
+const fastify = require('fastify')();
+
+async function localPlugin(instance) {
+  instance.get('/local', listLocal);
+}
+
+fastify.register(localPlugin, { prefix: '/loc' });
+fastify.register(require('./plugins/users'), { prefix: '/users' });
+fastify.register(async (app) => {
+  app.get('/inline', listInline);
+}, { prefix: '/v1' });
+fastify.get('/', home);
+
+function listLocal() {}
+function listInline() {}
+function home() {}
+
+fastify.listen({ port: 3001 });
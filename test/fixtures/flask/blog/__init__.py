@@ -0,0 +1,19 @@
+from flask import Flask, Blueprint
+
+bp = Blueprint('posts', __name__, url_prefix='/posts')
+
+
+@bp.route('/', methods=['GET', 'POST'])
+def index():
+    pass
+
+
+@bp.get('/<int:post_id>')
+def show(post_id):
+    pass
+
+
+def create_app():
+    app = Flask(__name__)
+    app.register_blueprint(bp, url_prefix='/api')
+    return app
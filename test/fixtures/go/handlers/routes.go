@@ -0,0 +1,12 @@
+package handlers
+
+import "github.com/go-chi/chi/v5"
+
+// Routes mounts the user endpoints on a chi router
+func Routes() chi.Router {
+	r := chi.NewRouter()
+	h := &UserHandler{}
+	r.Get("/users", ListUsers)
+	r.Get("/users/{id}", h.Get)
+	return r
+}
@@ -0,0 +1,9 @@
+package handlers
+
+import "net/http"
+
+func ListUsers(w http.ResponseWriter, r *http.Request) {}
+
+type UserHandler struct{}
+
+func (h *UserHandler) Get(w http.ResponseWriter, r *http.Request) {}
@@ -0,0 +1,14 @@
+package server
+
+import "github.com/gin-gonic/gin"
+
+// Server answers health checks on the gin engine it is given
+type Server struct {
+	name string
+}
+
+func (s *Server) Routes(r *gin.Engine) {
+	r.GET("/health", s.Health)
+}
+
+func (s *Server) Health(c *gin.Context) {}
@@ -0,0 +1,13 @@
+package main
+
+import (
+	"fmt"
+
+	"github.com/acme/svc/internal/store"
+	"github.com/acme/svc/pkg/api"
+	"github.com/gin-gonic/gin"
+)
+
+func main() {
+	fmt.Println(api.Handler(store.New()), gin.Version)
+}
@@ -0,0 +1,7 @@
+module github.com/acme/svc
+
+go 1.22
+
+require github.com/acme/shared v0.1.0
+
+replace github.com/acme/shared => ./shared
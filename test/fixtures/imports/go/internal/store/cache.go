@@ -0,0 +1,7 @@
+package store
+
+import "github.com/acme/shared/util"
+
+func (s *Store) Key(id string) string {
+	return util.Clean(id)
+}
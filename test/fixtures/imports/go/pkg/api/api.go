@@ -0,0 +1,7 @@
+package api
+
+import "github.com/acme/svc/internal/store"
+
+func Handler(s *store.Store) string {
+	return s.Key("id")
+}
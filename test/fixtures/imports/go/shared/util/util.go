@@ -0,0 +1,5 @@
+package util
+
+func Clean(value string) string {
+	return value
+}
@@ -0,0 +1,10 @@
+import express from 'express';
+import { log } from '@core/log';
+import { helpers } from './utils';
+import config from '#config';
+import { theme } from '@acme/ui';
+import { Button } from '@acme/ui/button';
+
+const legacy = require('./legacy');
+
+log(`${theme} ${config.port}`);
@@ -0,0 +1 @@
+export default { port: 3000 };
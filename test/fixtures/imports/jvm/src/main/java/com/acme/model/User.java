@@ -0,0 +1,9 @@
+package com.acme.model;
+
+public class User {
+    private final String id;
+
+    public User(String id) {
+        this.id = id;
+    }
+}
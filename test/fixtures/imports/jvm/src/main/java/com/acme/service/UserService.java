@@ -0,0 +1,11 @@
+package com.acme.service;
+
+import com.acme.model.User;
+
+public class UserService {
+    private final Billing billing = new Billing(null);
+
+    public User find(String id) {
+        return new User(id);
+    }
+}
@@ -0,0 +1,14 @@
+package com.acme.web;
+
+import com.acme.model.*;
+import com.acme.service.UserService;
+
+// Orders are listed elsewhere
+public class UserController {
+    private final UserService users = new UserService();
+    private final WebConfig config = new WebConfig();
+
+    public User show(String id) {
+        return users.find(id);
+    }
+}
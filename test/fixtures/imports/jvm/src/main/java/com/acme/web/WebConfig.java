@@ -0,0 +1,4 @@
+package com.acme.web;
+
+public class WebConfig {
+}
@@ -0,0 +1,5 @@
+package com.acme.service
+
+import com.acme.model.Order
+
+class Billing(val order: Order?)
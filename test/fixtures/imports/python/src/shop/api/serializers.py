@@ -0,0 +1,2 @@
+def serialize(order):
+    return vars(order)
@@ -0,0 +1,10 @@
+import requests
+import shop.services.billing
+from shop import settings
+from . import serializers
+from ..models import Order
+
+
+def show(order: Order):
+    shop.services.billing.charge(order)
+    return serializers.serialize(order)
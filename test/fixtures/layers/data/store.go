@@ -0,0 +1,5 @@
+package data
+
+func Find(id string) string {
+	return id
+}
@@ -0,0 +1,3 @@
+export function findUser(id: string) {
+  return { id };
+}
@@ -0,0 +1,11 @@
+package web
+
+import (
+	"fmt"
+
+	"example.com/app/data"
+)
+
+func Show(id string) string {
+	return fmt.Sprint(data.Find(id))
+}
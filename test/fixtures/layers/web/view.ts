@@ -0,0 +1,8 @@
+// Users come from '../data/users' for now
+import {
+  findUser
+} from '../data/users';
+
+export function show(id: string) {
+  return findUser(id);
+}
@@ -0,0 +1,7 @@
+const { readConfig } = require('./files');
+
+function main() {
+  return readConfig('app.json');
+}
+
+main();
@@ -0,0 +1,12 @@
+function readConfig(file) {
+  return { file };
+}
+
+/**
+ * Generate a summary of the config readConfig returns
+ */
+function generateSummary(config) {
+  return String(config.file);
+}
+
+module.exports = { readConfig, generateSummary };
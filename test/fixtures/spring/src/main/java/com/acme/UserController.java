@@ -0,0 +1,17 @@
+package com.acme;
+
+import org.springframework.web.bind.annotation.*;
+
+@RestController
+@RequestMapping("/users")
+public class UserController {
+    @GetMapping("/{id}")
+    public User show(@PathVariable Long id) {
+        return null;
+    }
+
+    @PostMapping
+    public User create(@RequestBody User user) {
+        return user;
+    }
+}
@@ -0,0 +1,12 @@
+import { Injectable } from '@nestjs/common';
+
+@Injectable()
+export class UserService {
+  find(id: string): string {
+    return id;
+  }
+}
+
+export function createService(): UserService {
+  return new UserService();
+}
@@ -0,0 +1,25 @@
+// Layering rules checked against the dependencies of each file
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeRepository } = require('../repomap');
+
+function analyze(runOptions = {}) {
+  return analyzeRepository({ directory: path.join(__dirname, 'fixtures', 'layers'), quiet: true, jobs: 1, layers: true, ...runOptions });
+}
+
+test('layers: violations at the line of the import, past comments naming the same module', async () => {
+  const model = await analyze();
+  
+  assert.deepEqual(model.layerViolations.map(violation => [violation.file, violation.line, violation.dependency]), [
+    ['web/handler.go', 6, 'data'],
+    ['web/view.ts', 4, 'data/users.ts']
+  ]);
+  assert.equal(model.layerViolations[0].message, 'Handlers go through services');
+});
+
+test('layers: query extraction records the same import lines', async () => {
+  const model = await analyze({ extraction: 'query' });
+  
+  assert.deepEqual(model.layerViolations, (await analyze()).layerViolations);
+});
@@ -0,0 +1,27 @@
+// Markdown repository map rendered from the analysis model
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeRepository, renderMarkdown } = require('../repomap');
+
+async function render(fixture) {
+  return renderMarkdown(await analyzeRepository({ directory: path.join(__dirname, 'fixtures', fixture), quiet: true, jobs: 1 }));
+}
+
+// Mermaid block of a section, up to its closing fence
+function diagramOf(markdown, heading) {
+  const section = markdown.slice(markdown.indexOf(`## ${heading}\n`));
+  return section.slice(section.indexOf('```mermaid'), section.indexOf('\n```\n') + 5);
+}
+
+test('module structure: edges between modules whose functions call each other', async () => {
+  const diagram = diagramOf(await render('modules'), 'Module Structure');
+  
+  assert.deepEqual(diagram.split('\n').filter(line => line.includes('-->')), ['  EntryPoint --> FileOperations']);
+});
+
+test('route structure: a blank line between the diagram and the next heading', async () => {
+  const markdown = await render('express');
+  
+  assert.match(markdown, /endpoint\n```\n\n## Code Organization by Feature\n/);
+});
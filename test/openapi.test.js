@@ -0,0 +1,84 @@
+// OpenAPI documents of the route fixtures, checked against the OpenAPI 3.1 schema
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { openapiV31 } = require('@apidevtools/openapi-schemas');
+const { analyzeRepository, buildOpenApiDocument } = require('../repomap');
+
+const FIXTURES = ['express', 'express-typed', 'flask', 'fastapi', 'django', 'go', 'spring', 'aspnet'];
+
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+// Format of media types in content maps, which ajv-formats does not define
+ajv.addFormat('media-range', true);
+// Schema objects are checked through $dynamicRef "#meta", which ajv resolves to the
+// object holding the schema; the anchor names $defs/schema, so refer to it directly
+const validate = ajv.compile(JSON.parse(JSON.stringify(openapiV31)
+  .replaceAll('"$dynamicRef":"#meta"', '"$ref":"#/$defs/schema"')));
+
+async function openApiDocument(fixture) {
+  return buildOpenApiDocument(await analyzeRepository({ directory: path.join(__dirname, 'fixtures', fixture), quiet: true, jobs: 1 }));
+}
+
+for (const fixture of FIXTURES) {
+  test(`${fixture}: the document is valid OpenAPI 3.1`, async () => {
+    const document = await openApiDocument(fixture);
+    
+    assert.equal(document.openapi, '3.1.0');
+    assert.ok(validate(document), ajv.errorsText(validate.errors));
+  });
+}
+
+test('express: the port it listens on and :id segments as path parameters', async () => {
+  const document = await openApiDocument('express');
+  
+  assert.deepEqual(document.servers, [{ url: 'http://localhost:3000' }]);
+  assert.deepEqual(Object.keys(document.paths), ['/', '/api/users', '/api/users/{id}', '/health/']);
+  assert.deepEqual(document.paths['/api/users/{id}'].get.parameters, [
+    { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+  ]);
+});
+
+test('flask: no servers without a port, and converters giving parameters their type', async () => {
+  const document = await openApiDocument('flask');
+  
+  assert.equal(document.servers, undefined);
+  assert.deepEqual(document.paths['/api/{post_id}'].get.parameters, [
+    { name: 'post_id', in: 'path', required: true, schema: { type: 'integer' } }
+  ]);
+});
+
+test('django: re_path named groups become parameters with their pattern', async () => {
+  const document = await openApiDocument('django');
+  
+  assert.deepEqual(Object.keys(document.paths), ['/archive/{slug}/', '/articles/{year}/']);
+  assert.deepEqual(document.paths['/archive/{slug}/'].get.parameters, [
+    { name: 'slug', in: 'path', required: true, schema: { type: 'string', pattern: '^[-\\w]+$' } }
+  ]);
+  assert.deepEqual(document.paths['/articles/{year}/'].get.parameters, [
+    { name: 'year', in: 'path', required: true, schema: { type: 'integer' } }
+  ]);
+});
+
+test('express: request and response bodies from the type arguments of Request and Response', async () => {
+  const document = await openApiDocument('express-typed');
+  const json = schema => ({ 'application/json': { schema } });
+  
+  assert.deepEqual(document.paths['/users'].post.requestBody, { required: true, content: json({ $ref: '#/components/schemas/CreateUser' }) });
+  assert.deepEqual(document.paths['/users'].post.responses, {
+    200: { description: 'Successful response', content: json({ $ref: '#/components/schemas/User' }) }
+  });
+  assert.deepEqual(document.paths['/users/{id}'].get.responses, {
+    200: { description: 'Successful response', content: json({ $ref: '#/components/schemas/User' }) }
+  });
+});
+
+test('fastapi: the status_code of the decorator as the response code', async () => {
+  const document = await openApiDocument('fastapi');
+  
+  assert.deepEqual(Object.keys(document.paths['/items'].post.responses), ['201']);
+  assert.deepEqual(document.paths['/items/{item_id}'].delete.responses, { 204: { description: 'Successful response' } });
+  assert.deepEqual(Object.keys(document.paths['/items/{item_id}'].get.responses), ['200']);
+});
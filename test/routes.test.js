@@ -0,0 +1,100 @@
+// Route tables of small applications, one per supported framework
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeRepository } = require('../repomap');
+
+function analyze(fixture, runOptions = {}) {
+  return analyzeRepository({ directory: path.join(__dirname, 'fixtures', fixture), quiet: true, jobs: 1, ...runOptions });
+}
+
+// The parts of each route a reader of the map relies on
+function routeTable(model) {
+  return model.routes.map(route => ({
+    method: route.method,
+    path: route.path,
+    handler: route.handler,
+    handlerFile: route.handlerFile || null,
+    handlerLine: route.handlerLine || null
+  }));
+}
+
+test('express: mounted routers, inline handlers and handlers imported from another module', async () => {
+  const model = await analyze('express');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'GET', path: '/', handler: null, handlerFile: null, handlerLine: null },
+    { method: 'GET', path: '/api/users', handler: 'controller.list', handlerFile: 'controllers/users.js', handlerLine: 1 },
+    { method: 'GET', path: '/api/users/:id', handler: 'controller.show', handlerFile: 'controllers/users.js', handlerLine: 5 },
+    { method: 'GET', path: '/health/', handler: 'health', handlerFile: 'app.js', handlerLine: 10 }
+  ]);
+  assert.ok(model.routes.every(route => route.framework === 'express'));
+  assert.deepEqual(model.routes.find(route => route.path === '/api/users').middleware, ['authenticate']);
+});
+
+test('fastify: plugins registered with a prefix, inline, named or required, on a require()() app', async () => {
+  const model = await analyze('fastify');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'GET', path: '/', handler: 'home', handlerFile: 'server.js', handlerLine: 16 },
+    { method: 'GET', path: '/loc/local', handler: 'listLocal', handlerFile: 'server.js', handlerLine: 14 },
+    { method: 'GET', path: '/users/:id', handler: 'show', handlerFile: 'plugins/users.js', handlerLine: 5 },
+    { method: 'GET', path: '/v1/inline', handler: 'listInline', handlerFile: 'server.js', handlerLine: 15 }
+  ]);
+  assert.ok(model.routes.every(route => route.framework === 'fastify'));
+});
+
+test('flask: blueprint routes under the prefix they are registered with', async () => {
+  const model = await analyze('flask');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'GET', path: '/api/', handler: 'index', handlerFile: 'blog/__init__.py', handlerLine: 7 },
+    { method: 'POST', path: '/api/', handler: 'index', handlerFile: 'blog/__init__.py', handlerLine: 7 },
+    { method: 'GET', path: '/api/<int:post_id>', handler: 'show', handlerFile: 'blog/__init__.py', handlerLine: 12 }
+  ]);
+});
+
+test('django: path() and re_path() patterns linked to their views', async () => {
+  const model = await analyze('django');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'ALL', path: '/archive/(?P<slug>[-\\w]+)/', handler: 'views.archive', handlerFile: 'site/views.py', handlerLine: 5 },
+    { method: 'ALL', path: '/articles/<int:year>/', handler: 'views.year_archive', handlerFile: 'site/views.py', handlerLine: 1 }
+  ]);
+});
+
+test('chi and gin: functions and method values resolved through the receiver type', async () => {
+  const model = await analyze('go');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'GET', path: '/health', handler: 's.Health', handlerFile: 'server/server.go', handlerLine: 14 },
+    { method: 'GET', path: '/users', handler: 'ListUsers', handlerFile: 'handlers/users.go', handlerLine: 5 },
+    { method: 'GET', path: '/users/{id}', handler: 'h.Get', handlerFile: 'handlers/users.go', handlerLine: 9 }
+  ]);
+  assert.deepEqual(model.routes.map(route => route.framework), ['gin', 'chi', 'chi']);
+});
+
+test('chi and gin: query extraction links the same handlers', async () => {
+  const model = await analyze('go', { extraction: 'query' });
+  
+  assert.deepEqual(routeTable(model), routeTable(await analyze('go')));
+});
+
+test('spring: mappings joined with the controller prefix, linked past their annotations', async () => {
+  const model = await analyze('spring');
+  const controller = 'src/main/java/com/acme/UserController.java';
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'POST', path: '/users', handler: 'UserController.create', handlerFile: controller, handlerLine: 14 },
+    { method: 'GET', path: '/users/{id}', handler: 'UserController.show', handlerFile: controller, handlerLine: 9 }
+  ]);
+});
+
+test('aspnetcore: minimal API lambdas and method groups', async () => {
+  const model = await analyze('aspnet');
+  
+  assert.deepEqual(routeTable(model), [
+    { method: 'GET', path: '/', handler: null, handlerFile: null, handlerLine: null },
+    { method: 'GET', path: '/todos/{id}', handler: 'TodoHandlers.Get', handlerFile: 'Program.cs', handlerLine: 11 }
+  ]);
+});
@@ -0,0 +1,40 @@
+// ctags and etags files written from the symbol index
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeRepository, buildSymbolIndex, renderCtags, renderEtags } = require('../repomap');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'tags');
+
+test('ctags: sorted tags at the line of each name, decorators skipped', async () => {
+  const index = buildSymbolIndex(await analyzeRepository({ directory: FIXTURE, quiet: true, jobs: 1 }));
+  const lines = renderCtags(index).trimEnd().split('\n');
+  
+  assert.deepEqual(lines.filter(line => line.startsWith('!_TAG_')).map(line => line.split('\t')[0]), [
+    '!_TAG_FILE_FORMAT',
+    '!_TAG_FILE_SORTED',
+    '!_TAG_PROGRAM_NAME',
+    '!_TAG_PROGRAM_VERSION'
+  ]);
+  assert.deepEqual(lines.filter(line => !line.startsWith('!_TAG_')), [
+    'UserService\tservice.ts\t4;"\tc\tline:4\tsignature:class UserService',
+    'createService\tservice.ts\t10;"\tf\tline:10\tsignature:function createService(): UserService',
+    'find\tservice.ts\t5;"\tm\tline:5\tclass:UserService\tsignature:find(id: string): string'
+  ]);
+});
+
+test('ctags: file names relative to the directory the tags file is written to', async () => {
+  const index = buildSymbolIndex(await analyzeRepository({ directory: FIXTURE, quiet: true, jobs: 1 }));
+  const tags = renderCtags(index, path.dirname(FIXTURE));
+  
+  assert.match(tags, /^UserService\ttags\/service\.ts\t4;"/m);
+});
+
+test('etags: a section per file with the text up to each name and its byte offset', async () => {
+  const index = buildSymbolIndex(await analyzeRepository({ directory: FIXTURE, quiet: true, jobs: 1 }));
+  const body = 'export class UserService\x7fUserService\x014,60\n' +
+    '  find\x7ffind\x015,87\n' +
+    'export function createService\x7fcreateService\x0110,138\n';
+  
+  assert.equal(renderEtags(index), `\f\nservice.ts,${Buffer.byteLength(body)}\n${body}`);
+});